@@ -1,457 +1,3000 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import { Chart, registerables } from 'chart.js';
+import { normalizeInterest, buildInterestIndex } from './interests';
+import { COLUMN_ROLES, ENCODINGS, DELIMITERS, guessColumnRoles, toWaveLabel, compareWaves } from './dataImport';
+import {
+    MATCH_TYPES, CATEGORY_COLORS, createDefaultTaxonomy, createCategoryId, categorizeInterests, computeCategoryMix, addExactRules, getCategoryColor,
+    compileTaxonomy, classifyTerm, parseTaxonomyJSON, serializeTaxonomy, loadTaxonomy, saveTaxonomy, diffClassifications,
+} from './taxonomy';
+import {
+    createResolver, suggestMerges, addAlias, removeAlias, rejectMerge,
+    loadAliasSettings, saveAliasSettings, DEFAULT_ALIAS_SETTINGS,
+} from './aliases';
+import { EDGE_MEASURES, buildCooccurrenceGraph, detectCommunities, layoutGraph } from './network';
+import { computeWaveShares, topTermsOverTime, findMovers, findEmergingTerms, computeCategoryShares } from './trends';
+import {
+    createSessionId, listSessions, getSession, saveSession, saveSessionState, saveSessionDatasets, summarizeDatasets,
+    deleteSession, renameSession, duplicateSession, serializeSession, parseSessionFile,
+} from './sessionStore';
+import { parseMarkdown } from './markdown';
+import { kModes, describeClusters } from './clustering';
+import { VIEWS, parseRoute, buildHash } from './routing';
+import { toCSV, toJSONRows, chartToPNG, chartToSVG, wordCloudToSVG, wordCloudToPNG } from './exporters';
+import {
+    WORD_SCALES, WORD_CLOUD_FONT, WORD_CLOUD_FONT_WEIGHT, DEFAULT_WORD_CLOUD_SETTINGS, layoutWordCloud, parseStopwords,
+    loadWordCloudSettings, saveWordCloudSettings,
+} from './wordCloud';
+import { buildPersonaPrompt, buildSegmentPersonaPrompt, buildArticleIdeasPrompt, buildExplainPrompt, buildReport, reportToMarkdown } from './report';
+import { PROVIDERS, generateText, loadLLMSettings, saveLLMSettings, clearLLMCache } from './llm';
+import { getSegmentOptions, describeSegment, updateSegment, isEmptySegment } from './segments';
+import { SIGNIFICANCE_LEVEL, MIN_SAMPLE_SIZE, wilsonInterval, compareProportions, isSignificant, adjustPValues } from './statistics';
+import { errorBarsPlugin } from './errorBars';
+import { LANGUAGES, DEFAULT_LANGUAGE, LocalizedError, createI18n, loadLanguage, saveLanguage } from './i18n';
 
 // Register Chart.js components
-Chart.register(...registerables);
+Chart.register(...registerables, errorBarsPlugin);
 
 // --- Helper & Data Processing Functions ---
 
-// Normalizes a string by making it lowercase, trimming whitespace,
-// removing content in parentheses, and removing a trailing 's'.
-const normalizeInterest = (text) => {
-    if (!text) return '';
-    return text.trim().toLowerCase().replace(/\s*\(.*\)\s*/g, '').trim().replace(/s$/, '');
+// Offers text content as a file download, e.g. an exported taxonomy.
+const downloadFile = (content, fileName, type = 'application/json') => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Revoked on the next tick; revoking right away can cancel the download in some browsers.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
 };
 
-// Keywords for categorization
-const categories = {
-    'Elfordon & Batteri': ['elbil', 'ev', 'tesla', 'volvo xc', 'bmw x3', 'polestar', 'lynk & co', 'audi', 'skoda', 'renault', 'hyundai', 'huawei', 'xiaomi', 'byd', 'xpeng', 'geely', 'ford', 'mercedes', 'batteri', 'northvolt', 'laddning', 'v2g', 'solid-state'],
-    'AI & Datorvetenskap': ['ai', 'artificial intelligence', 'deepmind', 'chatgpt', 'grok', 'copilot', 'robot', 'automation', 'data', 'cybersecurity', 'it security', 'wifi', 'dator', 'program', 'mjukvara', 'software', 'cloud', 'moln', 'semiconductor', 'quantum computing'],
-    'Energi & Miljö': ['energi', 'kärnkraft', 'vindkraft', 'solkraft', 'fusion', 'smr', 'reaktor', 'elnät', 'grid', 'elpris', 'koldioxid', 'co2', 'miljö', 'klimat', 'återvinning', 'avfall', 'hållbarhet'],
-    'Försvar & Rymd': ['försvar', 'militär', 'saab', 'gripen', 'ubåt', 'flygplan', 'drönare', 'vapen', 'rymd', 'space exploration', 'mars', 'nasa', 'esa'],
-    'Ekonomi & Industri': ['ekonomi', 'industri', 'startup', 'innovation', 'tillverkning', 'produktion', 'skf', 'volvo', 'ericsson', 'handel', 'tullar', 'marknad'],
-    'Övrigt': ['spel', 'puzzle', 'hälsa', 'medicin', 'forskning', 'utbildning', 'transport']
+// Suggests a wave label from file names like "intressen_2025-03.csv" or "enkat 2024 Q4.json".
+const suggestWaveLabel = (fileName) => {
+    const quarter = fileName.match(/(\d{4})[\s_-]*q([1-4])/i);
+    if (quarter) return `${quarter[1]} Q${quarter[2]}`;
+    const date = fileName.match(/\d{4}-\d{2}(-\d{2})?/);
+    return date ? toWaveLabel(date[0]) : '';
 };
 
+// Workers post errors as plain objects; a LocalizedError's key and parameters
+// come along, so the message can still be shown in the selected language.
+const toWorkerError = ({ message, key, params }) => (key ? new LocalizedError(key, params) : new Error(message));
+
 // --- UI Components ---
 
-const Card = ({ title, children, className = '' }) => (
-    <div className={`bg-white p-6 rounded-lg shadow-md ${className}`}>
-        <h2 className="text-xl font-semibold mb-4 text-gray-700">{title}</h2>
+const Card = ({ id, title, actions, children, className = '' }) => (
+    <div id={id} className={`bg-white p-6 rounded-lg shadow-md ${className}`}>
+        <div className="flex justify-between items-start flex-wrap gap-2 mb-4">
+            <h2 className="text-xl font-semibold text-gray-700">{title}</h2>
+            {actions}
+        </div>
         {children}
     </div>
 );
 
 const Loader = () => <div className="loader"></div>;
 
+// --- Language ---
+// Components read strings and locale formatting from the context (see i18n.js).
+const I18nContext = React.createContext(createI18n(DEFAULT_LANGUAGE));
+
+const useI18n = () => useContext(I18nContext);
+
+// Renders the node tree from parseMarkdown as React elements; text is always escaped by React.
+const renderInline = (nodes) => nodes.map((node, i) => {
+    switch (node.type) {
+        case 'strong': return <strong key={i}>{renderInline(node.children)}</strong>;
+        case 'em': return <em key={i}>{renderInline(node.children)}</em>;
+        case 'code': return <code key={i} className="px-1 rounded bg-gray-200 text-sm">{node.text}</code>;
+        case 'link': return <a key={i} href={node.href} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{renderInline(node.children)}</a>;
+        case 'break': return <br key={i} />;
+        default: return node.text;
+    }
+});
+
+const HEADING_CLASSES = ['text-xl font-bold', 'text-lg font-bold', 'text-base font-semibold', 'font-semibold', 'font-semibold', 'font-semibold'];
+
+const renderBlocks = (blocks) => blocks.map((block, i) => {
+    switch (block.type) {
+        case 'heading': {
+            const Heading = `h${block.level}`;
+            return <Heading key={i} className={`${HEADING_CLASSES[block.level - 1]} text-gray-800`}>{renderInline(block.children)}</Heading>;
+        }
+        case 'list': {
+            const List = block.ordered ? 'ol' : 'ul';
+            return (
+                <List key={i} start={block.ordered ? block.start : undefined} className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-6 space-y-1`}>
+                    {block.items.map((item, j) => <li key={j}>{renderInline(item)}</li>)}
+                </List>
+            );
+        }
+        case 'quote': return <blockquote key={i} className="border-l-4 border-gray-300 pl-4 text-gray-600 space-y-3">{renderBlocks(block.blocks)}</blockquote>;
+        case 'code': return <pre key={i} className="p-3 rounded bg-gray-800 text-gray-100 text-sm overflow-x-auto"><code>{block.text}</code></pre>;
+        case 'rule': return <hr key={i} className="border-gray-300" />;
+        default: return <p key={i}>{renderInline(block.children)}</p>;
+    }
+});
+
+const MarkdownView = ({ text }) => {
+    const blocks = React.useMemo(() => parseMarkdown(text), [text]);
+    return <div className="space-y-3 text-gray-700">{renderBlocks(blocks)}</div>;
+};
+
+// --- Export Buttons ---
+// Small buttons for a card's header. Charts are passed as the ref holding the Chart.js instance.
+
+const ExportButton = ({ onClick, children }) => (
+    <button onClick={onClick} className="text-xs font-semibold px-2 py-1 rounded border border-gray-300 text-gray-600 hover:bg-gray-100">{children}</button>
+);
+
+const ChartExportButtons = ({ chartRef, fileName }) => {
+    const exportPNG = async () => {
+        try {
+            downloadFile(await chartToPNG(chartRef.current), `${fileName}.png`, 'image/png');
+        } catch (error) {
+            console.error('Error exporting chart as PNG:', error);
+        }
+    };
+
+    return (
+        <div className="flex gap-1 print:hidden">
+            <ExportButton onClick={exportPNG}>PNG</ExportButton>
+            <ExportButton onClick={() => downloadFile(chartToSVG(chartRef.current), `${fileName}.svg`, 'image/svg+xml')}>SVG</ExportButton>
+        </div>
+    );
+};
+
+const TableExportButtons = ({ columns, rows, fileName }) => {
+    const { csvDelimiter, decimalSeparator } = useI18n();
+    return (
+        <div className="flex gap-1 print:hidden">
+            <ExportButton onClick={() => downloadFile(toCSV(columns, rows, { delimiter: csvDelimiter, decimalSeparator }), `${fileName}.csv`, 'text/csv;charset=utf-8')}>CSV</ExportButton>
+            <ExportButton onClick={() => downloadFile(toJSONRows(columns, rows), `${fileName}.json`)}>JSON</ExportButton>
+        </div>
+    );
+};
+
+const interestColumns = (t) => [{ key: 'interest', label: t('columns.interest') }, { key: 'count', label: t('columns.count') }, { key: 'variants', label: t('columns.variants') }];
+
+const WORD_CLOUD_SIZE = { width: 800, height: 400 };
+
+// Spiral-packed word cloud. Colours come from each term's category, so a term
+// keeps its colour between renders and views. Stopwords and, when given, terms
+// outside the category are left out before the largest maxWords are placed.
+const WordCloud = ({ sortedInterests, taxonomy, respondentCount, settings = DEFAULT_WORD_CLOUD_SETTINGS, category = '', onSelect, exportName }) => {
+    const { t, formatPercent } = useI18n();
+    const [hovered, setHovered] = useState(null);
+
+    const words = React.useMemo(() => {
+        const compiled = compileTaxonomy(taxonomy);
+        const stopwords = new Set(settings.stopwords);
+        const selected = [];
+        for (const [text, count] of sortedInterests) {
+            if (selected.length >= settings.maxWords) break;
+            if (stopwords.has(text)) continue;
+            const matches = classifyTerm(text, compiled);
+            if (category && !matches.some(match => match.category === category)) continue;
+            selected.push({ text, count, category: category || matches[0].category });
+        }
+        return selected;
+    }, [sortedInterests, taxonomy, settings.stopwords, settings.maxWords, category]);
+
+    const placed = React.useMemo(() => {
+        const byText = new Map(words.map(word => [word.text, word]));
+        return layoutWordCloud(words, { ...WORD_CLOUD_SIZE, scale: settings.scale }).map(word => {
+            const { category: wordCategory } = byText.get(word.text);
+            return { ...word, category: wordCategory, color: getCategoryColor(taxonomy, wordCategory) };
+        });
+    }, [words, taxonomy, settings.scale]);
+
+    const exportPNG = async () => {
+        try {
+            downloadFile(await wordCloudToPNG(placed, WORD_CLOUD_SIZE), `${exportName}.png`, 'image/png');
+        } catch (error) {
+            console.error('Error exporting word cloud as PNG:', error);
+        }
+    };
+
+    if (placed.length === 0) {
+        return <p className="text-gray-500">{t('wordCloud.empty')}</p>;
+    }
+
+    return (
+        <div>
+            {exportName && (
+                <div className="flex justify-end gap-1 mb-2 print:hidden">
+                    <ExportButton onClick={exportPNG}>PNG</ExportButton>
+                    <ExportButton onClick={() => downloadFile(wordCloudToSVG(placed, WORD_CLOUD_SIZE), `${exportName}.svg`, 'image/svg+xml')}>SVG</ExportButton>
+                </div>
+            )}
+            <div className="relative">
+                <svg viewBox={`0 0 ${WORD_CLOUD_SIZE.width} ${WORD_CLOUD_SIZE.height}`} className="w-full h-auto" role="img" aria-label={t('wordCloud.title')}>
+                    {placed.map(word => (
+                        <text
+                            key={word.text}
+                            x={word.x}
+                            y={word.y}
+                            fontSize={word.fontSize}
+                            fontFamily={WORD_CLOUD_FONT}
+                            fontWeight={WORD_CLOUD_FONT_WEIGHT}
+                            fill={word.color}
+                            textAnchor="middle"
+                            dominantBaseline="central"
+                            opacity={hovered && hovered.text !== word.text ? 0.6 : 1}
+                            className={onSelect ? 'cursor-pointer' : ''}
+                            onMouseEnter={() => setHovered(word)}
+                            onMouseLeave={() => setHovered(null)}
+                            onClick={onSelect ? () => onSelect(word.text) : undefined}
+                        >
+                            {word.text}
+                        </text>
+                    ))}
+                </svg>
+                {hovered && (
+                    <div
+                        className="absolute pointer-events-none bg-gray-800 text-white text-xs rounded px-2 py-1 whitespace-nowrap print:hidden"
+                        style={{
+                            left: `${(hovered.x / WORD_CLOUD_SIZE.width) * 100}%`,
+                            top: `${((hovered.y - hovered.height / 2) / WORD_CLOUD_SIZE.height) * 100}%`,
+                            transform: 'translate(-50%, -110%)',
+                        }}
+                    >
+                        <span className="font-semibold">{hovered.text}</span> · {t('wordCloud.mentions', { count: hovered.count })}
+                        {respondentCount > 0 && ` · ${t('wordCloud.share', { share: formatPercent(Math.min(hovered.count, respondentCount) / respondentCount) })}`}
+                        {' '}· {hovered.category}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Word cloud with its settings. Scale, size and stopwords are saved in the
+// browser and shared by every cloud; the category is chosen per cloud unless fixed.
+const WordCloudPanel = ({ sortedInterests, taxonomy, respondentCount, fixedCategory, onSelect, exportName }) => {
+    const { t } = useI18n();
+    const [settings, setSettings] = useState(loadWordCloudSettings);
+    const [stopwordText, setStopwordText] = useState(() => settings.stopwords.join(', '));
+    const [category, setCategory] = useState('');
+
+    const updateSettings = (changes) => {
+        const next = { ...settings, ...changes };
+        setSettings(next);
+        saveWordCloudSettings(next);
+    };
+
+    return (
+        <>
+            <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-700 print:hidden">
+                <label className="flex items-center gap-2">
+                    {t('wordCloud.scale')}
+                    <select value={settings.scale} onChange={(e) => updateSettings({ scale: e.target.value })} className="p-1 border border-gray-300 rounded">
+                        {WORD_SCALES.map(scale => <option key={scale} value={scale}>{t(`wordCloud.scale.${scale}`)}</option>)}
+                    </select>
+                </label>
+                <label className="flex items-center gap-2">
+                    {t('wordCloud.maxWords')}
+                    <select value={settings.maxWords} onChange={(e) => updateSettings({ maxWords: Number(e.target.value) })} className="p-1 border border-gray-300 rounded">
+                        {[50, 100, 200].map(count => <option key={count} value={count}>{count}</option>)}
+                    </select>
+                </label>
+                {!fixedCategory && (
+                    <label className="flex items-center gap-2">
+                        {t('wordCloud.category')}
+                        <select value={category} onChange={(e) => setCategory(e.target.value)} className="p-1 border border-gray-300 rounded">
+                            <option value="">{t('wordCloud.allCategories')}</option>
+                            {[...taxonomy.categories.map(candidate => candidate.name), taxonomy.fallback].map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                    </label>
+                )}
+            </div>
+            <details className="mb-4 text-sm text-gray-700 print:hidden">
+                <summary className="cursor-pointer">{t('wordCloud.stopwords', { count: settings.stopwords.length })}</summary>
+                <textarea
+                    value={stopwordText}
+                    onChange={(e) => setStopwordText(e.target.value)}
+                    onBlur={() => {
+                        const stopwords = parseStopwords(stopwordText);
+                        setStopwordText(stopwords.join(', '));
+                        updateSettings({ stopwords });
+                    }}
+                    rows={3}
+                    placeholder={t('wordCloud.stopwordsPlaceholder')}
+                    className="w-full mt-2 p-2 border border-gray-300 rounded-lg"
+                />
+            </details>
+            <WordCloud
+                sortedInterests={sortedInterests}
+                taxonomy={taxonomy}
+                respondentCount={respondentCount}
+                settings={settings}
+                category={fixedCategory || category}
+                onSelect={onSelect}
+                exportName={exportName}
+            />
+        </>
+    );
+};
+
+// Keeps the route in the URL hash. navigate() pushes a history entry, or with
+// { replace: true } updates the current one (for changes made while typing).
+// Changes are applied to the hash as it is right now, so several calls in one
+// event handler add up instead of overwriting each other.
+const useHashRoute = () => {
+    const [hash, setHash] = useState(window.location.hash);
+    const parsed = React.useMemo(() => parseRoute(hash), [hash]);
+
+    // Typing a search term rewrites the hash on every keystroke. The segments keep
+    // their identity until they actually change, so nothing is refiltered or recounted.
+    const segmentKey = JSON.stringify(parsed.segment);
+    const compareSegmentKey = JSON.stringify(parsed.compareSegment);
+    const segment = React.useMemo(() => JSON.parse(segmentKey), [segmentKey]);
+    const compareSegment = React.useMemo(() => JSON.parse(compareSegmentKey), [compareSegmentKey]);
+    const route = React.useMemo(() => ({ ...parsed, segment, compareSegment }), [parsed, segment, compareSegment]);
+
+    useEffect(() => {
+        const onHashChange = () => setHash(window.location.hash);
+        window.addEventListener('hashchange', onHashChange);
+        return () => window.removeEventListener('hashchange', onHashChange);
+    }, []);
+
+    const navigate = useCallback((changes, { replace = false } = {}) => {
+        const next = buildHash({ ...parseRoute(window.location.hash), ...changes });
+        if (next === window.location.hash) return;
+        if (replace) {
+            window.history.replaceState(null, '', next);
+        } else {
+            window.history.pushState(null, '', next);
+        }
+        setHash(next);
+    }, []);
+
+    return [route, navigate];
+};
+
+const EMPTY_ALIAS_LAYER = { vocabulary: [], variants: {}, variantCounts: {} };
+
+// Folding and counting run in a long-lived worker (see surveyAnalysis.worker.js)
+// that keeps its own copy of the datasets, so they are only posted when they
+// change. Returns the alias layer and the counts for the active wave and
+// segments; analysis is null until the first counts for new datasets arrive.
+const useSurveyAnalysis = ({ datasets, aliasSettings, activeDatasetId, segment, compareSegment }) => {
+    const workerRef = useRef(null);
+    const latestRequest = useRef(0);
+    const [aliasLayer, setAliasLayer] = useState(EMPTY_ALIAS_LAYER);
+    const [analysis, setAnalysis] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const worker = new Worker(new URL('./surveyAnalysis.worker.js', import.meta.url));
+        workerRef.current = worker;
+        worker.onmessage = (event) => {
+            const { type, id, result } = event.data;
+            if (type === 'vocabulary') {
+                setAliasLayer(result);
+                return;
+            }
+            // Answers to requests that have since been replaced are dropped.
+            if (id !== latestRequest.current) return;
+            if (type === 'done') {
+                setAnalysis(result);
+                setError(null);
+            } else {
+                setError(toWorkerError(event.data));
+            }
+        };
+        worker.onerror = (event) => setError(new Error(event.message));
+        return () => worker.terminate();
+    }, []);
+
+    useEffect(() => {
+        setAnalysis(null);
+        workerRef.current.postMessage({ type: 'datasets', datasets });
+    }, [datasets]);
+
+    useEffect(() => {
+        workerRef.current.postMessage({ type: 'aliases', aliasSettings });
+    }, [aliasSettings]);
+
+    useEffect(() => {
+        latestRequest.current += 1;
+        workerRef.current.postMessage({ type: 'analyse', id: latestRequest.current, activeDatasetId, segment, compareSegment });
+    }, [datasets, aliasSettings, activeDatasetId, segment, compareSegment]);
+
+    return { aliasLayer, analysis, error };
+};
+
 // --- Main App Component ---
 
+const EMPTY_AI_RESULTS = { persona: '', explanation: '', segments: null };
+
+const EMPTY_ANALYSIS = { segment: {}, compareSegment: null, allLines: [], sortedInterests: [], comparison: null, waves: [] };
+
 export default function App() {
-    const [allLines, setAllLines] = useState([]);
-    const [sortedInterests, setSortedInterests] = useState([]);
-    const [activeView, setActiveView] = useState('overview');
-    const [isLoading, setIsLoading] = useState(false);
+    const [language, setLanguage] = useState(loadLanguage);
+    const i18n = React.useMemo(() => createI18n(language), [language]);
+    const { t } = i18n;
+    const [datasets, setDatasets] = useState([]);
+    const [activeDatasetId, setActiveDatasetId] = useState(null);
+    const [isAddingDataset, setIsAddingDataset] = useState(false);
+    const [pendingImport, setPendingImport] = useState(null);
+    const [importError, setImportError] = useState('');
+    const [pipeline, setPipeline] = useState(null);
+    const pipelineRef = useRef(null);
+    const [taxonomy, setTaxonomy] = useState(loadTaxonomy);
+    const [aliasSettings, setAliasSettings] = useState(loadAliasSettings);
+    const [aiResults, setAiResults] = useState(EMPTY_AI_RESULTS);
+    const [showReport, setShowReport] = useState(false);
+    const [session, setSession] = useState(null);
+    const [sessionError, setSessionError] = useState('');
+    const [saveError, setSaveError] = useState(null);
+    // The datasets last written for the open session, so they are only written again when they change.
+    const savedDatasets = useRef({ id: null, datasets: null });
+    // The taxonomy and aliases of the session last opened. They are used for that
+    // session but not stored as the defaults for new analyses until they are edited.
+    const sessionDefaults = useRef({ taxonomy: null, aliasSettings: null });
+
+    // View, segments and view parameters (search term, filter, category) live in the URL.
+    const [route, navigate] = useHashRoute();
+    const { view: activeView, params: routeParams, segment, compareSegment } = route;
+    const setActiveView = useCallback((view, params = {}) => navigate({ view, params }), [navigate]);
+    const setRouteParams = useCallback((params, options) => navigate({ params: { ...parseRoute(window.location.hash).params, ...params } }, options), [navigate]);
+    const setSegment = useCallback((next) => navigate({ segment: next }), [navigate]);
+    const setCompareSegment = useCallback((next) => navigate({ compareSegment: next }), [navigate]);
+
+    // A layout effect, so charts created by the views' effects already get the new locale.
+    React.useLayoutEffect(() => {
+        Chart.defaults.locale = i18n.locale;
+        document.documentElement.lang = language;
+    }, [i18n, language]);
+
+    useEffect(() => {
+        saveLanguage(language);
+    }, [language]);
+
+    useEffect(() => {
+        if (taxonomy !== sessionDefaults.current.taxonomy) saveTaxonomy(taxonomy);
+    }, [taxonomy]);
+
+    useEffect(() => {
+        if (aliasSettings !== sessionDefaults.current.aliasSettings) saveAliasSettings(aliasSettings);
+    }, [aliasSettings]);
+
+    // The open session is saved as it changes, so a refresh never loses work.
+    // The datasets are by far the largest part and are written only when they
+    // change; the rest is small and saved shortly after every change.
+    // Sessions without data are not worth keeping.
+    const datasetSummary = React.useMemo(() => summarizeDatasets(datasets), [datasets]);
+
+    const handleSaveError = useCallback((error) => {
+        console.error('Error saving session:', error);
+        setSaveError(error);
+    }, []);
+
+    useEffect(() => {
+        if (!session || datasets.length === 0) return;
+        if (savedDatasets.current.id === session.id && savedDatasets.current.datasets === datasets) return;
+        savedDatasets.current = { id: session.id, datasets };
+        saveSessionDatasets(session.id, datasets).catch(handleSaveError);
+    }, [session, datasets, handleSaveError]);
+
+    useEffect(() => {
+        if (!session || datasetSummary.waveCount === 0) return undefined;
+        const timer = setTimeout(() => {
+            saveSessionState({ ...session, ...datasetSummary, activeDatasetId, taxonomy, aliasSettings, segment, compareSegment, aiResults })
+                .then(() => setSaveError(null))
+                .catch(handleSaveError);
+        }, 800);
+        return () => clearTimeout(timer);
+    }, [session, datasetSummary, activeDatasetId, taxonomy, aliasSettings, segment, compareSegment, aiResults, handleSaveError]);
+
+    const openSession = async (id) => {
+        try {
+            const stored = await getSession(id);
+            if (!stored) throw new LocalizedError('session.missing');
+            savedDatasets.current = { id: stored.id, datasets: stored.datasets };
+            setSession({ id: stored.id, name: stored.name, createdAt: stored.createdAt });
+            setDatasets(stored.datasets);
+            setActiveDatasetId(stored.activeDatasetId || stored.datasets[stored.datasets.length - 1]?.id || null);
+            sessionDefaults.current = { taxonomy: stored.taxonomy || null, aliasSettings: stored.aliasSettings || null };
+            if (stored.taxonomy) setTaxonomy(stored.taxonomy);
+            if (stored.aliasSettings) setAliasSettings(stored.aliasSettings);
+            // A segment in the URL (e.g. from a shared link) wins over the one saved with the session.
+            if (isEmptySegment(parseRoute(window.location.hash).segment)) {
+                navigate({ segment: stored.segment || {}, compareSegment: stored.compareSegment || null }, { replace: true });
+            }
+            // Sessions saved before Markdown rendering stored line breaks as <br>.
+            const aiResults = Object.fromEntries(Object.entries(stored.aiResults || {}).map(([key, value]) => [key, typeof value === 'string' ? value.replace(/<br\s*\/?>/g, '\n') : value]));
+            setAiResults({ ...EMPTY_AI_RESULTS, ...aiResults });
+            setPendingImport(null);
+            setIsAddingDataset(false);
+            setSessionError('');
+            setSaveError(null);
+        } catch (error) {
+            console.error('Error opening session:', error);
+            setSessionError(t('session.openFailed', { error: i18n.formatError(error) }));
+        }
+    };
+
+    // A new analysis starts from the saved defaults, not from the last opened session.
+    const startNewSession = () => {
+        setSession(null);
+        setDatasets([]);
+        setActiveDatasetId(null);
+        setTaxonomy(loadTaxonomy());
+        setAliasSettings(loadAliasSettings());
+        setAiResults(EMPTY_AI_RESULTS);
+        navigate({ view: 'overview', params: {}, segment: {}, compareSegment: null });
+    };
+
+    const dataset = datasets.find(candidate => candidate.id === activeDatasetId) || null;
+
+    const saveAsNewSession = () => {
+        const stamp = Date.now();
+        setSession({ id: createSessionId(), name: `${dataset.name} ${i18n.formatDateTime(stamp)}`, createdAt: stamp });
+    };
+
+    // Every view works on the respondents in the active segment; their lines
+    // and counts come from the analysis worker.
+    const { aliasLayer, analysis, error: analysisError } = useSurveyAnalysis({ datasets, aliasSettings, activeDatasetId, segment, compareSegment });
+    const { allLines, sortedInterests, waves } = analysis || EMPTY_ANALYSIS;
+    const { variants, variantCounts } = aliasLayer;
+
+    // Typed search terms are folded the same way as the answers.
+    const resolveTerm = React.useMemo(() => createResolver(new Map(aliasLayer.vocabulary), aliasSettings), [aliasLayer, aliasSettings]);
+    const resolveInterest = useCallback((text) => resolveTerm(normalizeInterest(text)), [resolveTerm]);
+
+    // Labelled with the segments the counts were made for, which may lag the URL for a moment.
+    const comparison = React.useMemo(() => (analysis?.comparison ? {
+        labelA: describeSegment(analysis.segment, t('segment.everyone')),
+        labelB: describeSegment(analysis.compareSegment, t('segment.everyone')),
+        sizeA: analysis.allLines.length,
+        ...analysis.comparison,
+    } : null), [analysis, t]);
+
+    // --- Import Pipeline ---
+    // Reading and building datasets run in a worker (see surveyPipeline.worker.js),
+    // one step at a time; folding and counting them happens in the analysis worker.
+    const stopPipeline = () => {
+        if (pipelineRef.current) {
+            pipelineRef.current.worker.terminate();
+            pipelineRef.current.resolve(null);
+            pipelineRef.current = null;
+        }
+        setPipeline(null);
+    };
+
+    useEffect(() => stopPipeline, []);
+
+    // Resolves with the worker's result, or with null when the user cancels.
+    const runPipeline = (label, message) => new Promise((resolve, reject) => {
+        stopPipeline();
+        const worker = new Worker(new URL('./surveyPipeline.worker.js', import.meta.url));
+        pipelineRef.current = { worker, resolve };
+        setPipeline({ label, progress: 0 });
+        const finish = () => {
+            worker.terminate();
+            pipelineRef.current = null;
+            setPipeline(null);
+        };
+        worker.onmessage = (event) => {
+            const { type, progress, result } = event.data;
+            if (type === 'progress') {
+                setPipeline({ label, progress });
+                return;
+            }
+            finish();
+            if (type === 'done') resolve(result);
+            else reject(toWorkerError(event.data));
+        };
+        worker.onerror = (event) => {
+            finish();
+            reject(new Error(event.message));
+        };
+        worker.postMessage(message);
+    });
+
+    const readFile = async (file, options = {}) => {
+        setImportError('');
+        try {
+            const labels = { column: t('import.column'), interests: t('import.role.interests') };
+            return await runPipeline(t('import.reading'), { type: 'read', file, options: { ...options, labels } });
+        } catch (error) {
+            console.error('Error reading survey file:', error);
+            setImportError(t('import.readFailed', { error: i18n.formatError(error) }));
+            return null;
+        }
+    };
 
-    const handleFileSelect = (event) => {
+    const handleFileSelect = async (event) => {
         const file = event.target.files[0];
+        // Cleared so the same file can be picked again after cancelling.
+        event.target.value = '';
         if (!file) return;
 
-        setIsLoading(true);
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const contents = e.target.result;
-            processAndDisplayData(contents);
-            setIsLoading(false);
-        };
-        reader.readAsText(file, 'UTF-8');
+        const table = await readFile(file);
+        if (!table) return;
+        setPendingImport({
+            fileName: file.name,
+            file,
+            table,
+            roles: guessColumnRoles(table),
+            waveLabel: suggestWaveLabel(file.name),
+        });
+    };
+
+    const confirmImport = async ({ table, roles, fileName, waveLabel }) => {
+        setImportError('');
+        let imported;
+        try {
+            imported = await runPipeline(t('import.building'), { type: 'build', table, roles, fileName, waveLabel, unknownWave: t('import.unknownWave') });
+        } catch (error) {
+            console.error('Error building datasets:', error);
+            setImportError(t('import.buildFailed', { error: i18n.formatError(error) }));
+            return;
+        }
+        if (!imported) return;
+        if (imported.length === 0) {
+            setImportError(t('import.noInterests'));
+            return;
+        }
+        const stamp = Date.now();
+        const added = imported.map((candidate, i) => ({ ...candidate, id: `${stamp}-${i}` }));
+        setPendingImport(null);
+        setImportError('');
+        setIsAddingDataset(false);
+        if (datasets.length === 0) {
+            navigate({ segment: {}, compareSegment: null }, { replace: true });
+            setAiResults(EMPTY_AI_RESULTS);
+        }
+        if (!session) {
+            setSession({ id: createSessionId(), name: `${fileName} ${i18n.formatDateTime(stamp)}`, createdAt: stamp });
+        }
+        setDatasets([...datasets, ...added].sort(compareWaves));
+        setActiveDatasetId(added[added.length - 1].id);
+    };
+
+    const removeDataset = (id) => {
+        const remaining = datasets.filter(candidate => candidate.id !== id);
+        setDatasets(remaining);
+        setActiveDatasetId(remaining.length > 0 ? remaining[remaining.length - 1].id : null);
+    };
+
+    const renderView = () => {
+        switch (activeView) {
+            case 'categories':
+                return <CategoriesView sortedInterests={sortedInterests} respondentCount={allLines.length} taxonomy={taxonomy} setTaxonomy={setTaxonomy} selectedCategory={routeParams.category || ''} setRouteParams={setRouteParams} />;
+            case 'taxonomy':
+                return <TaxonomyView sortedInterests={sortedInterests} taxonomy={taxonomy} setTaxonomy={setTaxonomy} />;
+            case 'connections':
+                return <ConnectionsView allLines={allLines} resolveInterest={resolveInterest} term={routeParams.term || ''} mode={routeParams.mode || 'search'} setRouteParams={setRouteParams} />;
+            case 'aliases':
+                return (
+                    <AliasView
+                        sortedInterests={sortedInterests}
+                        variants={variants}
+                        aliasSettings={aliasSettings}
+                        setAliasSettings={setAliasSettings}
+                    />
+                );
+            case 'trends':
+                return <TrendsView waves={waves} taxonomy={taxonomy} />;
+            case 'ai-analysis':
+                return <AIAnalysisView sortedInterests={sortedInterests} allLines={allLines} taxonomy={taxonomy} sessionName={session?.name} aiResults={aiResults} setAiResults={setAiResults} />;
+            case 'sessions':
+                return (
+                    <Card title={t('sessions.title')}>
+                        <SessionList
+                            currentId={session?.id}
+                            onOpen={openSession}
+                            onRenamed={(id, name) => id === session?.id && setSession({ ...session, name })}
+                            onDeleted={(id) => id === session?.id && setSession(null)}
+                        />
+                    </Card>
+                );
+            case 'overview':
+            default:
+                return <OverviewView sortedInterests={sortedInterests} respondentCount={allLines.length} taxonomy={taxonomy} variantCounts={variantCounts} comparison={comparison} filter={routeParams.filter || ''} setRouteParams={setRouteParams} setActiveView={setActiveView} />;
+        }
+    };
+
+    if (showReport && dataset) {
+        return (
+            <I18nContext.Provider value={i18n}>
+                <PrintReport
+                    title={session?.name}
+                    dataset={dataset}
+                    segmentLabel={isEmptySegment(segment) ? '' : describeSegment(segment)}
+                    respondentCount={allLines.length}
+                    sortedInterests={sortedInterests}
+                    taxonomy={taxonomy}
+                    waves={waves}
+                    aiResults={aiResults}
+                    onClose={() => setShowReport(false)}
+                />
+            </I18nContext.Provider>
+        );
+    }
+
+    return (
+        <I18nContext.Provider value={i18n}>
+            <div className="container mx-auto p-4 md:p-6">
+                <header className="relative text-center mb-6">
+                    <h1 className="text-3xl md:text-4xl font-bold text-slate-900">{t('app.title')}</h1>
+                    <p className="text-md md:text-lg text-slate-600 mt-2">{t('app.subtitle')}</p>
+                    <label className="md:absolute md:top-0 md:right-0 inline-flex items-center gap-2 mt-2 md:mt-0 text-sm text-slate-600">
+                        {t('app.language')}
+                        <select value={language} onChange={(e) => setLanguage(e.target.value)} className="p-1 border border-gray-300 rounded-lg">
+                            {Object.entries(LANGUAGES).map(([value, name]) => <option key={value} value={value}>{name}</option>)}
+                        </select>
+                    </label>
+                </header>
+
+                {pendingImport ? (
+                    <ImportMappingView
+                        pendingImport={pendingImport}
+                        setPendingImport={setPendingImport}
+                        readFile={readFile}
+                        onConfirm={confirmImport}
+                        onCancel={() => {
+                            stopPipeline();
+                            setPendingImport(null);
+                        }}
+                        pipeline={pipeline}
+                        onStopPipeline={stopPipeline}
+                        error={importError}
+                    />
+                ) : !dataset || isAddingDataset ? (
+                    <Card title={dataset ? t('upload.titleWave') : t('upload.titleFirst')} className="max-w-2xl mx-auto text-center">
+                        <p className="text-slate-500 mb-4">{t('upload.description')}</p>
+                        <input type="file" id="fileInput" accept=".txt,.csv,.tsv,.json" onChange={handleFileSelect} className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100" />
+                        {pipeline && <PipelineProgress pipeline={pipeline} onCancel={stopPipeline} />}
+                        {importError && <p className="mt-4 text-red-500">{importError}</p>}
+                        {dataset && <button onClick={() => setIsAddingDataset(false)} className="mt-4 text-blue-600 hover:underline">{t('common.cancel')}</button>}
+                        {!dataset && (
+                            <div className="mt-6 text-left">
+                                <h3 className="font-semibold text-gray-700 mb-2">{t('upload.continueSession')}</h3>
+                                <SessionList onOpen={openSession} />
+                            </div>
+                        )}
+                        {sessionError && <p className="mt-4 text-red-500">{sessionError}</p>}
+                    </Card>
+                ) : (
+                    <>
+                        <div className="flex justify-between items-center flex-wrap gap-2 mb-4 text-sm text-slate-600">
+                            <span className="flex items-center gap-2 flex-wrap">
+                                <select value={activeDatasetId} onChange={(e) => setActiveDatasetId(e.target.value)} className="p-1 border border-gray-300 rounded-lg font-semibold">
+                                    {datasets.map(candidate => (
+                                        <option key={candidate.id} value={candidate.id}>{candidate.wave} · {candidate.name}</option>
+                                    ))}
+                                </select>
+                                {t('toolbar.respondents', { count: i18n.formatNumber(dataset.respondents.length) })}{dataset.metaColumns.length > 0 && ` · ${t('toolbar.metadata', { columns: dataset.metaColumns.join(', ') })}`}
+                            </span>
+                            <span className="flex gap-4">
+                                <button onClick={() => setIsAddingDataset(true)} className="text-blue-600 hover:underline">{t('toolbar.addWave')}</button>
+                                <button onClick={() => removeDataset(dataset.id)} className="text-red-500 hover:underline">{t('toolbar.removeWave')}</button>
+                                <button onClick={() => setShowReport(true)} className="text-blue-600 hover:underline">{t('toolbar.printReport')}</button>
+                                <button onClick={startNewSession} className="text-blue-600 hover:underline">{t('toolbar.newAnalysis')}</button>
+                            </span>
+                        </div>
+                        {session ? (
+                            <p className="text-xs text-slate-500 mb-4">
+                                {t('session.label')} <span className="font-semibold">{session.name}</span> – {t('session.autosave')}
+                                {sessionError && <span className="text-red-500"> {sessionError}</span>}
+                                {saveError && <span className="text-red-500"> {t('session.saveFailed', { error: i18n.formatError(saveError) })}</span>}
+                            </p>
+                        ) : (
+                            // The open session was deleted from the session list; its data stays on screen but is no longer saved.
+                            <p className="text-xs text-red-500 mb-4">
+                                {t('session.notSaved')}{' '}
+                                <button onClick={saveAsNewSession} className="text-blue-600 hover:underline">{t('session.saveAsNew')}</button>
+                            </p>
+                        )}
+                        <SegmentBar
+                            dataset={dataset}
+                            segment={segment}
+                            setSegment={setSegment}
+                            compareSegment={compareSegment}
+                            setCompareSegment={setCompareSegment}
+                            respondentCount={allLines.length}
+                        />
+                        <nav id="view-navigation" className="flex justify-center flex-wrap gap-2 mb-8 bg-white p-2 rounded-lg shadow-md sticky top-2 z-10">
+                            {VIEWS.map(view => (
+                                <a
+                                    key={view}
+                                    href={buildHash({ view, segment, compareSegment })}
+                                    className={`nav-button px-4 py-2 rounded-md font-semibold text-gray-700 hover:bg-blue-100 ${activeView === view ? 'active' : ''}`}
+                                >
+                                    {t(`nav.${view}`)}
+                                </a>
+                            ))}
+                        </nav>
+                        {analysisError && <p className="mb-4 text-red-500">{t('analysis.failed', { error: i18n.formatError(analysisError) })}</p>}
+                        {analysis ? renderView() : !analysisError && <Loader />}
+                    </>
+                )}
+            </div>
+        </I18nContext.Provider>
+    );
+}
+
+// --- View Components ---
+
+const SessionList = ({ currentId, onOpen, onRenamed = () => {}, onDeleted = () => {} }) => {
+    const { t, formatError, formatDateTime } = useI18n();
+    const [sessions, setSessions] = useState(null);
+    const [error, setError] = useState('');
+    const importInputRef = useRef(null);
+
+    const refresh = useCallback(() => {
+        listSessions()
+            .then(setSessions)
+            .catch(loadError => {
+                console.error('Error listing sessions:', loadError);
+                setError(t('sessions.listFailed', { error: formatError(loadError) }));
+                setSessions([]);
+            });
+    }, [t, formatError]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    // Wraps a session action so failures show up in the list instead of the console only.
+    const run = (action) => async () => {
+        try {
+            setError('');
+            await action();
+        } catch (actionError) {
+            console.error('Session action failed:', actionError);
+            setError(formatError(actionError));
+        }
+        refresh();
+    };
+
+    const rename = (item) => run(async () => {
+        const name = window.prompt(t('sessions.renamePrompt'), item.name);
+        if (!name || !name.trim()) return;
+        await renameSession(item.id, name.trim());
+        onRenamed(item.id, name.trim());
+    });
+
+    const remove = (item) => run(async () => {
+        if (!window.confirm(t('sessions.confirmDelete', { name: item.name }))) return;
+        await deleteSession(item.id);
+        onDeleted(item.id);
+    });
+
+    const exportSession = (item) => run(async () => {
+        const stored = await getSession(item.id);
+        downloadFile(serializeSession(stored), `${item.name.replace(/[^\wåäöÅÄÖ -]+/g, '_')}.json`);
+    });
+
+    const handleImport = (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        event.target.value = '';
+        run(async () => {
+            const imported = parseSessionFile(await file.text());
+            await saveSession(imported);
+            await onOpen(imported.id);
+        })();
+    };
+
+    if (sessions === null) return <p className="text-gray-500">{t('sessions.loading')}</p>;
+
+    return (
+        <div>
+            {error && <p className="text-red-500 mb-2">{error}</p>}
+            {sessions.length === 0 && <p className="text-gray-500 mb-2">{t('sessions.empty')}</p>}
+            <ul className="space-y-2 mb-4">
+                {sessions.map(item => (
+                    <li key={item.id} className="flex flex-wrap items-center gap-2 border-b pb-2 text-sm">
+                        <span className="flex-grow">
+                            <span className="font-semibold text-gray-700">{item.name}</span>
+                            {item.id === currentId && <span className="ml-2 text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded">{t('sessions.open')}</span>}
+                            <span className="block text-xs text-gray-500">
+                                {t('sessions.summary', { waves: item.waveCount, respondents: item.respondentCount, updated: formatDateTime(item.updatedAt) })}
+                            </span>
+                        </span>
+                        {item.id !== currentId && <button onClick={() => onOpen(item.id)} className="text-blue-600 hover:underline">{t('sessions.openAction')}</button>}
+                        <button onClick={rename(item)} className="text-gray-600 hover:underline">{t('sessions.rename')}</button>
+                        <button onClick={run(() => duplicateSession(item.id, t('sessions.copyName', { name: item.name })))} className="text-gray-600 hover:underline">{t('sessions.duplicate')}</button>
+                        <button onClick={exportSession(item)} className="text-gray-600 hover:underline">{t('sessions.export')}</button>
+                        <button onClick={remove(item)} className="text-red-500 hover:underline">{t('common.remove')}</button>
+                    </li>
+                ))}
+            </ul>
+            <button onClick={() => importInputRef.current.click()} className="text-sm text-blue-600 hover:underline">{t('sessions.import')}</button>
+            <input type="file" accept=".json" ref={importInputRef} onChange={handleImport} className="hidden" />
+        </div>
+    );
+};
+
+const SegmentSelects = ({ options, segment, onChange }) => {
+    const { t } = useI18n();
+    return (
+        <>
+            {options.map(({ column, values }) => (
+                <label key={column} className="flex items-center gap-2 text-sm text-gray-700">
+                    {column}
+                    <select value={segment[column] || ''} onChange={(e) => onChange(updateSegment(segment, column, e.target.value))} className="p-2 border border-gray-300 rounded-lg">
+                        <option value="">{t('segment.all')}</option>
+                        {values.map(({ value, count }) => <option key={value} value={value}>{value} ({count})</option>)}
+                    </select>
+                </label>
+            ))}
+        </>
+    );
+};
+
+const SegmentBar = ({ dataset, segment, setSegment, compareSegment, setCompareSegment, respondentCount }) => {
+    const { t, formatNumber } = useI18n();
+    const options = React.useMemo(() => getSegmentOptions(dataset.respondents, dataset.metaColumns), [dataset]);
+    if (options.length === 0) return null;
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-md mb-4 space-y-3">
+            <div className="flex flex-wrap items-center gap-4">
+                <span className="font-semibold text-gray-700">{compareSegment ? t('segment.a') : t('segment.single')}</span>
+                <SegmentSelects options={options} segment={segment} onChange={setSegment} />
+                <span className="text-sm text-gray-500">{t('segment.size', { count: formatNumber(respondentCount), total: formatNumber(dataset.respondents.length) })}</span>
+                {!isEmptySegment(segment) && (
+                    <button onClick={() => setSegment({})} className="text-sm text-blue-600 hover:underline">{t('segment.clear')}</button>
+                )}
+                <label className="flex items-center gap-2 text-sm text-gray-700 ml-auto">
+                    <input type="checkbox" checked={!!compareSegment} onChange={(e) => setCompareSegment(e.target.checked ? {} : null)} />
+                    {t('segment.compare')}
+                </label>
+            </div>
+            {compareSegment && (
+                <div className="flex flex-wrap items-center gap-4">
+                    <span className="font-semibold text-gray-700">{t('segment.b')}</span>
+                    <SegmentSelects options={options} segment={compareSegment} onChange={setCompareSegment} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+const PipelineProgress = ({ pipeline, onCancel }) => {
+    const { t, formatPercent } = useI18n();
+    return (
+        <div className="mt-4 text-left text-sm">
+            <div className="flex justify-between text-blue-600 mb-1">
+                <span>{pipeline.label}...</span>
+                <span>{formatPercent(pipeline.progress, 0)}</span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div className="h-2 bg-blue-600" style={{ width: `${pipeline.progress * 100}%` }}></div>
+            </div>
+            <button onClick={onCancel} className="mt-2 px-4 py-1 rounded-lg text-gray-700 hover:bg-gray-100">{t('common.cancel')}</button>
+        </div>
+    );
+};
+
+const ImportMappingView = ({ pendingImport, setPendingImport, readFile, onConfirm, onCancel, pipeline, onStopPipeline, error }) => {
+    const { t, formatNumber } = useI18n();
+    const { fileName, file, table, roles } = pendingImport;
+    const previewRows = table.rows.slice(0, 8);
+
+    const reparse = async (options) => {
+        const nextTable = await readFile(file, {
+            format: table.format,
+            encoding: table.encoding,
+            delimiter: table.delimiter,
+            hasHeader: table.hasHeader,
+            ...options,
+        });
+        if (!nextTable) return;
+        const sameShape = nextTable.columns.length === table.columns.length && nextTable.hasHeader === table.hasHeader;
+        setPendingImport(current => ({ ...current, table: nextTable, roles: sameShape ? current.roles : guessColumnRoles(nextTable) }));
+    };
+
+    const setRole = (index, role) => {
+        setPendingImport({ ...pendingImport, roles: roles.map((current, i) => (i === index ? role : current)) });
     };
 
-    const processAndDisplayData = useCallback((rawData) => {
-        const lines = rawData.split('\n')
-            .map(line => line.split(',').map(normalizeInterest).filter(item => item.length > 2))
-            .filter(line => line.length > 0);
-        setAllLines(lines);
+    const hasInterestColumn = roles.includes('interests');
+    const hasWaveColumn = roles.includes('wave');
+
+    return (
+        <Card title={t('import.title')} className="max-w-5xl mx-auto">
+            <p className="text-slate-500 mb-4">
+                <span className="font-semibold">{fileName}</span> · {t('import.summary', { rows: formatNumber(table.rows.length) })} · {table.format.toUpperCase()}
+            </p>
+            <div className="flex flex-wrap gap-4 mb-4 text-sm">
+                <label className="flex items-center gap-2">
+                    {t('import.encoding')}
+                    <select value={table.encoding} onChange={(e) => reparse({ encoding: e.target.value })} className="p-2 border border-gray-300 rounded-lg">
+                        {ENCODINGS.map(encoding => <option key={encoding} value={encoding}>{encoding.toUpperCase()}</option>)}
+                    </select>
+                </label>
+                {table.format === 'csv' && (
+                    <>
+                        <label className="flex items-center gap-2">
+                            {t('import.delimiter')}
+                            <select value={table.delimiter} onChange={(e) => reparse({ delimiter: e.target.value })} className="p-2 border border-gray-300 rounded-lg">
+                                {DELIMITERS.map(delimiter => (
+                                    <option key={delimiter} value={delimiter}>{delimiter === '\t' ? t('import.tab') : delimiter}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="flex items-center gap-2">
+                            <input type="checkbox" checked={table.hasHeader} onChange={(e) => reparse({ hasHeader: e.target.checked })} />
+                            {t('import.hasHeader')}
+                        </label>
+                    </>
+                )}
+            </div>
+            <div className="overflow-x-auto mb-4">
+                <table className="min-w-full text-sm border border-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            {table.columns.map((column, i) => (
+                                <th key={i} className="p-2 text-left align-top border-b">
+                                    <div className="font-semibold text-gray-700 mb-1">{column}</div>
+                                    <select value={roles[i]} onChange={(e) => setRole(i, e.target.value)} className="p-1 border border-gray-300 rounded text-xs font-normal">
+                                        {COLUMN_ROLES.map(role => <option key={role} value={role}>{t(`import.role.${role}`)}</option>)}
+                                    </select>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {previewRows.map((row, rowIndex) => (
+                            <tr key={rowIndex} className="border-b">
+                                {row.map((cell, i) => (
+                                    <td key={i} className={`p-2 align-top max-w-xs truncate ${roles[i] === 'ignore' ? 'text-gray-400' : 'text-gray-700'}`} title={cell}>{cell}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <label className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700">
+                {t('import.wave')}
+                {hasWaveColumn ? (
+                    <span className="text-gray-500">{t('import.waveFromColumn', { column: table.columns[roles.indexOf('wave')] })}</span>
+                ) : (
+                    <input
+                        type="text"
+                        value={pendingImport.waveLabel}
+                        onChange={(e) => setPendingImport({ ...pendingImport, waveLabel: e.target.value })}
+                        placeholder={t('import.wavePlaceholder', { fileName })}
+                        className="p-2 border border-gray-300 rounded-lg"
+                    />
+                )}
+            </label>
+            {!hasInterestColumn && <p className="text-red-500 mb-4">{t('import.needInterestColumn')}</p>}
+            {error && <p className="text-red-500 mb-4">{error}</p>}
+            {pipeline && <div className="mb-4"><PipelineProgress pipeline={pipeline} onCancel={onStopPipeline} /></div>}
+            <div className="flex gap-2 justify-end">
+                <button onClick={onCancel} className="px-6 py-3 rounded-lg text-gray-700 hover:bg-gray-100">{t('common.cancel')}</button>
+                <button onClick={() => onConfirm(pendingImport)} disabled={!hasInterestColumn || !!pipeline} className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+                    {t('import.confirm')}
+                </button>
+            </div>
+        </Card>
+    );
+};
+
+const formatIndex = (index) => (index === null ? '–' : Math.round(index));
+
+// Intervals, p-values and exported numbers follow the selected language's
+// decimal separator; pass the object from useI18n().
+const formatInterval = ({ low, high }, { t, formatNumber }) => t('common.interval', {
+    low: formatNumber(low * 100, { decimals: 1 }),
+    high: formatNumber(high * 100, { decimals: 1 }),
+});
+
+const formatPValue = (pValue, { formatNumber }) => (pValue < 0.001 ? `< ${formatNumber(0.001, { decimals: 3 })}` : formatNumber(pValue, { decimals: 3 }));
+
+// Exported tables get plain numbers; the CSV writer puts in the locale's decimal separator.
+const roundTo = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const testName = (test, { t }) => (test ? t(`stats.test.${test}`) : '');
+
+// Chart.js error bars in percent from a 0..1 interval.
+const toPercentBar = ({ low, high }) => ({ low: low * 100, high: high * 100 });
+
+const SignificanceToggle = ({ checked, onChange }) => {
+    const { t, formatNumber } = useI18n();
+    return (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} />
+            {t('stats.significantOnly', { level: formatNumber(SIGNIFICANCE_LEVEL, { decimals: 2 }) })}
+        </label>
+    );
+};
+
+// Shown for every group with fewer respondents than MIN_SAMPLE_SIZE.
+const SampleSizeWarning = ({ groups }) => {
+    const { t } = useI18n();
+    const small = groups.filter(group => group.size < MIN_SAMPLE_SIZE);
+    if (small.length === 0) return null;
+    return (
+        <p className="text-sm bg-yellow-50 text-yellow-800 p-3 rounded-lg mb-4">
+            {t('stats.smallSample', { groups: small.map(group => t('stats.smallSampleGroup', { label: group.label, count: group.size })).join(', ') })}
+            {' '}{t('stats.smallSampleHint', { min: MIN_SAMPLE_SIZE })}
+        </p>
+    );
+};
+
+const OverviewView = ({ sortedInterests, respondentCount, taxonomy, variantCounts, comparison, filter, setRouteParams, setActiveView }) => {
+    const i18n = useI18n();
+    const { t, formatNumber, formatPercent } = i18n;
+    const chartRef = useRef(null);
+    const chartInstance = useRef(null);
+    const [pageSize, setPageSize] = useState(25);
+    const [page, setPage] = useState(0);
+    const [significantOnly, setSignificantOnly] = useState(false);
+
+    // Large files have tens of thousands of distinct interests; the chart shows one page at a time.
+    const filteredData = React.useMemo(
+        () => sortedInterests.filter(([interest]) => interest.toLowerCase().includes(filter.toLowerCase())),
+        [sortedInterests, filter],
+    );
+    const pageCount = Math.max(1, Math.ceil(filteredData.length / pageSize));
+    const currentPage = Math.min(page, pageCount - 1);
+    const pageData = React.useMemo(
+        () => filteredData.slice(currentPage * pageSize, (currentPage + 1) * pageSize),
+        [filteredData, currentPage, pageSize],
+    );
+    const comparisonRows = React.useMemo(
+        () => (comparison ? comparison.rows.filter(row => row.interest.includes(filter.toLowerCase()) && (!significantOnly || isSignificant(row.pValue))) : null),
+        [comparison, filter, significantOnly],
+    );
+
+    useEffect(() => {
+        if (chartInstance.current) {
+            chartInstance.current.destroy();
+        }
+        const ctx = chartRef.current.getContext('2d');
+        // In compare mode the bars show each segment's share of respondents,
+        // since the two segments rarely have the same size.
+        const data = comparisonRows ? {
+            labels: comparisonRows.map(row => row.interest),
+            datasets: [{
+                label: `A: ${comparison.labelA}`,
+                data: comparisonRows.map(row => row.shareA * 100),
+                errorBars: comparisonRows.map(row => toPercentBar(row.intervalA)),
+                backgroundColor: 'rgba(59, 130, 246, 0.5)',
+                borderColor: 'rgba(59, 130, 246, 1)',
+                borderWidth: 1
+            }, {
+                label: `B: ${comparison.labelB}`,
+                data: comparisonRows.map(row => row.shareB * 100),
+                errorBars: comparisonRows.map(row => toPercentBar(row.intervalB)),
+                backgroundColor: 'rgba(245, 158, 11, 0.5)',
+                borderColor: 'rgba(245, 158, 11, 1)',
+                borderWidth: 1
+            }]
+        } : {
+            labels: pageData.map(item => item[0]),
+            datasets: [{
+                label: t('overview.mentions'),
+                data: pageData.map(item => item[1]),
+                // The interval of the share of respondents, scaled back to a count.
+                errorBars: pageData.map(([, count]) => {
+                    const { low, high } = wilsonInterval(count, respondentCount);
+                    return { low: low * respondentCount, high: high * respondentCount };
+                }),
+                backgroundColor: 'rgba(59, 130, 246, 0.5)',
+                borderColor: 'rgba(59, 130, 246, 1)',
+                borderWidth: 1
+            }]
+        };
+        chartInstance.current = new Chart(ctx, {
+            type: 'bar',
+            data,
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: { y: { beginAtZero: true, title: { display: !!comparisonRows, text: t('overview.shareAxis') } } },
+                plugins: {
+                    legend: { display: !!comparisonRows },
+                    tooltip: comparisonRows ? {
+                        callbacks: {
+                            label: (item) => {
+                                const row = comparisonRows[item.dataIndex];
+                                return t('overview.tooltipShare', { label: item.dataset.label, share: formatPercent(item.parsed.y / 100), interval: formatInterval(item.datasetIndex === 0 ? row.intervalA : row.intervalB, i18n) });
+                            },
+                            footer: (items) => {
+                                const row = comparisonRows[items[0].dataIndex];
+                                return t('overview.tooltipFooter', { index: formatIndex(row.index), pValue: formatPValue(row.pValue, i18n) });
+                            }
+                        }
+                    } : {
+                        callbacks: {
+                            afterLabel: (item) => t('overview.tooltipInterval', { interval: formatInterval(wilsonInterval(pageData[item.dataIndex][1], respondentCount), i18n) })
+                        }
+                    }
+                }
+            }
+        });
+        return () => chartInstance.current.destroy();
+    }, [pageData, respondentCount, comparison, comparisonRows, i18n, t, formatPercent]);
+
+    return (
+        <div>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+                <Card
+                    title={t('overview.top10')}
+                    className="lg:col-span-1"
+                    actions={<TableExportButtons columns={interestColumns(t)} rows={sortedInterests.map(([interest, count]) => ({ interest, count, variants: variantCounts[interest] || '' }))} fileName="intressen" />}
+                >
+                    <ol className="list-decimal list-inside space-y-2">
+                        {sortedInterests.slice(0, 10).map(([interest, count]) => (
+                            <li key={interest} className="text-gray-600">
+                                {interest.charAt(0).toUpperCase() + interest.slice(1)} ({count})
+                                {variantCounts[interest] && <span className="text-xs text-gray-400"> · {t('overview.variants', { count: variantCounts[interest] })}</span>}
+                            </li>
+                        ))}
+                    </ol>
+                </Card>
+                <Card title={t('overview.chart')} className="lg:col-span-2" actions={<ChartExportButtons chartRef={chartInstance} fileName="intressediagram" />}>
+                    <input
+                        type="text"
+                        value={filter}
+                        onChange={(e) => {
+                            setPage(0);
+                            setRouteParams({ filter: e.target.value }, { replace: true });
+                        }}
+                        placeholder={t('overview.filterPlaceholder')}
+                        className="w-full p-3 mb-4 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {!comparison && <SampleSizeWarning groups={[{ label: t('overview.sample'), size: respondentCount }]} />}
+                    <div className="chart-container">
+                        <canvas ref={chartRef}></canvas>
+                    </div>
+                    {!comparisonRows && (
+                        <div className="flex flex-wrap items-center justify-between gap-2 mt-4 text-sm text-gray-600">
+                            <label className="flex items-center gap-2">
+                                {t('overview.pageSizeBefore')}
+                                <select
+                                    value={pageSize}
+                                    onChange={(e) => {
+                                        setPageSize(Number(e.target.value));
+                                        setPage(0);
+                                    }}
+                                    className="p-1 border border-gray-300 rounded"
+                                >
+                                    {[25, 50, 100].map(size => <option key={size} value={size}>{size}</option>)}
+                                </select>
+                                {t('overview.pageSizeAfter')}
+                            </label>
+                            <div className="flex items-center gap-2">
+                                <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0} className="px-3 py-1 rounded hover:bg-gray-100 disabled:opacity-50">{t('overview.previous')}</button>
+                                <span>
+                                    {t('overview.pageRange', { first: filteredData.length === 0 ? 0 : currentPage * pageSize + 1, last: currentPage * pageSize + pageData.length, total: formatNumber(filteredData.length) })}
+                                </span>
+                                <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1} className="px-3 py-1 rounded hover:bg-gray-100 disabled:opacity-50">{t('overview.next')}</button>
+                            </div>
+                        </div>
+                    )}
+                </Card>
+            </div>
+            {comparison && (
+                <Card
+                    title={t('overview.comparison')}
+                    className="mb-8"
+                    actions={(
+                        <TableExportButtons
+                            columns={[
+                                { key: 'interest', label: t('columns.interest') },
+                                { key: 'shareA', label: t('overview.shareALabel', { label: comparison.labelA }) },
+                                { key: 'shareB', label: t('overview.shareBLabel', { label: comparison.labelB }) },
+                                { key: 'lowA', label: t('overview.ciALow') },
+                                { key: 'highA', label: t('overview.ciAHigh') },
+                                { key: 'lowB', label: t('overview.ciBLow') },
+                                { key: 'highB', label: t('overview.ciBHigh') },
+                                { key: 'difference', label: t('overview.difference') },
+                                { key: 'index', label: t('overview.index') },
+                                { key: 'pValue', label: t('stats.adjustedPValue') },
+                                { key: 'test', label: t('stats.test') },
+                            ]}
+                            rows={comparison.rows.map(row => ({
+                                interest: row.interest,
+                                shareA: roundTo(row.shareA * 100),
+                                shareB: roundTo(row.shareB * 100),
+                                lowA: roundTo(row.intervalA.low * 100),
+                                highA: roundTo(row.intervalA.high * 100),
+                                lowB: roundTo(row.intervalB.low * 100),
+                                highB: roundTo(row.intervalB.high * 100),
+                                difference: roundTo(row.difference * 100),
+                                index: row.index === null ? '' : Math.round(row.index),
+                                pValue: roundTo(row.pValue, 4),
+                                test: testName(row.test, i18n),
+                            }))}
+                            fileName="segmentjamforelse"
+                        />
+                    )}
+                >
+                    <p className="text-sm text-gray-500 mb-4">
+                        {t('overview.comparisonSizes', { labelA: comparison.labelA, sizeA: formatNumber(comparison.sizeA), labelB: comparison.labelB, sizeB: formatNumber(comparison.sizeB) })}
+                        {' '}{t('overview.comparisonHint', { level: formatNumber(SIGNIFICANCE_LEVEL, { decimals: 2 }) })}
+                    </p>
+                    <SampleSizeWarning groups={[{ label: 'A', size: comparison.sizeA }, { label: 'B', size: comparison.sizeB }]} />
+                    <div className="mb-4">
+                        <SignificanceToggle checked={significantOnly} onChange={setSignificantOnly} />
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-600 border-b">
+                                    <th className="p-2">{t('columns.interest')}</th>
+                                    <th className="p-2 text-right">{t('overview.shareA')}</th>
+                                    <th className="p-2 text-right">{t('overview.shareB')}</th>
+                                    <th className="p-2 text-right">{t('overview.difference')}</th>
+                                    <th className="p-2 text-right">{t('overview.index')}</th>
+                                    <th className="p-2 text-right">{t('stats.adjustedPValue')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {comparison.rows.filter(row => !significantOnly || isSignificant(row.pValue)).sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference)).map(row => (
+                                    <tr key={row.interest} className="border-b">
+                                        <td className="p-2 text-gray-700">{row.interest}</td>
+                                        <td className="p-2 text-right" title={t('stats.ci', { interval: formatInterval(row.intervalA, i18n) })}>{formatPercent(row.shareA)}</td>
+                                        <td className="p-2 text-right" title={t('stats.ci', { interval: formatInterval(row.intervalB, i18n) })}>{formatPercent(row.shareB)}</td>
+                                        <td className={`p-2 text-right ${row.difference > 0 ? 'text-green-600' : 'text-red-500'}`}>
+                                            {row.difference > 0 ? '+' : ''}{formatNumber(row.difference * 100, { decimals: 1 })}
+                                        </td>
+                                        <td className={`p-2 text-right font-semibold ${row.index === null || row.index >= 120 ? 'text-green-600' : row.index <= 80 ? 'text-red-500' : 'text-gray-700'}`}>
+                                            {formatIndex(row.index)}
+                                        </td>
+                                        <td className={`p-2 text-right ${isSignificant(row.pValue) ? 'font-semibold text-gray-700' : 'text-gray-400'}`} title={testName(row.test, i18n)}>
+                                            {formatPValue(row.pValue, i18n)}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </Card>
+            )}
+            <Card title={t('wordCloud.title')} id="word-cloud-container">
+                <WordCloudPanel
+                    sortedInterests={sortedInterests}
+                    taxonomy={taxonomy}
+                    respondentCount={respondentCount}
+                    onSelect={(text) => setActiveView('connections', { term: text })}
+                    exportName="ordmoln"
+                />
+            </Card>
+        </div>
+    );
+};
+
+const describeRule = (rule, t) => (rule ? `${MATCH_TYPES.includes(rule.type) ? t(`taxonomy.matchType.${rule.type}`) : rule.type}: "${rule.pattern}"` : t('categories.noRule'));
+
+const CategoriesView = ({ sortedInterests, respondentCount, taxonomy, setTaxonomy, selectedCategory, setRouteParams }) => {
+    const { t } = useI18n();
+    const chartRef = useRef(null);
+    const chartInstance = useRef(null);
+    const selectedRef = useRef(null);
+
+    const { categoryCounts, categoryTerms, assignments } = React.useMemo(
+        () => categorizeInterests(sortedInterests, taxonomy),
+        [sortedInterests, taxonomy]
+    );
+
+    useEffect(() => {
+        if (chartInstance.current) {
+            chartInstance.current.destroy();
+        }
+        const ctx = chartRef.current.getContext('2d');
+        chartInstance.current = new Chart(ctx, {
+            type: 'pie',
+            data: {
+                labels: Object.keys(categoryCounts),
+                datasets: [{
+                    data: Object.values(categoryCounts),
+                    backgroundColor: Object.keys(categoryCounts).map(name => getCategoryColor(taxonomy, name)),
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                onClick: (event, elements) => {
+                    if (elements.length > 0) setRouteParams({ category: Object.keys(categoryCounts)[elements[0].index] });
+                },
+                plugins: {
+                    legend: { position: 'top' },
+                    title: { display: true, text: t('categories.chartTitle') }
+                }
+            }
+        });
+        return () => chartInstance.current.destroy();
+    }, [categoryCounts, taxonomy, setRouteParams, t]);
+
+    // A category opened from a link may be far down the list.
+    useEffect(() => {
+        selectedRef.current?.scrollIntoView({ block: 'nearest' });
+    }, [selectedCategory]);
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <Card title={t('categories.perCategory')} actions={<ChartExportButtons chartRef={chartInstance} fileName="kategorier" />}>
+                <div className="chart-container" style={{ height: '50vh' }}>
+                    <canvas ref={chartRef}></canvas>
+                </div>
+            </Card>
+            <Card
+                title={t('categories.topTerms')}
+                actions={(
+                    <TableExportButtons
+                        columns={[{ key: 'category', label: t('categories.category') }, { key: 'interest', label: t('columns.interest') }, { key: 'count', label: t('columns.count') }]}
+                        rows={Object.entries(categoryTerms).flatMap(([category, terms]) => Object.entries(terms)
+                            .sort(([, a], [, b]) => b - a)
+                            .map(([interest, count]) => ({ category, interest, count })))}
+                        fileName="kategoriamnen"
+                    />
+                )}
+            >
+                <div className="space-y-4 max-h-[50vh] overflow-y-auto">
+                    {Object.keys(categoryTerms).map(category => {
+                        const isSelected = category === selectedCategory;
+                        return (
+                            <div key={category} ref={isSelected ? selectedRef : null} className={`p-4 border-b ${isSelected ? 'bg-blue-50 rounded' : ''}`}>
+                                <button onClick={() => setRouteParams({ category: isSelected ? '' : category })} className="font-bold text-lg hover:text-blue-600" title={isSelected ? t('categories.closeDetails') : t('categories.showDetails')}>
+                                    {category}
+                                </button>
+                                <div className="mt-2 flex flex-wrap gap-2">
+                                    {Object.entries(categoryTerms[category])
+                                        .sort(([, a], [, b]) => b - a)
+                                        .slice(0, 5)
+                                        .map(([term, count]) => (
+                                            <span key={term} className="bg-gray-200 text-gray-700 text-xs font-semibold mr-2 px-2.5 py-0.5 rounded">
+                                                {term} ({count})
+                                            </span>
+                                        ))}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </Card>
+            {categoryTerms[selectedCategory] && (
+                <>
+                    <CategoryDrillDown
+                        category={selectedCategory}
+                        terms={categoryTerms[selectedCategory]}
+                        total={categoryCounts[selectedCategory]}
+                        assignments={assignments}
+                        onClose={() => setRouteParams({ category: '' })}
+                    />
+                    <Card title={t('wordCloud.categoryTitle', { category: selectedCategory })} className="lg:col-span-2">
+                        <WordCloudPanel
+                            sortedInterests={sortedInterests}
+                            taxonomy={taxonomy}
+                            respondentCount={respondentCount}
+                            fixedCategory={selectedCategory}
+                            exportName={`ordmoln-${selectedCategory}`}
+                        />
+                    </Card>
+                </>
+            )}
+            <UncategorizedQueue sortedInterests={sortedInterests} assignments={assignments} taxonomy={taxonomy} setTaxonomy={setTaxonomy} />
+        </div>
+    );
+};
+
+// Every term in one category with the rule that put it there.
+const CategoryDrillDown = ({ category, terms, total, assignments, onClose }) => {
+    const i18n = useI18n();
+    const { t, formatPercent } = i18n;
+    const rows = Object.entries(terms)
+        .sort(([, a], [, b]) => b - a)
+        .map(([term, count]) => ({
+            term,
+            count,
+            share: count / (total || 1),
+            rule: (assignments[term].find(match => match.category === category) || {}).rule || null,
+        }));
+
+    return (
+        <Card
+            title={t('categories.allTerms', { category })}
+            className="lg:col-span-2"
+            actions={(
+                <div className="flex gap-2 items-center">
+                    <TableExportButtons
+                        columns={[{ key: 'term', label: t('columns.interest') }, { key: 'count', label: t('columns.count') }, { key: 'sharePercent', label: t('categories.shareInCategoryPercent') }, { key: 'matchedBy', label: t('categories.matchedBy') }]}
+                        rows={rows.map(row => ({ ...row, sharePercent: roundTo(row.share * 100), matchedBy: describeRule(row.rule, t) }))}
+                        fileName={`kategori-${category}`}
+                    />
+                    <button onClick={onClose} className="text-sm text-blue-600 hover:underline print:hidden">{t('common.close')}</button>
+                </div>
+            )}
+        >
+            <p className="text-sm text-gray-500 mb-4">{t('categories.drillDownSummary', { terms: rows.length, mentions: total })}</p>
+            <div className="overflow-x-auto max-h-[60vh] overflow-y-auto">
+                <table className="min-w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-gray-600 border-b">
+                            <th className="p-2">{t('columns.interest')}</th>
+                            <th className="p-2 text-right">{t('columns.count')}</th>
+                            <th className="p-2 text-right">{t('categories.shareInCategory')}</th>
+                            <th className="p-2">{t('categories.matchedBy')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(row => (
+                            <tr key={row.term} className="border-b">
+                                <td className="p-2 text-gray-700">{row.term}</td>
+                                <td className="p-2 text-right">{row.count}</td>
+                                <td className="p-2 text-right">{formatPercent(row.share)}</td>
+                                <td className={`p-2 ${row.rule ? 'text-gray-700' : 'text-gray-400'}`}>{describeRule(row.rule, t)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </Card>
+    );
+};
+
+const TRIAGE_PAGE_SIZE = 50;
+
+// Terms no rule matches, most frequent first. Assigning one adds an exact rule
+// to the chosen category, so the taxonomy grows from what readers actually write.
+const UncategorizedQueue = ({ sortedInterests, assignments, taxonomy, setTaxonomy }) => {
+    const { t } = useI18n();
+    const [selected, setSelected] = useState(() => new Set());
+    const [bulkCategoryId, setBulkCategoryId] = useState('');
+    const [visibleCount, setVisibleCount] = useState(TRIAGE_PAGE_SIZE);
+
+    const queue = React.useMemo(
+        () => sortedInterests.filter(([term]) => assignments[term]?.[0]?.rule === null),
+        [sortedInterests, assignments]
+    );
+    const visible = queue.slice(0, visibleCount);
+    const mentions = queue.reduce((sum, [, count]) => sum + count, 0);
+
+    const assign = (categoryId, terms) => {
+        if (!categoryId || terms.length === 0) return;
+        setTaxonomy(current => addExactRules(current, categoryId, terms));
+        setSelected(current => new Set([...current].filter(term => !terms.includes(term))));
+    };
+
+    const toggle = (term) => {
+        setSelected(current => {
+            const next = new Set(current);
+            if (next.has(term)) next.delete(term); else next.add(term);
+            return next;
+        });
+    };
+
+    const allVisibleSelected = visible.length > 0 && visible.every(([term]) => selected.has(term));
+    const toggleAllVisible = () => {
+        setSelected(allVisibleSelected ? new Set() : new Set(visible.map(([term]) => term)));
+    };
+
+    const categoryOptions = taxonomy.categories.map(category => <option key={category.id} value={category.id}>{category.name}</option>);
+
+    return (
+        <Card title={t('categories.uncategorized', { count: queue.length })} className="lg:col-span-2">
+            {queue.length === 0 ? (
+                <p className="text-gray-500">{t('categories.allMatched')}</p>
+            ) : (
+                <>
+                    <p className="text-sm text-gray-500 mb-4">
+                        {t('categories.queueHint', { terms: queue.length, mentions, fallback: taxonomy.fallback })}
+                    </p>
+                    <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                        <select value={bulkCategoryId} onChange={(e) => setBulkCategoryId(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                            <option value="">{t('categories.chooseCategory')}</option>
+                            {categoryOptions}
+                        </select>
+                        <button
+                            onClick={() => assign(bulkCategoryId, [...selected])}
+                            disabled={!bulkCategoryId || selected.size === 0}
+                            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                        >
+                            {t('categories.assignSelected', { count: selected.size })}
+                        </button>
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-600 border-b">
+                                    <th className="p-2"><input type="checkbox" checked={allVisibleSelected} onChange={toggleAllVisible} title={t('categories.selectAllVisible')} /></th>
+                                    <th className="p-2">{t('columns.interest')}</th>
+                                    <th className="p-2 text-right">{t('columns.count')}</th>
+                                    <th className="p-2">{t('categories.assignTo')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visible.map(([term, count]) => (
+                                    <tr key={term} className="border-b">
+                                        <td className="p-2"><input type="checkbox" checked={selected.has(term)} onChange={() => toggle(term)} /></td>
+                                        <td className="p-2 text-gray-700">{term}</td>
+                                        <td className="p-2 text-right">{count}</td>
+                                        <td className="p-2">
+                                            <select value="" onChange={(e) => assign(e.target.value, [term])} className="p-1 border border-gray-300 rounded">
+                                                <option value="">{t('categories.choose')}</option>
+                                                {categoryOptions}
+                                            </select>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {queue.length > visibleCount && (
+                        <button onClick={() => setVisibleCount(visibleCount + TRIAGE_PAGE_SIZE)} className="mt-4 text-sm text-blue-600 hover:underline">
+                            {t('categories.showMore', { count: queue.length - visibleCount })}
+                        </button>
+                    )}
+                </>
+            )}
+        </Card>
+    );
+};
+
+const TaxonomyView = ({ sortedInterests, taxonomy, setTaxonomy }) => {
+    const { t, formatError } = useI18n();
+    const [draft, setDraft] = useState(taxonomy);
+    const [message, setMessage] = useState(null);
+    const importInputRef = useRef(null);
+
+    useEffect(() => {
+        setDraft(taxonomy);
+    }, [taxonomy]);
+
+    const isDirty = serializeTaxonomy(draft) !== serializeTaxonomy(taxonomy);
+    const compiledDraft = React.useMemo(() => compileTaxonomy(draft), [draft]);
+    const changes = React.useMemo(
+        () => (isDirty ? diffClassifications(sortedInterests, taxonomy, draft) : []),
+        [isDirty, sortedInterests, taxonomy, draft]
+    );
+    const duplicateNames = draft.categories
+        .map(category => category.name.trim())
+        .filter((name, i, names) => !name || names.indexOf(name) !== i);
+
+    const updateCategory = (id, changes) => {
+        setDraft({ ...draft, categories: draft.categories.map(category => (category.id === id ? { ...category, ...changes } : category)) });
+    };
+
+    const updateRule = (category, ruleIndex, changes) => {
+        updateCategory(category.id, { rules: category.rules.map((rule, i) => (i === ruleIndex ? { ...rule, ...changes } : rule)) });
+    };
+
+    const addCategory = () => {
+        const name = t('taxonomy.newCategory', { number: draft.categories.length + 1 });
+        setDraft({
+            ...draft,
+            categories: [...draft.categories, {
+                id: createCategoryId(name, draft.categories),
+                name,
+                color: CATEGORY_COLORS[draft.categories.length % CATEGORY_COLORS.length],
+                priority: 0,
+                rules: [],
+            }],
+        });
+    };
+
+    const removeCategory = (category) => {
+        if (!window.confirm(t('taxonomy.confirmRemove', { name: category.name }))) return;
+        setDraft({ ...draft, categories: draft.categories.filter(candidate => candidate.id !== category.id) });
+    };
+
+    const handleImport = (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                setDraft(parseTaxonomyJSON(e.target.result));
+                setMessage({ type: 'info', text: t('taxonomy.imported', { fileName: file.name }) });
+            } catch (error) {
+                setMessage({ type: 'error', text: formatError(error) });
+            }
+        };
+        reader.readAsText(file, 'UTF-8');
+        event.target.value = '';
+    };
+
+    const save = () => {
+        setTaxonomy(draft);
+        setMessage({ type: 'info', text: t('taxonomy.saved') });
+    };
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <Card title={t('taxonomy.edit')} className="lg:col-span-2">
+                <div className="flex flex-wrap gap-2 mb-4">
+                    <button onClick={save} disabled={!isDirty || duplicateNames.length > 0} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">{t('taxonomy.save')}</button>
+                    <button onClick={() => setDraft(taxonomy)} disabled={!isDirty} className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-50">{t('taxonomy.undo')}</button>
+                    <button onClick={() => setDraft(createDefaultTaxonomy())} className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100">{t('taxonomy.reset')}</button>
+                    <button onClick={() => downloadFile(serializeTaxonomy(taxonomy), 'kategorier.json')} className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100">{t('taxonomy.exportJSON')}</button>
+                    <button onClick={() => importInputRef.current.click()} className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100">{t('taxonomy.importJSON')}</button>
+                    <input type="file" accept=".json" ref={importInputRef} onChange={handleImport} className="hidden" />
+                </div>
+                {message && <p className={`mb-4 ${message.type === 'error' ? 'text-red-500' : 'text-blue-600'}`}>{message.text}</p>}
+                {duplicateNames.length > 0 && <p className="mb-4 text-red-500">{t('taxonomy.uniqueNames')}</p>}
+                <div className="flex flex-wrap gap-4 mb-4 text-sm text-gray-700">
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={draft.multiCategory} onChange={(e) => setDraft({ ...draft, multiCategory: e.target.checked })} />
+                        {t('taxonomy.multiCategory')}
+                    </label>
+                    <label className="flex items-center gap-2">
+                        {t('taxonomy.fallback')}
+                        <input type="text" value={draft.fallback} onChange={(e) => setDraft({ ...draft, fallback: e.target.value })} className="p-1 border border-gray-300 rounded" />
+                    </label>
+                </div>
+                <div className="space-y-4 max-h-[70vh] overflow-y-auto">
+                    {draft.categories.map((category, categoryIndex) => (
+                        <div key={category.id} className="p-4 border rounded-lg">
+                            <div className="flex flex-wrap items-center gap-2 mb-3">
+                                <input type="color" value={category.color} onChange={(e) => updateCategory(category.id, { color: e.target.value })} className="w-8 h-8" />
+                                <input type="text" value={category.name} onChange={(e) => updateCategory(category.id, { name: e.target.value })} className="flex-grow p-2 border border-gray-300 rounded-lg font-bold" />
+                                <label className="flex items-center gap-2 text-sm text-gray-600" title={t('taxonomy.priorityHint')}>
+                                    {t('taxonomy.priority')}
+                                    <input type="number" value={category.priority} onChange={(e) => updateCategory(category.id, { priority: Number(e.target.value) })} className="w-20 p-2 border border-gray-300 rounded-lg" />
+                                </label>
+                                <button onClick={() => removeCategory(category)} className="text-red-500 hover:underline text-sm">{t('common.remove')}</button>
+                            </div>
+                            <div className="space-y-2">
+                                {category.rules.map((rule, ruleIndex) => {
+                                    const error = compiledDraft.categories[categoryIndex].rules[ruleIndex].error;
+                                    return (
+                                        <div key={ruleIndex} className="flex flex-wrap items-center gap-2">
+                                            <select value={rule.type} onChange={(e) => updateRule(category, ruleIndex, { type: e.target.value })} className="p-1 border border-gray-300 rounded text-sm">
+                                                {MATCH_TYPES.map(type => <option key={type} value={type}>{t(`taxonomy.matchType.${type}`)}</option>)}
+                                            </select>
+                                            <input type="text" value={rule.pattern} onChange={(e) => updateRule(category, ruleIndex, { pattern: e.target.value })} className={`flex-grow p-1 border rounded text-sm ${error ? 'border-red-500' : 'border-gray-300'}`} title={error ? formatError(error) : ''} />
+                                            <button onClick={() => updateCategory(category.id, { rules: category.rules.filter((_, i) => i !== ruleIndex) })} className="text-gray-400 hover:text-red-500 px-2" aria-label={t('taxonomy.removeRule')}>×</button>
+                                        </div>
+                                    );
+                                })}
+                                <button onClick={() => updateCategory(category.id, { rules: [...category.rules, { type: 'word', pattern: '' }] })} className="text-sm text-blue-600 hover:underline">{t('taxonomy.addKeyword')}</button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+                <button onClick={addCategory} className="mt-4 text-blue-600 hover:underline">{t('taxonomy.addCategory')}</button>
+            </Card>
+            <Card title={t('taxonomy.preview')}>
+                {!isDirty && <p className="text-gray-500">{t('taxonomy.previewHint')}</p>}
+                {isDirty && changes.length === 0 && <p className="text-gray-500">{t('taxonomy.noChanges')}</p>}
+                {changes.length > 0 && (
+                    <>
+                        <p className="text-sm text-gray-500 mb-3">{t('taxonomy.changes', { count: changes.length })}</p>
+                        <ul className="space-y-2 max-h-[70vh] overflow-y-auto text-sm">
+                            {changes.map(change => (
+                                <li key={change.interest} className="border-b pb-2">
+                                    <span className="font-semibold text-gray-700">{change.interest}</span> <span className="text-gray-500">({change.count})</span>
+                                    <div className="text-gray-600">{change.before.join(', ')} → <span className="text-blue-600">{change.after.join(', ')}</span></div>
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+            </Card>
+        </div>
+    );
+};
+
+const AliasView = ({ sortedInterests, variants, aliasSettings, setAliasSettings }) => {
+    const { t } = useI18n();
+    const [newCanonical, setNewCanonical] = useState('');
+    const [newVariants, setNewVariants] = useState('');
+
+    const suggestions = React.useMemo(() => suggestMerges(sortedInterests, aliasSettings), [sortedInterests, aliasSettings]);
+    const mergedTerms = React.useMemo(() => Object.entries(variants)
+        .filter(([, raw]) => Object.keys(raw).length > 1)
+        .map(([canonical, raw]) => ({
+            canonical,
+            total: Object.values(raw).reduce((sum, count) => sum + count, 0),
+            raw: Object.entries(raw).sort(([, a], [, b]) => b - a),
+        }))
+        .sort((a, b) => b.total - a.total), [variants]);
+
+    const addAliases = () => {
+        const canonical = normalizeInterest(newCanonical);
+        if (!canonical) return;
+        const variants = newVariants.split(',').map(normalizeInterest).filter(Boolean);
+        setAliasSettings(variants.reduce((settings, variant) => addAlias(settings, variant, canonical), aliasSettings));
+        setNewCanonical('');
+        setNewVariants('');
+    };
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <Card title={t('aliases.suggestions')}>
+                <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-700">
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={aliasSettings.stemming} onChange={(e) => setAliasSettings({ ...aliasSettings, stemming: e.target.checked })} />
+                        {t('aliases.stemming')}
+                    </label>
+                </div>
+                {suggestions.length === 0 && <p className="text-gray-500">{t('aliases.noSuggestions')}</p>}
+                <ul className="space-y-2 max-h-[60vh] overflow-y-auto">
+                    {suggestions.slice(0, 50).map(suggestion => (
+                        <li key={`${suggestion.from}|${suggestion.to}`} className="flex flex-wrap items-center gap-2 border-b pb-2 text-sm">
+                            <span className="flex-grow">
+                                <span className="font-semibold">{suggestion.from}</span> ({suggestion.fromCount}) → <span className="font-semibold text-blue-600">{suggestion.to}</span> ({suggestion.toCount})
+                                <span className="text-xs text-gray-400 ml-2">{suggestion.reason === 'stem' ? t('aliases.sameStem') : t('aliases.editDistance', { distance: suggestion.distance })}</span>
+                            </span>
+                            <button onClick={() => setAliasSettings(addAlias(aliasSettings, suggestion.from, suggestion.to))} className="text-green-600 hover:underline">{t('aliases.merge')}</button>
+                            <button onClick={() => setAliasSettings(addAlias(aliasSettings, suggestion.to, suggestion.from))} className="text-gray-500 hover:underline" title={t('aliases.useAsCanonical', { term: suggestion.from })}>{t('aliases.reverse')}</button>
+                            <button onClick={() => setAliasSettings(rejectMerge(aliasSettings, suggestion.from, suggestion.to))} className="text-red-500 hover:underline">{t('aliases.reject')}</button>
+                        </li>
+                    ))}
+                </ul>
+            </Card>
+            <Card title={t('aliases.dictionary')}>
+                <div className="flex flex-col sm:flex-row gap-2 mb-4">
+                    <input type="text" value={newCanonical} onChange={(e) => setNewCanonical(e.target.value)} placeholder={t('aliases.canonicalPlaceholder')} className="p-2 border border-gray-300 rounded-lg" />
+                    <input type="text" value={newVariants} onChange={(e) => setNewVariants(e.target.value)} placeholder={t('aliases.variantsPlaceholder')} className="flex-grow p-2 border border-gray-300 rounded-lg" />
+                    <button onClick={addAliases} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">{t('aliases.add')}</button>
+                </div>
+                <ul className="space-y-3 max-h-[50vh] overflow-y-auto">
+                    {Object.entries(aliasSettings.aliases).sort(([a], [b]) => a.localeCompare(b, 'sv')).map(([canonical, variants]) => (
+                        <li key={canonical} className="border-b pb-2">
+                            <span className="font-semibold text-gray-700">{canonical}</span>
+                            <div className="mt-1 flex flex-wrap gap-2">
+                                {variants.map(variant => (
+                                    <span key={variant} className="bg-gray-200 text-gray-700 text-xs font-semibold px-2.5 py-0.5 rounded">
+                                        {variant}
+                                        <button onClick={() => setAliasSettings(removeAlias(aliasSettings, canonical, variant))} className="ml-1 text-gray-400 hover:text-red-500" aria-label={t('aliases.removeVariant', { variant })}>×</button>
+                                    </span>
+                                ))}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+                <div className="flex gap-2 mt-4 text-sm">
+                    <button onClick={() => setAliasSettings({ ...aliasSettings, rejected: [] })} disabled={aliasSettings.rejected.length === 0} className="px-3 py-1 rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-50">
+                        {t('aliases.showRejected', { count: aliasSettings.rejected.length })}
+                    </button>
+                    <button onClick={() => setAliasSettings(DEFAULT_ALIAS_SETTINGS)} className="px-3 py-1 rounded-lg text-gray-700 hover:bg-gray-100">{t('taxonomy.reset')}</button>
+                </div>
+            </Card>
+            <Card title={t('aliases.merged')} className="lg:col-span-2">
+                {mergedTerms.length === 0 && <p className="text-gray-500">{t('aliases.noMerged')}</p>}
+                <ul className="space-y-2 max-h-[50vh] overflow-y-auto text-sm">
+                    {mergedTerms.map(({ canonical, total, raw }) => (
+                        <li key={canonical} className="border-b pb-2">
+                            <span className="font-semibold text-gray-700">{canonical}</span> <span className="text-gray-500">{t('aliases.mergedSummary', { mentions: total, variants: raw.length })}</span>
+                            <div className="text-gray-600">{raw.map(([variant, count]) => `${variant} (${count})`).join(', ')}</div>
+                        </li>
+                    ))}
+                </ul>
+            </Card>
+        </div>
+    );
+};
+
+const ConnectionsView = ({ allLines, resolveInterest, term, mode, setRouteParams }) => {
+    const i18n = useI18n();
+    const { t, formatPercent } = i18n;
+    const [significantOnly, setSignificantOnly] = useState(false);
+
+    // Built once per set of lines, so every keystroke only reads the lines that mention the term.
+    const interestIndex = React.useMemo(() => buildInterestIndex(allLines), [allLines]);
+
+    // The searched term comes from the URL, so word-cloud links and shared links open with results.
+    const connections = React.useMemo(() => {
+        const normalizedSearch = resolveInterest(term);
+        if (!normalizedSearch) return null;
+
+        const linesWithTerm = (interestIndex.get(normalizedSearch) || []).map(lineIndex => allLines[lineIndex]);
+        if (linesWithTerm.length === 0) {
+            return { error: t('connections.noReaders', { term }) };
+        }
+
+        const relatedCounts = {};
+        linesWithTerm.forEach(line => {
+            new Set(line).forEach(interest => {
+                if (interest !== normalizedSearch) {
+                    relatedCounts[interest] = (relatedCounts[interest] || 0) + 1;
+                }
+            });
+        });
+
+        // A connection is significant when the interest is more or less common among
+        // readers of the term than among everyone else. Every co-occurring interest
+        // is tested, so the p-values are adjusted for the number of tests.
+        const withTerm = linesWithTerm.length;
+        const withoutTerm = allLines.length - withTerm;
+        const tested = Object.entries(relatedCounts).map(([interest, count]) => ({
+            interest,
+            count,
+            share: count / withTerm,
+            interval: wilsonInterval(count, withTerm),
+            ...compareProportions(count, withTerm, interestIndex.get(interest).length - count, withoutTerm),
+        }));
+        const adjusted = adjustPValues(tested.map(item => item.pValue));
+        const sorted = tested
+            .map((item, i) => ({ ...item, pValue: adjusted[i] }))
+            .filter(item => !significantOnly || isSignificant(item.pValue))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 15);
+
+        if (sorted.length === 0) {
+            return { error: significantOnly ? t('connections.noSignificant', { term }) : t('connections.noOthers', { term }) };
+        }
+        return { term, size: withTerm, list: sorted };
+    }, [term, allLines, interestIndex, resolveInterest, significantOnly, t]);
+
+    // The most mentioned interests containing what has been typed so far.
+    const suggestions = React.useMemo(() => {
+        const typed = normalizeInterest(term);
+        if (!typed) return [];
+        const matches = [];
+        interestIndex.forEach((lineIndexes, interest) => {
+            if (interest !== typed && interest.includes(typed)) matches.push([interest, lineIndexes.length]);
+        });
+        return matches.sort(([, a], [, b]) => b - a).slice(0, 10).map(([interest]) => interest);
+    }, [term, interestIndex]);
+
+    const modeToggle = (
+        <div className="flex justify-center gap-2 mb-6">
+            {['search', 'network', 'rules'].map(value => (
+                <button
+                    key={value}
+                    onClick={() => setRouteParams({ mode: value === 'search' ? '' : value })}
+                    className={`px-4 py-2 rounded-md font-semibold ${mode === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-blue-100 shadow'}`}
+                >
+                    {t(`connections.mode.${value}`)}
+                </button>
+            ))}
+        </div>
+    );
+
+    if (mode === 'network' || mode === 'rules') {
+        return (
+            <>
+                {modeToggle}
+                {mode === 'network' ? <NetworkView allLines={allLines} /> : <AssociationRulesView allLines={allLines} />}
+            </>
+        );
+    }
+
+    return (
+        <>
+            {modeToggle}
+            <Card title={t('connections.title')}>
+                <p className="text-gray-600 mb-4">{t('connections.intro')}</p>
+                <input
+                    type="text"
+                    value={term}
+                    onChange={(e) => setRouteParams({ term: e.target.value }, { replace: true })}
+                    placeholder={t('connections.placeholder')}
+                    list="connection-suggestions"
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <datalist id="connection-suggestions">
+                    {suggestions.map(interest => <option key={interest} value={interest} />)}
+                </datalist>
+                <div className="mt-4">
+                    <SignificanceToggle checked={significantOnly} onChange={setSignificantOnly} />
+                </div>
+                <div className="mt-6 min-h-[150px]">
+                    {!connections && <p className="text-gray-500">{t('connections.start')}</p>}
+                    {connections?.error && <p className="text-red-500">{connections.error}</p>}
+                    {connections?.list && (
+                        <>
+                            <div className="flex justify-between items-start gap-2 mb-3">
+                                <h3 className="text-lg font-semibold">{t('connections.resultBefore')} <span className="text-blue-600">{connections.term}</span> {t('connections.resultAfter')}</h3>
+                                <TableExportButtons
+                                    columns={[
+                                        { key: 'interest', label: t('columns.interest') },
+                                        { key: 'percentage', label: t('connections.shareColumn', { term: connections.term }) },
+                                        { key: 'low', label: t('connections.ciLow') },
+                                        { key: 'high', label: t('connections.ciHigh') },
+                                        { key: 'pValue', label: t('stats.adjustedPValue') },
+                                        { key: 'test', label: t('stats.test') },
+                                    ]}
+                                    rows={connections.list.map(item => ({
+                                        interest: item.interest,
+                                        percentage: roundTo(item.share * 100),
+                                        low: roundTo(item.interval.low * 100),
+                                        high: roundTo(item.interval.high * 100),
+                                        pValue: roundTo(item.pValue, 4),
+                                        test: testName(item.test, i18n),
+                                    }))}
+                                    fileName={`kopplingar-${connections.term}`}
+                                />
+                            </div>
+                            <SampleSizeWarning groups={[{ label: t('connections.readersWithTerm', { term: connections.term }), size: connections.size }]} />
+                            <ul className="list-disc list-inside space-y-2">
+                                {connections.list.map(item => (
+                                    <li key={item.interest} className="text-gray-700">
+                                        <button onClick={() => setRouteParams({ term: item.interest })} className="hover:text-blue-600 hover:underline">
+                                            {item.interest.charAt(0).toUpperCase() + item.interest.slice(1)}
+                                        </button>
+                                        {' '}<span className="text-sm text-gray-500">
+                                            ({t('connections.itemShare', { share: formatPercent(item.share), interval: formatInterval(item.interval, i18n) })}
+                                            {isSignificant(item.pValue) ? '' : t('connections.notSignificant')})
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                            <p className="mt-3 text-xs text-gray-500">{t('connections.adjustedNote')}</p>
+                        </>
+                    )}
+                </div>
+            </Card>
+        </>
+    );
+};
+
+const NETWORK_WIDTH = 800;
+const NETWORK_HEIGHT = 560;
+
+const NetworkView = ({ allLines }) => {
+    const { t, formatNumber } = useI18n();
+    const maxSupport = Math.max(2, Math.ceil(allLines.length / 20));
+    const [minSupport, setMinSupport] = useState(Math.min(5, maxSupport));
+    const [maxNodes, setMaxNodes] = useState(60);
+    const [measure, setMeasure] = useState('lift');
+    const [focused, setFocused] = useState(null);
+
+    const graph = React.useMemo(() => {
+        const { nodes, edges, total } = buildCooccurrenceGraph(allLines, { minSupport, maxNodes, measure });
+        const communities = detectCommunities(nodes, edges);
+        const positions = layoutGraph(nodes, edges, communities, { width: NETWORK_WIDTH, height: NETWORK_HEIGHT });
+        return { nodes, edges, total, communities, positions };
+    }, [allLines, minSupport, maxNodes, measure]);
+
+    useEffect(() => {
+        setFocused(null);
+    }, [graph]);
+
+    const maxCount = Math.max(...graph.nodes.map(node => node.count), 1);
+    const maxWeight = Math.max(...graph.edges.map(edge => edge.weight), 1);
+    const radius = (count) => 6 + Math.sqrt(count / maxCount) * 24;
+    const colorOf = (id) => CATEGORY_COLORS[graph.communities.get(id) % CATEGORY_COLORS.length];
+
+    const focusedEdges = focused ? graph.edges.filter(edge => edge.source === focused || edge.target === focused) : [];
+    const neighbourIds = new Set(focusedEdges.flatMap(edge => [edge.source, edge.target]));
+    const isVisible = (id) => !focused || neighbourIds.has(id) || id === focused;
+
+    const communityCount = new Set(graph.communities.values()).size;
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <Card title={t('network.title')} className="lg:col-span-2">
+                <div className="flex flex-wrap gap-4 mb-4 text-sm text-gray-700">
+                    <label className="flex items-center gap-2">
+                        {t('network.minSupport', { count: minSupport })}
+                        <input type="range" min="1" max={maxSupport} value={minSupport} onChange={(e) => setMinSupport(Number(e.target.value))} />
+                    </label>
+                    <label className="flex items-center gap-2">
+                        {t('network.maxNodes', { count: maxNodes })}
+                        <input type="range" min="10" max="120" step="10" value={maxNodes} onChange={(e) => setMaxNodes(Number(e.target.value))} />
+                    </label>
+                    <label className="flex items-center gap-2">
+                        {t('network.edgeWeight')}
+                        <select value={measure} onChange={(e) => setMeasure(e.target.value)} className="p-1 border border-gray-300 rounded">
+                            {Object.entries(EDGE_MEASURES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    </label>
+                </div>
+                {graph.nodes.length === 0 ? (
+                    <p className="text-gray-500">{t('network.empty')}</p>
+                ) : (
+                    <svg viewBox={`0 0 ${NETWORK_WIDTH} ${NETWORK_HEIGHT}`} className="w-full border border-gray-200 rounded-lg bg-gray-50" onClick={() => setFocused(null)}>
+                        {graph.edges.map(edge => {
+                            const a = graph.positions.get(edge.source);
+                            const b = graph.positions.get(edge.target);
+                            const active = focused && (edge.source === focused || edge.target === focused);
+                            return (
+                                <line
+                                    key={`${edge.source}|${edge.target}`}
+                                    x1={a.x} y1={a.y} x2={b.x} y2={b.y}
+                                    stroke={active ? '#2563EB' : '#9CA3AF'}
+                                    strokeWidth={0.5 + (edge.weight / maxWeight) * 4}
+                                    strokeOpacity={focused ? (active ? 0.9 : 0.05) : 0.4}
+                                />
+                            );
+                        })}
+                        {graph.nodes.map(node => {
+                            const { x, y } = graph.positions.get(node.id);
+                            const r = radius(node.count);
+                            return (
+                                <g
+                                    key={node.id}
+                                    transform={`translate(${x}, ${y})`}
+                                    opacity={isVisible(node.id) ? 1 : 0.15}
+                                    className="cursor-pointer"
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        setFocused(focused === node.id ? null : node.id);
+                                    }}
+                                >
+                                    <circle r={r} fill={colorOf(node.id)} fillOpacity="0.8" stroke={focused === node.id ? '#111827' : '#fff'} strokeWidth="1.5" />
+                                    <text y={r + 11} textAnchor="middle" fontSize="11" fill="#374151">{node.id}</text>
+                                    <title>{t('network.nodeTitle', { term: node.id, count: node.count })}</title>
+                                </g>
+                            );
+                        })}
+                    </svg>
+                )}
+                <p className="text-xs text-gray-500 mt-2">
+                    {t('network.summary', { nodes: graph.nodes.length, edges: graph.edges.length, communities: communityCount, measure: EDGE_MEASURES[measure] })}
+                </p>
+            </Card>
+            <Card title={focused ? t('network.neighbours', { term: focused }) : t('network.clusters')}>
+                {focused ? (
+                    <ul className="space-y-2 text-sm max-h-[60vh] overflow-y-auto">
+                        {focusedEdges.length === 0 && <li className="text-gray-500">{t('network.noNeighbours')}</li>}
+                        {focusedEdges.map(edge => {
+                            const other = edge.source === focused ? edge.target : edge.source;
+                            return (
+                                <li key={other} className="flex justify-between border-b pb-1">
+                                    <button onClick={() => setFocused(other)} className="text-blue-600 hover:underline">{other}</button>
+                                    <span className="text-gray-500">{t('network.edge', { count: edge.count, lift: formatNumber(edge.lift, { decimals: 2 }) })}</span>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                ) : (
+                    <ul className="space-y-3 text-sm max-h-[60vh] overflow-y-auto">
+                        {Array.from({ length: communityCount }, (_, community) => (
+                            <li key={community}>
+                                <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: CATEGORY_COLORS[community % CATEGORY_COLORS.length] }}></span>
+                                {graph.nodes.filter(node => graph.communities.get(node.id) === community).map(node => node.id).join(', ')}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </Card>
+        </div>
+    );
+};
+
+// Rules are mined once per support/length setting; confidence, lift and the
+// text filter only narrow the mined list, so they respond instantly.
+const MAX_RULES_SHOWN = 200;
 
-        const interestCounts = lines.flat().reduce((acc, interest) => {
-            acc[interest] = (acc[interest] || 0) + 1;
-            return acc;
-        }, {});
+const AssociationRulesView = ({ allLines }) => {
+    const i18n = useI18n();
+    const { t, formatNumber, formatPercent } = i18n;
+    const [minSupport, setMinSupport] = useState(1);
+    const [maxLength, setMaxLength] = useState(3);
+    const [minConfidence, setMinConfidence] = useState(20);
+    const [minLift, setMinLift] = useState(1.2);
+    const [termFilter, setTermFilter] = useState('');
+    const [sortKey, setSortKey] = useState('lift');
+    const [rules, setRules] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState('');
+    const workerRef = useRef(null);
 
-        const sorted = Object.entries(interestCounts).sort(([, a], [, b]) => b - a);
-        setSortedInterests(sorted);
+    const stopWorker = useCallback(() => {
+        if (workerRef.current) {
+            workerRef.current.terminate();
+            workerRef.current = null;
+        }
+        setProgress(null);
     }, []);
 
-    const renderView = () => {
-        switch (activeView) {
-            case 'categories':
-                return <CategoriesView sortedInterests={sortedInterests} />;
-            case 'connections':
-                return <ConnectionsView allLines={allLines} />;
-            case 'ai-analysis':
-                return <AIAnalysisView sortedInterests={sortedInterests} />;
-            case 'overview':
-            default:
-                return <OverviewView sortedInterests={sortedInterests} setActiveView={setActiveView} />;
-        }
+    useEffect(() => stopWorker, [stopWorker]);
+
+    // Results belong to the lines they were mined from; a new segment needs a new
+    // run, and a run still mining the old lines is stopped.
+    useEffect(() => {
+        stopWorker();
+        setRules(null);
+    }, [allLines, stopWorker]);
+
+    const runMining = () => {
+        stopWorker();
+        setError('');
+        setProgress(0);
+        const worker = new Worker(new URL('./associationRules.worker.js', import.meta.url));
+        workerRef.current = worker;
+        worker.onmessage = (event) => {
+            // A terminated worker can still have a message queued.
+            if (workerRef.current !== worker) return;
+            const message = event.data;
+            if (message.type === 'progress') {
+                setProgress(message.progress);
+            } else {
+                if (message.type === 'done') setRules(message.rules);
+                if (message.type === 'error') setError(t('rules.failed', { error: i18n.formatError(toWorkerError(message)) }));
+                stopWorker();
+            }
+        };
+        // A worker that fails to load or runs out of memory never posts an error message.
+        worker.onerror = (event) => {
+            if (workerRef.current !== worker) return;
+            console.error('Error in association rules worker:', event.message);
+            setError(t('rules.failed', { error: event.message || t('rules.workerCrashed') }));
+            stopWorker();
+        };
+        worker.postMessage({ lines: allLines, options: { minSupport: minSupport / 100, maxLength, minConfidence: 0, minLift: 0 } });
     };
 
-    return (
-        <div className="container mx-auto p-4 md:p-6">
-            <header className="text-center mb-6">
-                <h1 className="text-3xl md:text-4xl font-bold text-slate-900">Interaktiv Intressedashboard med AI</h1>
-                <p className="text-md md:text-lg text-slate-600 mt-2">Utforska läsarintressen från Ny Teknik.</p>
-            </header>
+    const visibleRules = React.useMemo(() => {
+        if (!rules) return [];
+        const filter = termFilter.trim().toLowerCase();
+        return rules
+            .filter(rule => rule.confidence * 100 >= minConfidence && rule.lift >= minLift)
+            .filter(rule => !filter || rule.consequent.includes(filter) || rule.antecedent.some(item => item.includes(filter)))
+            .sort((a, b) => b[sortKey] - a[sortKey]);
+    }, [rules, minConfidence, minLift, termFilter, sortKey]);
 
-            {sortedInterests.length === 0 ? (
-                <Card title="1. Ladda upp din datafil" className="max-w-2xl mx-auto text-center">
-                    <p className="text-slate-500 mb-4">Välj en .txt-fil där varje rad representerar en persons intressen, separerade med kommatecken.</p>
-                    <input type="file" id="fileInput" accept=".txt" onChange={handleFileSelect} className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100" />
-                    {isLoading && <p className="mt-4 text-blue-600">Bearbetar filen...</p>}
-                </Card>
-            ) : (
+    const sortHeader = (key, label) => (
+        <th className="p-2 text-right">
+            <button onClick={() => setSortKey(key)} className={`font-semibold ${sortKey === key ? 'text-blue-600' : 'text-gray-600 hover:underline'}`}>
+                {label}{sortKey === key ? ' ↓' : ''}
+            </button>
+        </th>
+    );
+
+    return (
+        <Card title={t('rules.title')}>
+            <p className="text-gray-600 mb-4">
+                {t('rules.intro', { example: '{elbil, batteri} → laddning' })}
+            </p>
+            <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-700">
+                <label className="flex items-center gap-2">
+                    {t('rules.minSupport')}
+                    <input type="number" min="0.1" step="0.1" value={minSupport} onChange={(e) => setMinSupport(Number(e.target.value))} className="w-20 p-2 border border-gray-300 rounded-lg" />
+                </label>
+                <label className="flex items-center gap-2">
+                    {t('rules.maxLength')}
+                    <select value={maxLength} onChange={(e) => setMaxLength(Number(e.target.value))} className="p-2 border border-gray-300 rounded-lg">
+                        {[2, 3, 4].map(length => <option key={length} value={length}>{length}</option>)}
+                    </select>
+                </label>
+                {progress === null ? (
+                    <button onClick={runMining} className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors">{t('rules.run')}</button>
+                ) : (
+                    <>
+                        <span className="text-blue-600">{t('rules.running', { progress: formatPercent(progress, 0) })}</span>
+                        <button onClick={stopWorker} className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100">{t('common.cancel')}</button>
+                    </>
+                )}
+            </div>
+            {error && <p className="text-red-500 mb-4">{error}</p>}
+            {rules && (
                 <>
-                    <nav id="view-navigation" className="flex justify-center flex-wrap gap-2 mb-8 bg-white p-2 rounded-lg shadow-md sticky top-2 z-10">
-                        {['overview', 'categories', 'connections', 'ai-analysis'].map(view => (
-                            <button
-                                key={view}
-                                onClick={() => setActiveView(view)}
-                                className={`nav-button px-4 py-2 rounded-md font-semibold text-gray-700 hover:bg-blue-100 ${activeView === view ? 'active' : ''}`}
-                            >
-                                {view.charAt(0).toUpperCase() + view.slice(1).replace('-', ' ')}
-                            </button>
-                        ))}
-                    </nav>
-                    {renderView()}
+                    <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-700">
+                        <label className="flex items-center gap-2">
+                            {t('rules.minConfidence')}
+                            <input type="number" min="0" max="100" value={minConfidence} onChange={(e) => setMinConfidence(Number(e.target.value))} className="w-20 p-2 border border-gray-300 rounded-lg" />
+                        </label>
+                        <label className="flex items-center gap-2">
+                            {t('rules.minLift')}
+                            <input type="number" min="0" step="0.1" value={minLift} onChange={(e) => setMinLift(Number(e.target.value))} className="w-20 p-2 border border-gray-300 rounded-lg" />
+                        </label>
+                        <input type="text" value={termFilter} onChange={(e) => setTermFilter(e.target.value)} placeholder={t('rules.filterPlaceholder')} className="flex-grow p-2 border border-gray-300 rounded-lg" />
+                    </div>
+                    <div className="flex justify-between items-center gap-2 mb-2">
+                        <p className="text-sm text-gray-500">
+                            {t('rules.count', { visible: visibleRules.length, total: rules.length })}{visibleRules.length > MAX_RULES_SHOWN && t('rules.truncated', { count: MAX_RULES_SHOWN })}.
+                        </p>
+                        <TableExportButtons
+                            columns={[
+                                { key: 'antecedent', label: t('rules.antecedent') },
+                                { key: 'consequent', label: t('rules.consequent') },
+                                { key: 'count', label: t('rules.readers') },
+                                { key: 'support', label: t('rules.support') },
+                                { key: 'confidence', label: t('rules.confidence') },
+                                { key: 'lift', label: t('rules.lift') },
+                            ]}
+                            rows={visibleRules.map(rule => ({
+                                ...rule,
+                                antecedent: rule.antecedent.join(', '),
+                                support: roundTo(rule.support, 4),
+                                confidence: roundTo(rule.confidence, 4),
+                                lift: roundTo(rule.lift, 2),
+                            }))}
+                            fileName="associationsregler"
+                        />
+                    </div>
+                    <div className="overflow-x-auto max-h-[60vh] overflow-y-auto">
+                        <table className="min-w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-600 border-b">
+                                    <th className="p-2">{t('rules.rule')}</th>
+                                    {sortHeader('count', t('rules.readers'))}
+                                    {sortHeader('support', t('rules.support'))}
+                                    {sortHeader('confidence', t('rules.confidence'))}
+                                    {sortHeader('lift', t('rules.lift'))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visibleRules.slice(0, MAX_RULES_SHOWN).map(rule => (
+                                    <tr key={`${rule.antecedent.join('+')}>${rule.consequent}`} className="border-b">
+                                        <td className="p-2 text-gray-700">{`{${rule.antecedent.join(', ')}}`} → <span className="font-semibold">{rule.consequent}</span></td>
+                                        <td className="p-2 text-right">{rule.count}</td>
+                                        <td className="p-2 text-right">{formatPercent(rule.support)}</td>
+                                        <td className="p-2 text-right">{formatPercent(rule.confidence)}</td>
+                                        <td className="p-2 text-right font-semibold">{formatNumber(rule.lift, { decimals: 2 })}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
                 </>
             )}
+        </Card>
+    );
+};
+
+const formatPoints = (value, { formatNumber }) => `${value > 0 ? '+' : ''}${formatNumber(value * 100, { decimals: 1 })}`;
+
+const MoversList = ({ title, items, className }) => {
+    const i18n = useI18n();
+    const { t, formatPercent } = i18n;
+    return (
+        <div>
+            <h3 className="font-bold mb-2">{title}</h3>
+            {items.length === 0 && <p className="text-sm text-gray-500">{t('common.none')}</p>}
+            <ul className="space-y-1 text-sm">
+                {items.map(item => (
+                    <li key={item.term} className="flex justify-between border-b pb-1">
+                        <span className="text-gray-700">{item.term}</span>
+                        <span className={className} title={t('trends.moverTitle', { test: testName(item.test, i18n), pValue: formatPValue(item.pValue, i18n) })}>
+                            {formatPoints(item.change, i18n)}{isSignificant(item.pValue) ? '' : '*'} <span className="text-gray-400">({formatPercent(item.from)} → {formatPercent(item.to)})</span>
+                        </span>
+                    </li>
+                ))}
+            </ul>
         </div>
     );
-}
+};
 
-// --- View Components ---
+const TrendsView = ({ waves, taxonomy }) => {
+    const { t, formatNumber } = useI18n();
+    const trendChartRef = useRef(null);
+    const trendChartInstance = useRef(null);
+    const categoryChartRef = useRef(null);
+    const categoryChartInstance = useRef(null);
 
-const OverviewView = ({ sortedInterests, setActiveView }) => {
-    const [filter, setFilter] = useState('');
-    const chartRef = useRef(null);
-    const chartInstance = useRef(null);
+    const stats = React.useMemo(() => computeWaveShares(waves), [waves]);
+    const categoryShares = React.useMemo(() => computeCategoryShares(waves, taxonomy), [waves, taxonomy]);
+    const emerging = React.useMemo(() => findEmergingTerms(stats), [stats]);
+    const candidates = React.useMemo(() => topTermsOverTime(stats, 30), [stats]);
 
-    const filteredData = sortedInterests.filter(([interest]) => interest.toLowerCase().includes(filter.toLowerCase()));
+    const [selectedTerms, setSelectedTerms] = useState(() => candidates.slice(0, 6));
+    const [fromIndex, setFromIndex] = useState(Math.max(0, waves.length - 2));
+    const [toIndex, setToIndex] = useState(waves.length - 1);
+    const [significantOnly, setSignificantOnly] = useState(false);
 
+    // A different set of waves (another file or session) starts over from its
+    // own latest waves and top terms; a new segment keeps the choices.
+    const waveKey = stats.labels.join('\n');
+    const shownWaveKey = useRef(waveKey);
     useEffect(() => {
-        if (chartInstance.current) {
-            chartInstance.current.destroy();
-        }
-        const ctx = chartRef.current.getContext('2d');
-        chartInstance.current = new Chart(ctx, {
-            type: 'bar',
+        if (shownWaveKey.current === waveKey) return;
+        shownWaveKey.current = waveKey;
+        setSelectedTerms(candidates.slice(0, 6));
+        setFromIndex(Math.max(0, stats.labels.length - 2));
+        setToIndex(stats.labels.length - 1);
+    }, [waveKey, candidates, stats]);
+
+    const movers = React.useMemo(
+        () => findMovers(stats, Math.min(fromIndex, waves.length - 1), Math.min(toIndex, waves.length - 1), { significantOnly }),
+        [stats, fromIndex, toIndex, waves.length, significantOnly],
+    );
+
+    useEffect(() => {
+        if (waves.length < 2) return undefined;
+        const ctx = trendChartRef.current.getContext('2d');
+        trendChartInstance.current = new Chart(ctx, {
+            type: 'line',
             data: {
-                labels: filteredData.map(item => item[0]),
-                datasets: [{
-                    label: 'Antal omnämnanden',
-                    data: filteredData.map(item => item[1]),
-                    backgroundColor: 'rgba(59, 130, 246, 0.5)',
-                    borderColor: 'rgba(59, 130, 246, 1)',
-                    borderWidth: 1
-                }]
+                labels: stats.labels,
+                datasets: selectedTerms.filter(term => stats.shares.has(term)).map((term, i) => ({
+                    label: term,
+                    data: stats.shares.get(term).map(value => value * 100),
+                    errorBars: stats.counts.map((waveCounts, wave) => toPercentBar(wilsonInterval(waveCounts.get(term) || 0, stats.totals[wave]))),
+                    errorBarColor: CATEGORY_COLORS[i % CATEGORY_COLORS.length],
+                    borderColor: CATEGORY_COLORS[i % CATEGORY_COLORS.length],
+                    backgroundColor: CATEGORY_COLORS[i % CATEGORY_COLORS.length],
+                    tension: 0.2
+                }))
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
-                scales: { y: { beginAtZero: true } },
-                plugins: { legend: { display: false } }
-            }
-        });
-        return () => chartInstance.current.destroy();
-    }, [filteredData]);
-
-    return (
-        <div>
-            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
-                <Card title="Topp 10 Intressen" className="lg:col-span-1">
-                    <ol className="list-decimal list-inside space-y-2">
-                        {sortedInterests.slice(0, 10).map(([interest, count]) => (
-                            <li key={interest} className="text-gray-600">
-                                {interest.charAt(0).toUpperCase() + interest.slice(1)} ({count})
-                            </li>
-                        ))}
-                    </ol>
-                </Card>
-                <Card title="Intressediagram" className="lg:col-span-2">
-                    <input type="text" value={filter} onChange={(e) => setFilter(e.target.value)} placeholder="Sök för att filtrera diagrammet..." className="w-full p-3 mb-4 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500" />
-                    <div className="chart-container">
-                        <canvas ref={chartRef}></canvas>
-                    </div>
-                </Card>
-            </div>
-            <Card title="Ordmoln" id="word-cloud-container">
-                <div className="flex flex-wrap justify-center items-center gap-2 p-4">
-                    {sortedInterests.slice(0, 50).map(([text, count]) => {
-                        const maxCount = sortedInterests[0][1];
-                        const fontSize = 12 + (count / maxCount) * 48;
-                        return (
-                            <span
-                                key={text}
-                                className="inline-block cursor-pointer"
-                                style={{
-                                    fontSize: `${Math.max(12, fontSize)}px`,
-                                    color: `hsl(${Math.random() * 360}, 70%, 50%)`,
-                                    margin: '4px',
-                                    padding: '2px 5px'
-                                }}
-                                onClick={() => {
-                                    // A bit of a hack to communicate between sibling components without a full state manager
-                                    const connectionInput = document.getElementById('connectionInput');
-                                    if (connectionInput) {
-                                      connectionInput.value = text;
-                                    }
-                                    setActiveView('connections');
-                                }}
-                            >
-                                {text}
-                            </span>
-                        );
-                    })}
-                </div>
-            </Card>
-        </div>
-    );
-};
-
-const CategoriesView = ({ sortedInterests }) => {
-    const chartRef = useRef(null);
-    const chartInstance = useRef(null);
-    
-    const { categoryCounts, categoryTerms } = React.useMemo(() => {
-        const counts = {};
-        const terms = {};
-        Object.keys(categories).forEach(cat => {
-            counts[cat] = 0;
-            terms[cat] = {};
-        });
-
-        sortedInterests.forEach(([interest, count]) => {
-            let assigned = false;
-            for (const category in categories) {
-                if (categories[category].some(keyword => interest.includes(keyword))) {
-                    counts[category] += count;
-                    terms[category][interest] = (terms[category][interest] || 0) + count;
-                    assigned = true;
-                    break;
-                }
-            }
-            if (!assigned) {
-                counts['Övrigt'] += count;
-                terms['Övrigt'][interest] = (terms['Övrigt'][interest] || 0) + count;
+                scales: { y: { beginAtZero: true, title: { display: true, text: t('trends.shareAxis') } } },
+                plugins: { legend: { position: 'top' } }
             }
         });
-        return { categoryCounts: counts, categoryTerms: terms };
-    }, [sortedInterests]);
+        return () => trendChartInstance.current.destroy();
+    }, [stats, selectedTerms, waves.length, t]);
 
     useEffect(() => {
-        if (chartInstance.current) {
-            chartInstance.current.destroy();
-        }
-        const ctx = chartRef.current.getContext('2d');
-        chartInstance.current = new Chart(ctx, {
-            type: 'pie',
+        if (waves.length < 2) return undefined;
+        const ctx = categoryChartRef.current.getContext('2d');
+        categoryChartInstance.current = new Chart(ctx, {
+            type: 'line',
             data: {
-                labels: Object.keys(categoryCounts),
-                datasets: [{
-                    data: Object.values(categoryCounts),
-                    backgroundColor: ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#6B7280'],
-                }]
+                labels: stats.labels,
+                // Each area fills down to the one below it, so the areas stack to 100 %.
+                datasets: categoryShares.map(({ category, values }, i) => ({
+                    label: category,
+                    data: values.map(value => value * 100),
+                    fill: i === 0 ? 'origin' : '-1',
+                    borderColor: getCategoryColor(taxonomy, category),
+                    backgroundColor: `${getCategoryColor(taxonomy, category)}99`,
+                    tension: 0.2
+                }))
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
-                plugins: {
-                    legend: { position: 'top' },
-                    title: { display: true, text: 'Fördelning av Intressen' }
-                }
+                scales: { y: { stacked: true, min: 0, max: 100, title: { display: true, text: t('trends.mentionShareAxis') } } },
+                plugins: { legend: { position: 'top' } }
             }
         });
-        return () => chartInstance.current.destroy();
-    }, [categoryCounts]);
+        return () => categoryChartInstance.current.destroy();
+    }, [stats, categoryShares, taxonomy, waves.length, t]);
+
+    if (waves.length < 2) {
+        return (
+            <Card title={t('trends.title')}>
+                <p className="text-gray-500">{t('trends.needTwoWaves')}</p>
+            </Card>
+        );
+    }
+
+    const toggleTerm = (term) => {
+        setSelectedTerms(selectedTerms.includes(term) ? selectedTerms.filter(candidate => candidate !== term) : [...selectedTerms, term]);
+    };
 
     return (
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-            <Card title="Intressen per Kategori">
-                <div className="chart-container" style={{ height: '50vh' }}>
-                    <canvas ref={chartRef}></canvas>
+        <div className="space-y-6">
+            <Card title={t('trends.interests')} actions={<ChartExportButtons chartRef={trendChartInstance} fileName="intressen-over-tid" />}>
+                <div className="flex flex-wrap gap-2 mb-4">
+                    {candidates.map(term => (
+                        <button
+                            key={term}
+                            onClick={() => toggleTerm(term)}
+                            className={`text-xs font-semibold px-2.5 py-1 rounded ${selectedTerms.includes(term) ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-blue-100'}`}
+                        >
+                            {term}
+                        </button>
+                    ))}
                 </div>
+                <SampleSizeWarning groups={stats.labels.map((label, i) => ({ label, size: stats.totals[i] }))} />
+                <div className="chart-container">
+                    <canvas ref={trendChartRef}></canvas>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">{t('trends.errorBars')}</p>
             </Card>
-            <Card title="Toppämnen inom Kategorier">
-                <div className="space-y-4 max-h-[50vh] overflow-y-auto">
-                    {Object.keys(categoryTerms).map(category => (
-                        <div key={category} className="p-4 border-b">
-                            <h3 className="font-bold text-lg">{category}</h3>
-                            <div className="mt-2 flex flex-wrap gap-2">
-                                {Object.entries(categoryTerms[category])
-                                    .sort(([, a], [, b]) => b - a)
-                                    .slice(0, 5)
-                                    .map(([term, count]) => (
-                                        <span key={term} className="bg-gray-200 text-gray-700 text-xs font-semibold mr-2 px-2.5 py-0.5 rounded">
-                                            {term} ({count})
-                                        </span>
-                                    ))}
-                            </div>
-                        </div>
-                    ))}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <Card title={t('trends.movers')}>
+                    <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700">
+                        {t('trends.from')}
+                        <select value={fromIndex} onChange={(e) => setFromIndex(Number(e.target.value))} className="p-1 border border-gray-300 rounded">
+                            {stats.labels.map((label, i) => <option key={i} value={i}>{label}</option>)}
+                        </select>
+                        {t('trends.to')}
+                        <select value={toIndex} onChange={(e) => setToIndex(Number(e.target.value))} className="p-1 border border-gray-300 rounded">
+                            {stats.labels.map((label, i) => <option key={i} value={i}>{label}</option>)}
+                        </select>
+                        <span className="text-gray-500">{t('trends.points')}</span>
+                    </div>
+                    <div className="mb-4">
+                        <SignificanceToggle checked={significantOnly} onChange={setSignificantOnly} />
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <MoversList title={t('trends.risers')} items={movers.risers} className="text-green-600" />
+                        <MoversList title={t('trends.fallers')} items={movers.fallers} className="text-red-500" />
+                    </div>
+                    <p className="text-xs text-gray-500 mt-4">{t('trends.notSignificant', { level: formatNumber(SIGNIFICANCE_LEVEL, { decimals: 2 }) })}</p>
+                </Card>
+                <Card title={t('trends.emerging')}>
+                    {emerging.length === 0 && <p className="text-gray-500">{t('trends.noEmerging')}</p>}
+                    <ul className="space-y-1 text-sm max-h-[40vh] overflow-y-auto">
+                        {emerging.map(item => (
+                            <li key={item.term} className="flex justify-between border-b pb-1">
+                                <span><span className="bg-green-100 text-green-700 text-xs font-semibold px-2 py-0.5 rounded mr-2">{t('trends.new')}</span>{item.term}</span>
+                                <span className="text-gray-500">{t('trends.emergingItem', { wave: item.wave, count: item.count })}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </Card>
+            </div>
+            <Card title={t('trends.categories')} actions={<ChartExportButtons chartRef={categoryChartInstance} fileName="kategorier-over-tid" />}>
+                <div className="chart-container" style={{ height: '50vh' }}>
+                    <canvas ref={categoryChartRef}></canvas>
                 </div>
             </Card>
         </div>
     );
 };
 
-const ConnectionsView = ({ allLines }) => {
-    const [searchTerm, setSearchTerm] = useState('');
-    const [connections, setConnections] = useState(null);
+const LLMSettingsPanel = ({ settings, setSettings }) => {
+    const { t, formatNumber } = useI18n();
+    const [cacheCleared, setCacheCleared] = useState(false);
 
-    const findConnections = useCallback(() => {
-        const normalizedSearch = normalizeInterest(searchTerm);
-        if (!normalizedSearch) {
-            setConnections(null);
-            return;
-        }
-
-        const linesWithTerm = allLines.filter(line => line.includes(normalizedSearch));
-        if (linesWithTerm.length === 0) {
-            setConnections({ error: `Hittade inga läsare med intresset "${searchTerm}".` });
-            return;
-        }
+    const selectProvider = (provider) => {
+        setSettings({ ...settings, provider, endpoint: PROVIDERS[provider].endpoint, model: PROVIDERS[provider].model });
+    };
 
-        const relatedCounts = {};
-        linesWithTerm.forEach(line => {
-            line.forEach(interest => {
-                if (interest !== normalizedSearch) {
-                    relatedCounts[interest] = (relatedCounts[interest] || 0) + 1;
-                }
-            });
-        });
+    return (
+        <details className="bg-white p-4 rounded-lg shadow-md mb-6">
+            <summary className="font-semibold text-gray-700 cursor-pointer">{t('ai.settings', { provider: t(`llm.provider.${settings.provider}`) })}</summary>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4 text-sm text-gray-700">
+                <label className="flex flex-col gap-1">
+                    {t('ai.provider')}
+                    <select value={settings.provider} onChange={(e) => selectProvider(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                        {Object.keys(PROVIDERS).map(value => <option key={value} value={value}>{t(`llm.provider.${value}`)}</option>)}
+                    </select>
+                </label>
+                {settings.provider !== 'offline' && (
+                    <>
+                        <label className="flex flex-col gap-1">
+                            {t('ai.endpoint')}
+                            <input type="text" value={settings.endpoint} onChange={(e) => setSettings({ ...settings, endpoint: e.target.value })} className="p-2 border border-gray-300 rounded-lg" />
+                        </label>
+                        <label className="flex flex-col gap-1">
+                            {t('ai.model')}
+                            <input type="text" value={settings.model} onChange={(e) => setSettings({ ...settings, model: e.target.value })} className="p-2 border border-gray-300 rounded-lg" />
+                        </label>
+                        <label className="flex flex-col gap-1">
+                            {t('ai.apiKey')}
+                            <input type="password" value={settings.apiKey} onChange={(e) => setSettings({ ...settings, apiKey: e.target.value })} autoComplete="off" className="p-2 border border-gray-300 rounded-lg" />
+                        </label>
+                        <label className="flex items-center gap-2 md:self-end md:pb-2">
+                            <input type="checkbox" checked={settings.rememberApiKey} onChange={(e) => setSettings({ ...settings, rememberApiKey: e.target.checked })} />
+                            {t('ai.rememberApiKey')}
+                        </label>
+                        <label className="flex flex-col gap-1">
+                            {t('ai.temperature', { value: formatNumber(Number(settings.temperature), { decimals: 1 }) })}
+                            <input type="range" min="0" max="2" step="0.1" value={settings.temperature} onChange={(e) => setSettings({ ...settings, temperature: Number(e.target.value) })} />
+                        </label>
+                        <label className="flex flex-col gap-1">
+                            {t('ai.retries')}
+                            <input type="number" min="0" max="5" value={settings.maxRetries} onChange={(e) => setSettings({ ...settings, maxRetries: Number(e.target.value) })} className="p-2 border border-gray-300 rounded-lg" />
+                        </label>
+                    </>
+                )}
+            </div>
+            <button
+                onClick={() => {
+                    clearLLMCache();
+                    setCacheCleared(true);
+                }}
+                className="mt-4 text-sm text-blue-600 hover:underline"
+            >
+                {cacheCleared ? t('ai.cacheCleared') : t('ai.clearCache')}
+            </button>
+        </details>
+    );
+};
 
-        const sorted = Object.entries(relatedCounts)
-            .sort(([, a], [, b]) => b - a)
-            .slice(0, 15)
-            .map(([interest, count]) => ({
-                interest,
-                percentage: ((count / linesWithTerm.length) * 100).toFixed(1)
-            }));
+// Copy and download buttons for a generated text.
+const ResultActions = ({ text, fileName }) => {
+    const { t } = useI18n();
+    const [copyStatus, setCopyStatus] = useState('');
 
-        if (sorted.length === 0) {
-            setConnections({ error: `Inga andra intressen hittades tillsammans med "${searchTerm}".` });
-            return;
+    const copy = async () => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopyStatus(t('ai.copied'));
+        } catch (error) {
+            console.error('Error copying text:', error);
+            setCopyStatus(t('ai.copyFailed'));
         }
-        
-        setConnections({ title: `Personer intresserade av <span class="text-blue-600">${searchTerm}</span> är också intresserade av:`, list: sorted });
-
-    }, [searchTerm, allLines]);
+        setTimeout(() => setCopyStatus(''), 2000);
+    };
 
-    // This effect allows the word cloud to trigger a search
-    useEffect(() => {
-        const input = document.getElementById('connectionInput');
-        if (input && input.value) {
-            setSearchTerm(input.value);
-            findConnections();
-        }
-    }, [findConnections]);
+    return (
+        <div className="flex justify-end gap-2 mt-2 text-sm">
+            <button onClick={copy} className="px-3 py-1 rounded text-gray-600 hover:bg-gray-100">{copyStatus || t('ai.copy')}</button>
+            <button onClick={() => downloadFile(text, fileName, 'text/markdown')} className="px-3 py-1 rounded text-gray-600 hover:bg-gray-100">{t('ai.downloadMarkdown')}</button>
+        </div>
+    );
+};
 
+const CategoryMixBar = ({ categoryMix, taxonomy }) => {
+    const { formatPercent } = useI18n();
     return (
-        <Card title="Hitta kopplingar mellan ämnen">
-            <p className="text-gray-600 mb-4">Skriv in ett ämne för att se vilka andra ämnen som oftast nämns tillsammans med det.</p>
-            <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
-                <input
-                    type="text"
-                    id="connectionInput"
-                    value={searchTerm}
-                    onChange={(e) => setSearchTerm(e.target.value)}
-                    placeholder="Ex: AI, elbil, kärnkraft..."
-                    className="flex-grow p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                />
-                <button onClick={findConnections} className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors">
-                    Sök kopplingar
-                </button>
-            </div>
-            <div className="mt-6 min-h-[150px]">
-                {!connections && <p className="text-gray-500">Börja med att skriva ett ämne i sökfältet ovan.</p>}
-                {connections?.error && <p className="text-red-500">{connections.error}</p>}
-                {connections?.list && (
-                    <>
-                        <h3 className="text-lg font-semibold mb-3" dangerouslySetInnerHTML={{ __html: connections.title }}></h3>
-                        <ul className="list-disc list-inside space-y-2">
-                            {connections.list.map(item => (
-                                <li key={item.interest} className="text-gray-700">
-                                    {item.interest.charAt(0).toUpperCase() + item.interest.slice(1)} <span className="text-sm text-gray-500">({item.percentage}% av fallen)</span>
-                                </li>
-                            ))}
-                        </ul>
-                    </>
-                )}
-            </div>
-        </Card>
+        <div className="flex h-3 rounded overflow-hidden bg-gray-100" title={categoryMix.map(({ category, share }) => `${category}: ${formatPercent(share, 0)}`).join('\n')}>
+            {categoryMix.map(({ category, share }) => (
+                <div key={category} style={{ width: `${share * 100}%`, backgroundColor: getCategoryColor(taxonomy, category) }}></div>
+            ))}
+        </div>
     );
 };
 
+// Stores a generated text on one reader segment, unless the segments have been recomputed meanwhile.
+const storeSegmentText = (createdAt, index, field) => (results, text) => {
+    if (results.segments?.createdAt !== createdAt) return results;
+    const clusters = results.segments.clusters.map((cluster, i) => (i === index ? { ...cluster, [field]: text } : cluster));
+    return { ...results, segments: { ...results.segments, clusters } };
+};
 
-const AIAnalysisView = ({ sortedInterests }) => {
-    const [personaResult, setPersonaResult] = useState('');
-    const [explanationResult, setExplanationResult] = useState('');
-    const [isPersonaLoading, setPersonaLoading] = useState(false);
-    const [isExplanationLoading, setExplanationLoading] = useState(false);
+const AIAnalysisView = ({ sortedInterests, allLines, taxonomy, sessionName, aiResults, setAiResults }) => {
+    const { language, t, formatNumber, formatPercent, formatError } = useI18n();
+    // Results live in App so they are saved with the session.
+    const { persona: personaResult, explanation: explanationResult, segments } = aiResults;
+    const [settings, setSettings] = useState(loadLLMSettings);
+    const [loading, setLoading] = useState({});
+    const [errors, setErrors] = useState({});
+    const [cached, setCached] = useState({});
+    const [streaming, setStreaming] = useState({});
+    const [segmentCount, setSegmentCount] = useState(segments?.clusters.length || 4);
+    const [bulkField, setBulkField] = useState(null);
     const explainInputRef = useRef(null);
+    const controllers = useRef({});
+    const bulkCancelled = useRef(false);
+
+    const categoryMix = React.useMemo(() => computeCategoryMix(sortedInterests, taxonomy), [sortedInterests, taxonomy]);
+
+    useEffect(() => {
+        saveLLMSettings(settings);
+    }, [settings]);
+
+    // Abort anything still running when the view is left.
+    useEffect(() => () => Object.values(controllers.current).forEach(controller => controller.abort()), []);
 
-    const callGeminiAPI = async (prompt) => {
-        const apiKey = ""; // Handled by the environment
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
+    // Runs one AI task; a new request for the same task cancels the previous one.
+    // `store` puts the finished text into the results. Resolves with true on success.
+    const runTask = async (task, request, store) => {
+        controllers.current[task]?.abort();
+        const controller = new AbortController();
+        controllers.current[task] = controller;
+        setLoading(current => ({ ...current, [task]: true }));
+        setErrors(current => ({ ...current, [task]: '' }));
+        setStreaming(current => ({ ...current, [task]: '' }));
         try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] }),
+            const { text, cached: fromCache } = await generateText({ ...request, task: request.task || task, language }, settings, {
+                signal: controller.signal,
+                onText: (partial) => setStreaming(current => ({ ...current, [task]: partial })),
             });
-            if (!response.ok) throw new Error(`API-fel: ${response.statusText}`);
-            const data = await response.json();
-            return data.candidates[0].content.parts[0].text;
+            setAiResults(results => store(results, text));
+            setCached(current => ({ ...current, [task]: fromCache }));
+            return true;
         } catch (error) {
-            console.error('Error calling Gemini API:', error);
-            return "Ett fel uppstod vid kommunikation med AI-tjänsten. Försök igen senare.";
+            if (!error.aborted) {
+                console.error(`Error running AI task "${task}":`, error);
+                setErrors(current => ({ ...current, [task]: formatError(error) }));
+            }
+            return false;
+        } finally {
+            if (controllers.current[task] === controller) {
+                delete controllers.current[task];
+                setLoading(current => ({ ...current, [task]: false }));
+                setStreaming(current => ({ ...current, [task]: '' }));
+            }
         }
     };
 
-    const generatePersona = async () => {
-        setPersonaLoading(true);
-        const topInterestsText = sortedInterests.slice(0, 30).map(item => item[0]).join(', ');
-        const prompt = `Baserat på följande lista av toppintressen från läsarna av en svensk tekniktidning, skapa en detaljerad och insiktsfull persona-beskrivning av den typiska läsaren. Beskriv deras sannolika yrkesroll, intressen utanför tekniken, och vilka typer av artiklar de skulle uppskatta mest. Svara på svenska. Intressen: ${topInterestsText}`;
-        const result = await callGeminiAPI(prompt);
-        setPersonaResult(result.replace(/\n/g, '<br>'));
-        setPersonaLoading(false);
+    const cancelTask = (task) => {
+        controllers.current[task]?.abort();
+    };
+
+    const generatePersona = () => {
+        const prompt = buildPersonaPrompt({ sortedInterests, respondentCount: allLines.length, categoryMix }, language);
+        runTask('persona', { prompt, data: { topInterests: sortedInterests.slice(0, 30) } }, (results, text) => ({ ...results, persona: text }));
     };
 
-    const explainTerm = async () => {
+    const explainTerm = () => {
         const term = explainInputRef.current.value;
         if (!term.trim()) {
-            setExplanationResult('<p class="text-red-500">Vänligen ange ett begrepp att förklara.</p>');
+            setErrors(current => ({ ...current, explain: t('ai.needTerm') }));
+            return;
+        }
+        const prompt = buildExplainPrompt(term, language);
+        runTask('explain', { prompt, data: { term } }, (results, text) => ({ ...results, explanation: text }));
+    };
+
+    // --- Reader segments ---
+
+    const findSegments = () => {
+        const result = kModes(allLines, { k: segmentCount });
+        if (result.clusters.length === 0) {
+            setErrors(current => ({ ...current, segments: t('ai.noAnswers') }));
             return;
         }
-        setExplanationLoading(true);
-        const prompt = `Förklara begreppet "${term}" på ett enkelt och koncist sätt på svenska. Målgruppen är en teknikintresserad läsare som inte nödvändigtvis är expert inom just detta område. Använd gärna en analogi om det passar.`;
-        const result = await callGeminiAPI(prompt);
-        setExplanationResult(result.replace(/\n/g, '<br>'));
-        setExplanationLoading(false);
+        const clusters = describeClusters(allLines, result, taxonomy).map(cluster => ({ ...cluster, persona: '', articleIdeas: '' }));
+        setErrors(current => ({ ...current, segments: '' }));
+        setAiResults(results => ({
+            ...results,
+            segments: { createdAt: Date.now(), clustered: result.clustered, excluded: result.excluded, cost: result.cost, clusters },
+        }));
+    };
+
+    const segmentTasks = {
+        persona: { task: 'segment-persona', buildPrompt: (segment) => buildSegmentPersonaPrompt(segment, segments.clusters.length, language) },
+        articleIdeas: { task: 'article-ideas', buildPrompt: (segment) => buildArticleIdeasPrompt(segment, language) },
+    };
+
+    const runSegmentTask = (field, index) => {
+        const segment = segments.clusters[index];
+        const { task, buildPrompt } = segmentTasks[field];
+        return runTask(`${field}-${index}`, { task, prompt: buildPrompt(segment), data: { segment } }, storeSegmentText(segments.createdAt, index, field));
+    };
+
+    // One segment at a time, so a rate-limited API is not hit with everything at once.
+    const runForAllSegments = async (field) => {
+        bulkCancelled.current = false;
+        setBulkField(field);
+        for (let index = 0; index < segments.clusters.length; index++) {
+            if (bulkCancelled.current || !(await runSegmentTask(field, index))) break;
+        }
+        setBulkField(null);
     };
 
+    const cancelAllSegmentTasks = () => {
+        bulkCancelled.current = true;
+        Object.keys(controllers.current).filter(task => /^(persona|articleIdeas)-\d+$/.test(task)).forEach(cancelTask);
+    };
+
+    const report = () => buildReport({
+        title: sessionName ? t('ai.reportTitleSession', { session: sessionName }) : t('ai.reportTitle'),
+        respondentCount: allLines.length,
+        sortedInterests,
+        categoryMix,
+        persona: personaResult,
+        segments,
+    });
+
+    // While a task runs its partial text is shown as it streams in; the finished text replaces it.
+    const renderResult = (task, result, placeholder, fileName) => {
+        if (loading[task]) return streaming[task] ? <MarkdownView text={streaming[task]} /> : <Loader />;
+        if (!result) return <p className="text-gray-500">{placeholder}</p>;
+        return (
+            <>
+                <MarkdownView text={result} />
+                <ResultActions text={result} fileName={fileName} />
+            </>
+        );
+    };
+
+    const cancelButton = (task) => (
+        <button onClick={() => cancelTask(task)} className="ml-2 px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100">{t('common.cancel')}</button>
+    );
+
     return (
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-            <Card title="Skapa Läsare-Persona ✨">
-                <p className="text-gray-600 mb-4">Generera en profil av den typiska läsaren baserat på de mest populära intressena i din data.</p>
-                <button onClick={generatePersona} disabled={isPersonaLoading} className="bg-gradient-to-r from-purple-500 to-indigo-600 text-white font-bold py-2 px-4 rounded-lg hover:from-purple-600 hover:to-indigo-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed">
-                    {isPersonaLoading ? 'Genererar...' : 'Generera Läsaranalys'}
-                </button>
-                <div className="mt-4 p-4 border border-gray-200 rounded-lg bg-gray-50 min-h-[150px]">
-                    {isPersonaLoading ? <Loader /> : (personaResult ? <p dangerouslySetInnerHTML={{ __html: personaResult }}></p> : <p className="text-gray-500">Resultatet från AI-analysen kommer att visas här...</p>)}
-                </div>
-            </Card>
-            <Card title="Förklara ett Begrepp ✨">
-                <p className="text-gray-600 mb-4">Få en enkel förklaring av ett tekniskt ämne.</p>
-                <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
-                    <input type="text" ref={explainInputRef} placeholder="T.ex. 'kvantdator' eller 'SMR'" className="flex-grow p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500" />
-                    <button onClick={explainTerm} disabled={isExplanationLoading} className="bg-gradient-to-r from-green-500 to-teal-600 text-white font-bold py-2 px-4 rounded-lg hover:from-green-600 hover:to-teal-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed">
-                        {isExplanationLoading ? 'Förklarar...' : 'Förklara'}
+        <div>
+            <LLMSettingsPanel settings={settings} setSettings={setSettings} />
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <Card title={t('ai.persona.title')}>
+                    <p className="text-gray-600 mb-4">{t('ai.persona.intro')}</p>
+                    <button onClick={generatePersona} disabled={loading.persona} className="bg-gradient-to-r from-purple-500 to-indigo-600 text-white font-bold py-2 px-4 rounded-lg hover:from-purple-600 hover:to-indigo-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed">
+                        {loading.persona ? t('ai.persona.generating') : t('ai.persona.generate')}
+                    </button>
+                    {loading.persona && cancelButton('persona')}
+                    {errors.persona && <p className="mt-4 text-red-500">{errors.persona}</p>}
+                    <div className="mt-4 p-4 border border-gray-200 rounded-lg bg-gray-50 min-h-[150px]">
+                        {renderResult('persona', personaResult, t('ai.persona.placeholder'), 'lasarpersona.md')}
+                    </div>
+                    {cached.persona && !loading.persona && <p className="mt-2 text-xs text-gray-400">{t('ai.fromCache')}</p>}
+                </Card>
+                <Card title={t('ai.explain.title')}>
+                    <p className="text-gray-600 mb-4">{t('ai.explain.intro')}</p>
+                    <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
+                        <input type="text" ref={explainInputRef} placeholder={t('ai.explain.placeholder')} className="flex-grow p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                        <button onClick={explainTerm} disabled={loading.explain} className="bg-gradient-to-r from-green-500 to-teal-600 text-white font-bold py-2 px-4 rounded-lg hover:from-green-600 hover:to-teal-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed">
+                            {loading.explain ? t('ai.explain.explaining') : t('ai.explain.explain')}
+                        </button>
+                        {loading.explain && cancelButton('explain')}
+                    </div>
+                    {errors.explain && <p className="mt-4 text-red-500">{errors.explain}</p>}
+                    <div className="mt-4 p-4 border border-gray-200 rounded-lg bg-gray-50 min-h-[150px]">
+                        {renderResult('explain', explanationResult, t('ai.explain.placeholderResult'), 'forklaring.md')}
+                    </div>
+                    {cached.explain && !loading.explain && <p className="mt-2 text-xs text-gray-400">{t('ai.fromCache')}</p>}
+                </Card>
+            </div>
+            <Card title={t('ai.segments.title')} className="mt-6">
+                <p className="text-gray-600 mb-4">{t('ai.segments.intro')}</p>
+                <div className="flex flex-wrap items-center gap-3">
+                    <label className="text-sm text-gray-700">
+                        {t('ai.segments.count')}{' '}
+                        <select value={segmentCount} onChange={(e) => setSegmentCount(Number(e.target.value))} className="ml-1 p-2 border border-gray-300 rounded-lg">
+                            {[2, 3, 4, 5, 6, 7, 8].map(k => <option key={k} value={k}>{k}</option>)}
+                        </select>
+                    </label>
+                    <button onClick={findSegments} disabled={!!bulkField} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50">
+                        {segments ? t('ai.segments.rerun') : t('ai.segments.find')}
                     </button>
+                    {segments && (
+                        <>
+                            <button onClick={() => runForAllSegments('persona')} disabled={!!bulkField} className="bg-gradient-to-r from-purple-500 to-indigo-600 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50">
+                                {bulkField === 'persona' ? t('ai.segments.generatingPersonas') : t('ai.segments.personaForAll')}
+                            </button>
+                            <button onClick={() => runForAllSegments('articleIdeas')} disabled={!!bulkField} className="bg-gradient-to-r from-green-500 to-teal-600 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50">
+                                {bulkField === 'articleIdeas' ? t('ai.segments.suggestingIdeas') : t('ai.segments.ideasForAll')}
+                            </button>
+                            {bulkField && <button onClick={cancelAllSegmentTasks} className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100">{t('common.cancel')}</button>}
+                        </>
+                    )}
                 </div>
-                <div className="mt-4 p-4 border border-gray-200 rounded-lg bg-gray-50 min-h-[150px]">
-                    {isExplanationLoading ? <Loader /> : (explanationResult ? <p dangerouslySetInnerHTML={{ __html: explanationResult }}></p> : <p className="text-gray-500">Förklaringen kommer att visas här...</p>)}
+                {errors.segments && <p className="mt-4 text-red-500">{errors.segments}</p>}
+                {segments && (
+                    <>
+                        <p className="mt-4 text-sm text-gray-500">
+                            {t('ai.segments.summary', { clustered: segments.clustered, count: segments.clusters.length })}
+                            {segments.excluded > 0 && t('ai.segments.excluded', { count: segments.excluded })}
+                            {' '}{t('ai.segments.cost', { cost: formatNumber(segments.cost, { decimals: 2 }) })}
+                        </p>
+                        <div className="mt-4 space-y-4">
+                            {segments.clusters.map((segment, index) => (
+                                <div key={segment.id} className="p-4 border border-gray-200 rounded-lg">
+                                    <div className="flex flex-wrap justify-between items-baseline gap-2 mb-2">
+                                        <h3 className="text-lg font-semibold text-gray-800">{t('ai.segments.segment', { id: segment.id })}</h3>
+                                        <span className="text-sm text-gray-500">{t('ai.segments.size', { size: segment.size, share: formatPercent(segment.share, 0) })}</span>
+                                    </div>
+                                    <div className="flex flex-wrap gap-2 mb-3">
+                                        {segment.definingTerms.map(({ term, share, lift }) => (
+                                            <span key={term} className="px-2 py-1 rounded-full bg-blue-50 text-blue-800 text-sm" title={t('ai.segments.lift', { lift: formatNumber(lift, { decimals: 1 }) })}>
+                                                {term} · {formatPercent(share, 0)}
+                                            </span>
+                                        ))}
+                                    </div>
+                                    <CategoryMixBar categoryMix={segment.categoryMix} taxonomy={taxonomy} />
+                                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mt-4">
+                                        {[['persona', t('ai.segments.persona'), 'persona'], ['articleIdeas', t('ai.segments.articleIdeas'), 'artikelideer']].map(([field, label, filePrefix]) => {
+                                            const task = `${field}-${index}`;
+                                            return (
+                                                <div key={field}>
+                                                    <div className="flex items-center justify-between mb-2">
+                                                        <h4 className="font-semibold text-gray-700">{label}</h4>
+                                                        {loading[task]
+                                                            ? cancelButton(task)
+                                                            : <button onClick={() => runSegmentTask(field, index)} disabled={!!bulkField} className="text-sm text-blue-600 hover:underline disabled:opacity-50">{segment[field] ? t('ai.segments.regenerate') : t('ai.segments.generate')}</button>}
+                                                    </div>
+                                                    {errors[task] && <p className="mb-2 text-red-500 text-sm">{errors[task]}</p>}
+                                                    <div className="p-3 border border-gray-200 rounded-lg bg-gray-50 min-h-[80px] text-sm">
+                                                        {renderResult(task, segment[field], t('ai.segments.notGenerated'), `${filePrefix}-segment-${segment.id}.md`)}
+                                                    </div>
+                                                </div>
+                                            );
+                                        })}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                )}
+            </Card>
+            <Card title={t('ai.report.title')} className="mt-6">
+                <p className="text-gray-600 mb-4">{t('ai.report.intro')}</p>
+                <div className="flex flex-wrap gap-2">
+                    <button onClick={() => downloadFile(reportToMarkdown(report(), language), 'lasaranalys.md', 'text/markdown')} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">{t('ai.report.downloadMarkdown')}</button>
+                    <button onClick={() => downloadFile(JSON.stringify(report(), null, 2), 'lasaranalys.json')} className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100">{t('ai.report.downloadJSON')}</button>
                 </div>
             </Card>
         </div>
     );
 };
+
+// --- Printable Report ---
+
+const ReportChart = ({ config, height = 320 }) => {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const chart = new Chart(canvasRef.current.getContext('2d'), {
+            ...config,
+            options: { ...config.options, animation: false, responsive: true, maintainAspectRatio: false },
+        });
+        return () => chart.destroy();
+    }, [config]);
+
+    return <div style={{ height }}><canvas ref={canvasRef}></canvas></div>;
+};
+
+const ReportSection = ({ title, children }) => (
+    <section className="mb-8 break-inside-avoid">
+        <h2 className="text-xl font-semibold text-gray-800 border-b pb-1 mb-4">{title}</h2>
+        {children}
+    </section>
+);
+
+// Everything management asks for in one page-flow layout: opens the print
+// dialog right away, and "Spara som PDF" in that dialog gives the monthly PDF.
+const PrintReport = ({ title, dataset, segmentLabel, respondentCount, sortedInterests, taxonomy, waves, aiResults, onClose }) => {
+    const { t, formatPercent, formatDateTime } = useI18n();
+    const [wordCloudSettings] = useState(loadWordCloudSettings);
+    const topInterests = React.useMemo(() => sortedInterests.slice(0, 20), [sortedInterests]);
+    const categoryMix = React.useMemo(() => computeCategoryMix(sortedInterests, taxonomy), [sortedInterests, taxonomy]);
+    const trendStats = React.useMemo(() => (waves.length > 1 ? computeWaveShares(waves) : null), [waves]);
+
+    const interestChart = React.useMemo(() => ({
+        type: 'bar',
+        data: {
+            labels: topInterests.map(([interest]) => interest),
+            datasets: [{ label: t('print.mentions'), data: topInterests.map(([, count]) => count), backgroundColor: 'rgba(59, 130, 246, 0.7)' }],
+        },
+        options: { indexAxis: 'y', plugins: { legend: { display: false } } },
+    }), [topInterests, t]);
+
+    const categoryChart = React.useMemo(() => ({
+        type: 'pie',
+        data: {
+            labels: categoryMix.map(({ category }) => category),
+            datasets: [{ data: categoryMix.map(({ share }) => Math.round(share * 1000) / 10), backgroundColor: categoryMix.map(({ category }) => getCategoryColor(taxonomy, category)) }],
+        },
+        options: { plugins: { legend: { position: 'right' } } },
+    }), [categoryMix, taxonomy]);
+
+    const trendChart = React.useMemo(() => trendStats && ({
+        type: 'line',
+        data: {
+            labels: trendStats.labels,
+            datasets: topTermsOverTime(trendStats, 6).map((term, i) => ({
+                label: term,
+                data: trendStats.shares.get(term).map(value => value * 100),
+                borderColor: CATEGORY_COLORS[i % CATEGORY_COLORS.length],
+                backgroundColor: CATEGORY_COLORS[i % CATEGORY_COLORS.length],
+            })),
+        },
+        options: { scales: { y: { beginAtZero: true, title: { display: true, text: t('print.shareAxis') } } } },
+    }), [trendStats, t]);
+
+    useEffect(() => {
+        // Give the charts a moment to draw before the print dialog takes over.
+        const timer = setTimeout(() => window.print(), 500);
+        return () => clearTimeout(timer);
+    }, []);
+
+    const segments = aiResults.segments?.clusters || [];
+
+    return (
+        <div className="max-w-4xl mx-auto p-6 bg-white text-gray-800">
+            <div className="flex justify-end gap-2 mb-6 print:hidden">
+                <button onClick={() => window.print()} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">{t('print.print')}</button>
+                <button onClick={onClose} className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100">{t('print.back')}</button>
+            </div>
+            <header className="mb-8">
+                <h1 className="text-3xl font-bold">{title || t('print.title')}</h1>
+                <p className="text-gray-600 mt-2">
+                    {dataset.name} · {dataset.wave}{segmentLabel && ` · ${segmentLabel}`}
+                </p>
+                <p className="text-gray-600">
+                    {t('print.created', { count: respondentCount, date: formatDateTime(Date.now()) })}
+                </p>
+            </header>
+            <ReportSection title={t('print.topInterests')}>
+                <ReportChart config={interestChart} height={Math.max(240, topInterests.length * 22)} />
+                <ol className="list-decimal list-inside columns-2 mt-4 text-sm">
+                    {topInterests.map(([interest, count]) => (
+                        <li key={interest}>{t('print.interestItem', { interest, count, share: formatPercent(count / Math.max(respondentCount, 1), 0) })}</li>
+                    ))}
+                </ol>
+            </ReportSection>
+            <ReportSection title={t('print.categories')}>
+                <ReportChart config={categoryChart} height={280} />
+                <ul className="mt-4 text-sm">
+                    {categoryMix.map(({ category, share }) => <li key={category}>{t('print.categoryItem', { category, share: formatPercent(share, 0) })}</li>)}
+                </ul>
+            </ReportSection>
+            {trendChart && (
+                <ReportSection title={t('print.trends')}>
+                    <ReportChart config={trendChart} />
+                </ReportSection>
+            )}
+            <ReportSection title={t('print.wordCloud')}>
+                <WordCloud sortedInterests={sortedInterests} taxonomy={taxonomy} respondentCount={respondentCount} settings={wordCloudSettings} />
+            </ReportSection>
+            {aiResults.persona && (
+                <ReportSection title={t('print.persona')}>
+                    <MarkdownView text={aiResults.persona} />
+                </ReportSection>
+            )}
+            {segments.map(segment => (
+                <ReportSection key={segment.id} title={t('print.segment', { id: segment.id, size: segment.size, share: formatPercent(segment.share, 0) })}>
+                    <p className="text-sm text-gray-600 mb-3">{t('print.definingTerms', { terms: segment.definingTerms.map(({ term }) => term).join(', ') })}</p>
+                    {segment.persona && <MarkdownView text={segment.persona} />}
+                    {segment.articleIdeas && (
+                        <>
+                            <h3 className="font-semibold mt-4 mb-2">{t('print.articleIdeas')}</h3>
+                            <MarkdownView text={segment.articleIdeas} />
+                        </>
+                    )}
+                </ReportSection>
+            ))}
+            {aiResults.explanation && (
+                <ReportSection title={t('print.explanation')}>
+                    <MarkdownView text={aiResults.explanation} />
+                </ReportSection>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,206 @@
+// --- Synonyms, Aliases & Stemming ---
+// Maps raw, normalized interests to a canonical interest before anything is
+// counted, so 'ai', 'artificiell intelligens' and 'artificial intelligence' are
+// one interest and 'elbilar' is folded into 'elbil'.
+//
+// Settings are plain JSON: { aliases: { canonical: [variant, ...] }, stemming, rejected: ['a|b'] }
+
+const STORAGE_KEY = 'nyteknik-dashboard:aliases';
+
+export const DEFAULT_ALIAS_SETTINGS = {
+    aliases: {
+        'ai': ['artificiell intelligens', 'artificial intelligence', 'a.i.', 'a.i'],
+        'elbil': ['electric vehicle', 'electric car', 'elfordon'],
+        'kärnkraft': ['nuclear power', 'kärnenergi', 'nuclear energy'],
+        'rymd': ['space', 'rymden'],
+        'cybersecurity': ['cybersäkerhet', 'it-säkerhet', 'it security'],
+        'kvantdator': ['quantum computing', 'kvantdatorer', 'kvantberäkning'],
+    },
+    stemming: true,
+    rejected: [],
+};
+
+// Plural and definite suffixes, longest first. A stripped form is only used when
+// it is itself a term in the data, so 'nuclear' is never cut down to 'nucle'.
+const SUFFIX_RULES = [
+    // Swedish definite plural: robotarna, batterierna, drönarna
+    { suffix: 'arna', replacements: ['', 'are'] },
+    { suffix: 'erna', replacements: ['', 'e'] },
+    { suffix: 'orna', replacements: ['a', ''] },
+    // English plurals: batteries -> battery, switches -> switch
+    { suffix: 'ies', replacements: ['y', 'ie'] },
+    { suffix: 'es', replacements: ['', 'e'] },
+    // Swedish indefinite plural and definite singular: elbilar, batterier, bilen, nätet
+    { suffix: 'ar', replacements: [''] },
+    { suffix: 'er', replacements: [''] },
+    { suffix: 'or', replacements: ['a'] },
+    { suffix: 'en', replacements: [''] },
+    { suffix: 'et', replacements: [''] },
+    // English plural and Swedish definite plural on vowel stems: robots, drönarna -> drönare
+    { suffix: 'na', replacements: [''] },
+    { suffix: 's', replacements: [''] },
+];
+
+const MIN_STEM_LENGTH = 3;
+
+// Candidate base forms for a term, most likely first. Only the last word of a
+// phrase is inflected ('volvo xc' stays, 'snabba laddare' -> 'snabba laddar').
+export const stemCandidates = (term) => {
+    const candidates = [];
+    SUFFIX_RULES.forEach(({ suffix, replacements }) => {
+        if (!term.endsWith(suffix)) return;
+        const base = term.slice(0, -suffix.length);
+        if (base.replace(/.*\s/, '').length < MIN_STEM_LENGTH) return;
+        replacements.forEach(replacement => {
+            const candidate = base + replacement;
+            if (candidate !== term && !candidates.includes(candidate)) candidates.push(candidate);
+        });
+    });
+    return candidates;
+};
+
+// A coarse key shared by inflections of the same word; used for suggestions only.
+export const stemKey = (term) => {
+    const candidates = stemCandidates(term);
+    const shortest = candidates.reduce((best, candidate) => (candidate.length < best.length ? candidate : best), term);
+    return shortest.replace(/(e|y)$/, '');
+};
+
+export const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+// The raw -> canonical lookup for single terms. counts holds the terms that
+// exist (interest -> mentions). Aliases are applied first, then stemming
+// towards terms that exist. Terms are resolved lazily and cached.
+export const createResolver = (counts, settings) => {
+    const aliasOf = new Map();
+    Object.entries(settings.aliases || {}).forEach(([canonical, variants]) => {
+        variants.forEach(variant => aliasOf.set(variant.trim().toLowerCase(), canonical));
+    });
+
+    const cache = new Map();
+    const resolve = (term, depth = 0) => {
+        if (cache.has(term)) return cache.get(term);
+        let canonical = aliasOf.get(term) || term;
+        if (settings.stemming && canonical === term && depth < 3) {
+            const base = stemCandidates(term).find(candidate => counts.has(candidate) || aliasOf.has(candidate));
+            if (base) canonical = resolve(base, depth + 1);
+        }
+        cache.set(term, canonical);
+        return canonical;
+    };
+    return resolve;
+};
+
+// Builds the raw -> canonical lookup for a vocabulary of [interest, count] pairs.
+export const createCanonicalizer = (vocabulary, settings) => {
+    const resolve = createResolver(new Map(vocabulary), settings);
+
+    // canonical -> { raw variant -> mentions }, for showing what was folded together.
+    const variants = {};
+    vocabulary.forEach(([term, count]) => {
+        const canonical = resolve(term);
+        if (!variants[canonical]) variants[canonical] = {};
+        variants[canonical][term] = (variants[canonical][term] || 0) + count;
+    });
+
+    return { resolve, variants };
+};
+
+// Maps every term in a line to its canonical form, dropping duplicates that
+// appear when two variants in the same answer fold into one interest.
+export const canonicalizeLine = (line, canonicalizer) => [...new Set(line.map(canonicalizer.resolve))];
+
+// Number of raw variants folded into each canonical interest (only > 1).
+export const getVariantCounts = (canonicalizer) => Object.fromEntries(
+    Object.entries(canonicalizer.variants)
+        .map(([canonical, raw]) => [canonical, Object.keys(raw).length])
+        .filter(([, count]) => count > 1)
+);
+
+// Suggests merges between canonical interests that share a stem or are within a
+// small edit distance (typos such as 'kärnkarft'). The more common term is
+// proposed as the canonical one. Only the most common terms are compared.
+export const suggestMerges = (sortedInterests, settings, limit = 400) => {
+    const rejected = new Set(settings.rejected || []);
+    const terms = sortedInterests.slice(0, limit);
+    const suggestions = [];
+
+    for (let i = 0; i < terms.length; i++) {
+        const [a, countA] = terms[i];
+        const keyA = stemKey(a);
+        for (let j = i + 1; j < terms.length; j++) {
+            const [b, countB] = terms[j];
+            if (rejected.has(pairKey(a, b))) continue;
+            let reason = null;
+            let distance = null;
+            if (keyA.length >= MIN_STEM_LENGTH && keyA === stemKey(b)) {
+                reason = 'stem';
+            } else if (Math.min(a.length, b.length) >= 5 && Math.abs(a.length - b.length) <= 2) {
+                distance = levenshtein(a, b);
+                const maxDistance = Math.min(a.length, b.length) >= 9 ? 2 : 1;
+                if (distance <= maxDistance) reason = 'edit';
+            }
+            if (reason) {
+                // sortedInterests is ordered by count, so a is the more common term.
+                suggestions.push({ from: b, to: a, fromCount: countB, toCount: countA, reason, distance });
+            }
+        }
+    }
+    return suggestions.sort((x, y) => (y.fromCount + y.toCount) - (x.fromCount + x.toCount));
+};
+
+// Folds 'from' (and anything already folded into it) into 'to'.
+export const addAlias = (settings, from, to) => {
+    const aliases = { ...settings.aliases };
+    const moved = [from, ...(aliases[from] || [])];
+    delete aliases[from];
+    aliases[to] = [...new Set([...(aliases[to] || []), ...moved])].filter(variant => variant !== to);
+    return { ...settings, aliases };
+};
+
+export const removeAlias = (settings, canonical, variant) => {
+    const aliases = { ...settings.aliases };
+    aliases[canonical] = (aliases[canonical] || []).filter(candidate => candidate !== variant);
+    if (aliases[canonical].length === 0) delete aliases[canonical];
+    return { ...settings, aliases };
+};
+
+export const rejectMerge = (settings, a, b) => ({
+    ...settings,
+    rejected: [...new Set([...(settings.rejected || []), pairKey(a, b)])],
+});
+
+export const loadAliasSettings = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored) return { ...DEFAULT_ALIAS_SETTINGS, ...JSON.parse(stored) };
+    } catch (error) {
+        console.error('Could not load alias settings:', error);
+    }
+    return DEFAULT_ALIAS_SETTINGS;
+};
+
+export const saveAliasSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Could not save alias settings:', error);
+    }
+};
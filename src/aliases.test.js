@@ -0,0 +1,87 @@
+import {
+    DEFAULT_ALIAS_SETTINGS,
+    stemCandidates,
+    levenshtein,
+    createCanonicalizer,
+    canonicalizeLine,
+    getVariantCounts,
+    suggestMerges,
+    addAlias,
+    rejectMerge,
+} from './aliases';
+
+const vocabulary = [
+    ['elbil', 10],
+    ['ai', 8],
+    ['elbilar', 3],
+    ['artificiell intelligens', 2],
+    ['robot', 2],
+    ['robotarna', 1],
+    ['nuclear', 2],
+];
+
+describe('stemCandidates', () => {
+    test('strips Swedish and English inflections', () => {
+        expect(stemCandidates('elbilar')).toEqual(['elbil']);
+        expect(stemCandidates('robotarna')).toEqual(['robot', 'robotare', 'robotar']);
+        expect(stemCandidates('batteries')).toEqual(['battery', 'batterie', 'batteri']);
+    });
+
+    test('keeps stems of at least three letters', () => {
+        expect(stemCandidates('bilen')).toEqual(['bil']);
+        expect(stemCandidates('oxen')).toEqual([]);
+    });
+});
+
+describe('levenshtein', () => {
+    test('counts insertions, deletions and substitutions', () => {
+        expect(levenshtein('kärnkraft', 'kärnkarft')).toBe(2);
+        expect(levenshtein('elbil', 'elbilar')).toBe(2);
+        expect(levenshtein('ai', 'ai')).toBe(0);
+    });
+});
+
+describe('createCanonicalizer', () => {
+    test('applies aliases and stems towards terms in the data', () => {
+        const canonicalizer = createCanonicalizer(vocabulary, DEFAULT_ALIAS_SETTINGS);
+        expect(canonicalizer.resolve('elbilar')).toBe('elbil');
+        expect(canonicalizer.resolve('robotarna')).toBe('robot');
+        expect(canonicalizer.resolve('artificiell intelligens')).toBe('ai');
+        // "nucle" is not a term, so "nuclear" is left alone.
+        expect(canonicalizer.resolve('nuclear')).toBe('nuclear');
+        expect(getVariantCounts(canonicalizer)).toEqual({ elbil: 2, ai: 2, robot: 2 });
+    });
+
+    test('leaves inflections alone with stemming off', () => {
+        const canonicalizer = createCanonicalizer(vocabulary, { ...DEFAULT_ALIAS_SETTINGS, stemming: false });
+        expect(canonicalizer.resolve('elbilar')).toBe('elbilar');
+    });
+
+    test('drops duplicates that fold into one interest', () => {
+        const canonicalizer = createCanonicalizer(vocabulary, DEFAULT_ALIAS_SETTINGS);
+        expect(canonicalizeLine(['elbil', 'elbilar', 'ai'], canonicalizer)).toEqual(['elbil', 'ai']);
+    });
+});
+
+describe('suggestMerges', () => {
+    const sortedInterests = [['kärnkraft', 12], ['robot', 6], ['robotar', 3], ['kärnkarft', 2]];
+
+    test('suggests stems and typos, towards the more common term', () => {
+        expect(suggestMerges(sortedInterests, DEFAULT_ALIAS_SETTINGS)).toEqual([
+            { from: 'kärnkarft', to: 'kärnkraft', fromCount: 2, toCount: 12, reason: 'edit', distance: 2 },
+            { from: 'robotar', to: 'robot', fromCount: 3, toCount: 6, reason: 'stem', distance: null },
+        ]);
+    });
+
+    test('leaves out rejected pairs', () => {
+        const settings = rejectMerge(DEFAULT_ALIAS_SETTINGS, 'kärnkraft', 'kärnkarft');
+        expect(suggestMerges(sortedInterests, settings).map(item => item.from)).toEqual(['robotar']);
+    });
+});
+
+describe('addAlias', () => {
+    test('moves the variants already folded into a term along with it', () => {
+        const settings = addAlias({ aliases: { elbilar: ['elbilarna'] } }, 'elbilar', 'elbil');
+        expect(settings.aliases).toEqual({ elbil: ['elbilar', 'elbilarna'] });
+    });
+});
@@ -0,0 +1,79 @@
+// --- Association Rule Mining ---
+// Apriori over respondents' interest lines. A rule {elbil, batteri} -> laddning has
+//   support    = share of respondents mentioning all three,
+//   confidence = share of respondents with {elbil, batteri} who also mention laddning,
+//   lift       = confidence / share mentioning laddning (1 = no association).
+
+const itemsetKey = (items) => items.join('\u0000');
+
+// Subsets of size k - 1 must all be frequent for a k-itemset to be a candidate.
+const generateCandidates = (frequent, size) => {
+    const previous = [...frequent.keys()].map(key => key.split('\u0000')).filter(items => items.length === size - 1);
+    const candidates = new Map();
+    for (let i = 0; i < previous.length; i++) {
+        for (let j = i + 1; j < previous.length; j++) {
+            const a = previous[i];
+            const b = previous[j];
+            if (a.slice(0, -1).join('\u0000') !== b.slice(0, -1).join('\u0000')) continue;
+            const items = [...a, b[b.length - 1]].sort();
+            const allSubsetsFrequent = items.every((_, skip) => frequent.has(itemsetKey(items.filter((__, k) => k !== skip))));
+            if (allSubsetsFrequent) candidates.set(itemsetKey(items), items);
+        }
+    }
+    return [...candidates.values()];
+};
+
+// Returns a Map of itemset key -> respondent count for every itemset reaching
+// minSupport (a fraction of respondents). onProgress receives values 0..1.
+export const findFrequentItemsets = (lines, { minSupport = 0.01, maxLength = 3, onProgress = () => {} } = {}) => {
+    const total = lines.length;
+    const minCount = Math.max(2, Math.ceil(minSupport * total));
+    const transactions = lines.map(line => new Set(line));
+    const frequent = new Map();
+
+    const singles = new Map();
+    transactions.forEach(items => items.forEach(item => singles.set(item, (singles.get(item) || 0) + 1)));
+    singles.forEach((count, item) => {
+        if (count >= minCount) frequent.set(item, count);
+    });
+    onProgress(1 / maxLength);
+
+    for (let size = 2; size <= maxLength; size++) {
+        const candidates = generateCandidates(frequent, size);
+        if (candidates.length === 0) break;
+        const counts = new Array(candidates.length).fill(0);
+        transactions.forEach(items => {
+            if (items.size < size) return;
+            candidates.forEach((candidate, i) => {
+                if (candidate.every(item => items.has(item))) counts[i]++;
+            });
+        });
+        candidates.forEach((candidate, i) => {
+            if (counts[i] >= minCount) frequent.set(itemsetKey(candidate), counts[i]);
+        });
+        onProgress(size / maxLength);
+    }
+    return { frequent, total };
+};
+
+// Derives rules with a single consequent from every frequent itemset of two or more items.
+export const generateRules = ({ frequent, total }, { minConfidence = 0.2, minLift = 1 } = {}) => {
+    const rules = [];
+    frequent.forEach((count, key) => {
+        const items = key.split('\u0000');
+        if (items.length < 2) return;
+        items.forEach(consequent => {
+            const antecedent = items.filter(item => item !== consequent);
+            const antecedentCount = frequent.get(itemsetKey(antecedent));
+            const consequentCount = frequent.get(consequent);
+            if (!antecedentCount || !consequentCount) return;
+            const confidence = count / antecedentCount;
+            const lift = confidence / (consequentCount / total);
+            if (confidence < minConfidence || lift < minLift) return;
+            rules.push({ antecedent, consequent, count, support: count / total, confidence, lift });
+        });
+    });
+    return rules.sort((a, b) => b.lift - a.lift);
+};
+
+export const mineAssociationRules = (lines, options = {}) => generateRules(findFrequentItemsets(lines, options), options);
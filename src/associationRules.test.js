@@ -0,0 +1,49 @@
+import { findFrequentItemsets, generateRules, mineAssociationRules } from './associationRules';
+
+const lines = [
+    ['elbil', 'batteri', 'laddning'],
+    ['elbil', 'batteri'],
+    ['elbil', 'laddning'],
+    ['batteri', 'laddning'],
+    ['elbil', 'batteri', 'laddning'],
+    ['kärnkraft'],
+];
+
+describe('findFrequentItemsets', () => {
+    test('counts the itemsets that reach the minimum support', () => {
+        const { frequent, total } = findFrequentItemsets(lines, { minSupport: 0.3, maxLength: 3 });
+        expect(total).toBe(6);
+        expect(frequent.get('elbil')).toBe(4);
+        expect(frequent.has('kärnkraft')).toBe(false);
+        expect(frequent.get('batteri\u0000elbil')).toBe(3);
+        expect(frequent.get('batteri\u0000elbil\u0000laddning')).toBe(2);
+    });
+
+    test('stops at maxLength and reports progress', () => {
+        const progress = [];
+        const { frequent } = findFrequentItemsets(lines, { minSupport: 0.3, maxLength: 2, onProgress: value => progress.push(value) });
+        expect([...frequent.keys()].every(key => key.split('\u0000').length <= 2)).toBe(true);
+        expect(progress).toEqual([0.5, 1]);
+    });
+});
+
+describe('generateRules', () => {
+    test('computes support, confidence and lift', () => {
+        const rules = mineAssociationRules(lines, { minSupport: 0.3, minConfidence: 0, minLift: 0 });
+        const rule = rules.find(item => item.consequent === 'laddning' && item.antecedent.join() === 'batteri,elbil');
+        expect(rule.count).toBe(2);
+        expect(rule.support).toBeCloseTo(2 / 6);
+        expect(rule.confidence).toBeCloseTo(2 / 3);
+        expect(rule.lift).toBeCloseTo(1);
+    });
+
+    test('leaves out rules below the thresholds and sorts by lift', () => {
+        const rules = generateRules(findFrequentItemsets(lines, { minSupport: 0.3 }), { minConfidence: 0.5, minLift: 1.1 });
+        expect(rules).toHaveLength(6);
+        rules.forEach(rule => {
+            expect(rule.antecedent).toHaveLength(1);
+            expect(rule.confidence).toBeCloseTo(0.75);
+            expect(rule.lift).toBeCloseTo(1.125);
+        });
+    });
+});
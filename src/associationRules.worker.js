@@ -0,0 +1,16 @@
+/* eslint-disable no-restricted-globals */
+import { mineAssociationRules } from './associationRules';
+
+// Runs rule mining off the main thread so large files don't freeze the UI.
+self.onmessage = (event) => {
+    const { lines, options } = event.data;
+    try {
+        const rules = mineAssociationRules(lines, {
+            ...options,
+            onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+        });
+        self.postMessage({ type: 'done', rules });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message, key: error.key, params: error.params });
+    }
+};
@@ -0,0 +1,120 @@
+import { countInterests } from './interests';
+import { computeCategoryMix } from './taxonomy';
+
+// --- Reader Segmentation ---
+// k-modes for interest lines. Each respondent is the set of their interests and
+// the distance between two sets is the Jaccard distance. A cluster's mode is
+// the handful of interests most common among its members, as many as a typical
+// respondent mentions. Everything is deterministic, so the same data and k
+// always give the same segments.
+
+const jaccardDistance = (a, b) => {
+    let shared = 0;
+    a.forEach(term => {
+        if (b.has(term)) shared++;
+    });
+    const union = a.size + b.size - shared;
+    return union === 0 ? 0 : 1 - shared / union;
+};
+
+const nearestMode = (terms, modes) => {
+    let best = 0;
+    let bestDistance = Infinity;
+    modes.forEach((mode, i) => {
+        const distance = jaccardDistance(terms, mode);
+        if (distance < bestDistance) {
+            best = i;
+            bestDistance = distance;
+        }
+    });
+    return { cluster: best, distance: bestDistance };
+};
+
+const computeMode = (members, modeSize) => {
+    const counts = new Map();
+    members.forEach(({ terms }) => terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1)));
+    return new Set([...counts.entries()]
+        .sort(([termA, a], [termB, b]) => b - a || termA.localeCompare(termB))
+        .slice(0, modeSize)
+        .map(([term]) => term));
+};
+
+// Farthest-first start: the most typical respondent, then repeatedly the one
+// least like any mode chosen so far.
+const initialModes = (items, k, frequency) => {
+    const typicality = (item) => [...item.terms].reduce((sum, term) => sum + frequency.get(term), 0);
+    const first = items.reduce((best, item) => (typicality(item) > typicality(best) ? item : best), items[0]);
+    const modes = [first.terms];
+    while (modes.length < k) {
+        let candidate = null;
+        let candidateDistance = -1;
+        items.forEach(item => {
+            const { distance } = nearestMode(item.terms, modes);
+            if (distance > candidateDistance) {
+                candidate = item;
+                candidateDistance = distance;
+            }
+        });
+        if (candidateDistance <= 0) break;
+        modes.push(candidate.terms);
+    }
+    return modes;
+};
+
+// Only the vocabularySize most common interests take part; respondents with
+// none of them are left out. Returns clusters sorted from largest to smallest,
+// each with its mode and the indexes of its members in `lines`.
+export const kModes = (lines, { k = 4, vocabularySize = 200, maxIterations = 30 } = {}) => {
+    const frequency = new Map(countInterests(lines.map(line => [...new Set(line)])).slice(0, vocabularySize));
+    const items = lines
+        .map((line, index) => ({ index, terms: new Set(line.filter(term => frequency.has(term))) }))
+        .filter(item => item.terms.size > 0);
+    if (items.length === 0) return { clusters: [], cost: 0, clustered: 0, excluded: lines.length };
+
+    const modeSize = Math.max(1, Math.round(items.reduce((sum, item) => sum + item.terms.size, 0) / items.length));
+    let modes = initialModes(items, Math.min(k, items.length), frequency);
+    let assignments = new Array(items.length).fill(-1);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const currentModes = modes;
+        const previous = assignments;
+        const next = items.map(item => nearestMode(item.terms, currentModes).cluster);
+        const changed = next.some((cluster, i) => cluster !== previous[i]);
+        assignments = next;
+        if (!changed) break;
+        modes = currentModes.map((mode, cluster) => {
+            const members = items.filter((_, i) => next[i] === cluster);
+            return members.length > 0 ? computeMode(members, modeSize) : mode;
+        });
+    }
+
+    const cost = items.reduce((sum, item, i) => sum + jaccardDistance(item.terms, modes[assignments[i]]), 0) / items.length;
+    const clusters = modes
+        .map((mode, cluster) => ({ mode: [...mode], members: items.filter((_, i) => assignments[i] === cluster).map(item => item.index) }))
+        .filter(cluster => cluster.members.length > 0)
+        .sort((a, b) => b.members.length - a.members.length);
+    return { clusters, cost, clustered: items.length, excluded: lines.length - items.length };
+};
+
+// Summaries used by the persona prompts and the report: size, the interests
+// that set the segment apart from everyone else and its category mix.
+export const describeClusters = (lines, { clusters, clustered }, taxonomy, { topTerms = 8 } = {}) => {
+    const overall = new Map(countInterests(lines.map(line => [...new Set(line)])));
+    return clusters.map((cluster, i) => {
+        const memberLines = cluster.members.map(index => lines[index]);
+        const size = memberLines.length;
+        const definingTerms = countInterests(memberLines.map(line => [...new Set(line)]))
+            .filter(([, count]) => count >= 2)
+            .map(([term, count]) => {
+                const share = count / size;
+                const overallShare = overall.get(term) / clustered;
+                return { term, count, share, lift: share / overallShare, gap: share - overallShare };
+            })
+            .filter(term => term.gap > 0)
+            .sort((a, b) => b.gap - a.gap)
+            .slice(0, topTerms)
+            .map(({ gap, ...term }) => term);
+
+        return { id: i + 1, size, share: size / clustered, mode: cluster.mode, definingTerms, categoryMix: computeCategoryMix(countInterests(memberLines), taxonomy) };
+    });
+};
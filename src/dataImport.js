@@ -0,0 +1,248 @@
+import { LocalizedError } from './i18n';
+import { splitInterests } from './interests';
+
+// --- Survey File Import ---
+// Turns an uploaded file (legacy .txt, CSV/Excel export or JSON) into a plain
+// table of { columns, rows }, and a mapped table into the dashboard's dataset.
+
+export const DELIMITERS = [',', ';', '\t', '|'];
+export const ENCODINGS = ['utf-8', 'windows-1252'];
+
+export const COLUMN_ROLES = ['interests', 'id', 'meta', 'wave', 'ignore'];
+
+// Guesses the file format from its name, falling back to the first character.
+export const detectFormat = (fileName, text) => {
+    const extension = (fileName.split('.').pop() || '').toLowerCase();
+    if (extension === 'json') return 'json';
+    if (extension === 'txt') return 'txt';
+    if (['csv', 'tsv'].includes(extension)) return 'csv';
+    return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+};
+
+// Decodes raw bytes. A BOM or valid UTF-8 wins; anything else is assumed to be
+// Windows-1252, which is what Swedish Excel writes when saving "CSV (semikolonavgränsad)".
+export const decodeBuffer = (buffer, encoding = 'auto') => {
+    const bytes = new Uint8Array(buffer);
+    if (encoding !== 'auto') {
+        return { text: new TextDecoder(encoding).decode(bytes).replace(/^\uFEFF/, ''), encoding };
+    }
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+    }
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+    } catch (error) {
+        return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+    }
+};
+
+// Picks the delimiter that splits the first lines into the most consistent,
+// non-trivial number of columns. Quoted sections are ignored while counting.
+export const detectDelimiter = (text) => {
+    const sample = text.split(/\r\n|\n|\r/).filter(line => line.trim()).slice(0, 20);
+    let best = { delimiter: ',', score: -1 };
+    DELIMITERS.forEach(delimiter => {
+        const counts = sample.map(line => line.replace(/"[^"]*"/g, '').split(delimiter).length - 1);
+        if (counts.length === 0 || counts[0] === 0) return;
+        const consistent = counts.filter(count => count === counts[0]).length;
+        const score = consistent * 100 + counts[0];
+        if (score > best.score) best = { delimiter, score };
+    });
+    return best.delimiter;
+};
+
+// RFC 4180 parser: quoted fields may contain delimiters, doubled quotes and
+// line breaks. Accepts \r\n, \n and \r line endings.
+// onProgress receives values 0..1 while large files are parsed.
+const PROGRESS_STEP = 1 << 16;
+
+export const parseDelimited = (text, delimiter, onProgress = () => {}) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        if (i % PROGRESS_STEP === 0) onProgress(i / text.length);
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const cellToString = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(cellToString).join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+// Accepts an array of objects, an array of arrays, or an object wrapping one
+// of those (e.g. { "respondents": [...] }) as most survey tools export it.
+// columnLabel names columns without a header ("Column 1", "Column 2", ...).
+export const parseJSONTable = (text, columnLabel) => {
+    let data = JSON.parse(text);
+    if (!Array.isArray(data) && data && typeof data === 'object') {
+        data = Object.values(data).find(Array.isArray) || [data];
+    }
+    if (data.length === 0) return { columns: [], rows: [] };
+
+    if (data.every(Array.isArray)) {
+        const width = data.reduce((max, item) => Math.max(max, item.length), 0);
+        return {
+            columns: Array.from({ length: width }, (_, i) => `${columnLabel} ${i + 1}`),
+            rows: data.map(item => Array.from({ length: width }, (_, i) => cellToString(item[i]))),
+        };
+    }
+
+    const columns = [];
+    data.forEach(item => Object.keys(item || {}).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+    }));
+    return {
+        columns,
+        rows: data.map(item => columns.map(column => cellToString(item?.[column]))),
+    };
+};
+
+// Reads an uploaded file into a table. Options left out are detected;
+// options.labels holds the translated column names { column, interests }.
+// Excel workbooks are binary, so they are turned away instead of being read as garbage.
+export const readSurveyTable = (buffer, fileName, options) => {
+    const { labels } = options;
+    if (/\.xlsx?$/i.test(fileName)) throw new LocalizedError('file.excelUnsupported');
+    const { text, encoding } = decodeBuffer(buffer, options.encoding || 'auto');
+    const format = options.format || detectFormat(fileName, text);
+
+    if (format === 'json') {
+        return { ...parseJSONTable(text, labels.column), format, encoding, delimiter: null, hasHeader: true };
+    }
+
+    if (format === 'txt') {
+        // The original format: one respondent per line, interests separated by commas.
+        const rows = text.split(/\r\n|\n|\r/).filter(line => line.trim()).map(line => [line]);
+        return { columns: [labels.interests], rows, format, encoding, delimiter: null, hasHeader: false };
+    }
+
+    const delimiter = options.delimiter || detectDelimiter(text);
+    const hasHeader = options.hasHeader !== undefined ? options.hasHeader : true;
+    const parsed = parseDelimited(text, delimiter, options.onProgress);
+    // Not Math.max(...rows): spreading every row as an argument overflows the stack on large files.
+    const width = parsed.reduce((max, cells) => Math.max(max, cells.length), 0);
+    const header = hasHeader ? parsed[0] || [] : [];
+    const columns = Array.from({ length: width }, (_, i) => (header[i] || '').trim() || `${labels.column} ${i + 1}`);
+    const rows = (hasHeader ? parsed.slice(1) : parsed)
+        .map(cells => Array.from({ length: width }, (_, i) => (cells[i] || '').trim()));
+    return { columns, rows, format, encoding, delimiter, hasHeader };
+};
+
+// Suggests a role for every column: the column named like "intressen"/"interests"
+// (or else the one with the most list separators) holds interests, an "id"-like
+// column identifies respondents, and low-cardinality columns become metadata.
+export const guessColumnRoles = (table) => {
+    const { columns, rows } = table;
+    const sample = rows.slice(0, 200);
+    const roles = columns.map(() => 'ignore');
+    if (columns.length === 0) return roles;
+
+    let interestIndex = columns.findIndex(column => /intresse|interest|ämne|topic/i.test(column));
+    if (interestIndex === -1) {
+        const separatorCounts = columns.map((_, i) =>
+            sample.reduce((sum, row) => sum + ((row[i] || '').match(/[,;|]/g) || []).length, 0));
+        interestIndex = separatorCounts.indexOf(Math.max(...separatorCounts));
+    }
+    roles[interestIndex] = 'interests';
+
+    columns.forEach((column, i) => {
+        if (i === interestIndex) return;
+        if (/^(id|respondent|respondent.?id|svars.?id|response.?id)$/i.test(column.trim())) {
+            roles[i] = 'id';
+            return;
+        }
+        if (/^(våg|wave|omgång|datum|date)$/i.test(column.trim())) {
+            roles[i] = 'wave';
+            return;
+        }
+        const distinct = new Set(sample.map(row => row[i]).filter(Boolean));
+        if (distinct.size > 0 && distinct.size <= Math.max(20, sample.length / 5)) {
+            roles[i] = 'meta';
+        }
+    });
+    return roles;
+};
+
+// Turns a wave cell into a label. Dates are grouped by quarter ("2025 Q1"),
+// since the survey runs quarterly; anything else is used as written, and an
+// empty cell gets the translated label for an unknown wave.
+export const toWaveLabel = (value, unknownWave = '') => {
+    const text = (value || '').trim();
+    const date = text.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?/);
+    if (date) return `${date[1]} Q${Math.ceil(Number(date[2]) / 3)}`;
+    return text || unknownWave;
+};
+
+// Orders waves chronologically when they are labelled "2025 Q1", "Våg 2" etc.
+export const compareWaves = (a, b) => a.wave.localeCompare(b.wave, 'sv', { numeric: true });
+
+// Builds the dashboard's data model from a table and the chosen column roles.
+// Respondents without any usable interest are left out. A file with a wave/date
+// column becomes one dataset per wave; otherwise the whole file is one wave.
+export const buildDatasets = (table, roles, name, waveLabel, unknownWave, onProgress = () => {}) => {
+    const interestColumns = roles.map((role, i) => (role === 'interests' ? i : -1)).filter(i => i >= 0);
+    const idColumn = roles.indexOf('id');
+    const waveColumn = roles.indexOf('wave');
+    const metaColumns = roles.map((role, i) => (role === 'meta' ? i : -1)).filter(i => i >= 0);
+
+    const waves = new Map();
+    table.rows.forEach((row, rowIndex) => {
+        if (rowIndex % 5000 === 0) onProgress(rowIndex / table.rows.length);
+        const interests = [...new Set(interestColumns.flatMap(i => splitInterests(row[i])))];
+        if (interests.length === 0) return;
+        const meta = {};
+        metaColumns.forEach(i => {
+            meta[table.columns[i]] = row[i] || '';
+        });
+        const wave = waveColumn >= 0 ? toWaveLabel(row[waveColumn], unknownWave) : (waveLabel || '').trim() || name;
+        if (!waves.has(wave)) waves.set(wave, []);
+        waves.get(wave).push({
+            id: idColumn >= 0 && row[idColumn] ? row[idColumn] : String(rowIndex + 1),
+            interests,
+            meta,
+        });
+    });
+
+    return [...waves.entries()].map(([wave, respondents]) => ({
+        name: waves.size > 1 ? `${name} – ${wave}` : name,
+        wave,
+        respondents,
+        metaColumns: metaColumns.map(i => table.columns[i]),
+    })).sort(compareWaves);
+};
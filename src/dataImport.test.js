@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+import { buildDatasets, detectDelimiter, detectFormat, guessColumnRoles, parseDelimited, parseJSONTable, readSurveyTable, toWaveLabel } from './dataImport';
+
+const encode = (text) => new TextEncoder().encode(text).buffer;
+const labels = { column: 'Kolumn', interests: 'Intressen' };
+
+describe('detectDelimiter', () => {
+    test('picks the delimiter that splits every line the same way', () => {
+        expect(detectDelimiter('id;intressen;region\n1;AI, elbil;Syd\n2;kärnkraft;Norr\n')).toBe(';');
+        expect(detectDelimiter('id\tintressen\n1\tAI, elbil\n2\tkärnkraft\n')).toBe('\t');
+    });
+
+    test('ignores delimiters inside quotes', () => {
+        expect(detectDelimiter('id,intressen\n1,"AI; elbil; 5G"\n2,"robotar; drönare"\n')).toBe(',');
+    });
+});
+
+describe('parseDelimited', () => {
+    test('handles quoted delimiters, doubled quotes and line breaks', () => {
+        const text = 'id;text\r\n1;"a;b"\r\n2;"säger ""hej"""\n3;"två\nrader"\r4;sista';
+        expect(parseDelimited(text, ';')).toEqual([
+            ['id', 'text'],
+            ['1', 'a;b'],
+            ['2', 'säger "hej"'],
+            ['3', 'två\nrader'],
+            ['4', 'sista'],
+        ]);
+    });
+
+    test('drops empty lines', () => {
+        expect(parseDelimited('a,b\n\n ,\n1,2\n', ',')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+});
+
+describe('parseJSONTable', () => {
+    test('reads an array of objects wrapped in an object', () => {
+        const text = JSON.stringify({ respondents: [{ id: 1, intressen: ['AI', 'elbil'] }, { id: 2, region: 'Syd' }] });
+        expect(parseJSONTable(text)).toEqual({
+            columns: ['id', 'intressen', 'region'],
+            rows: [['1', 'AI, elbil', ''], ['2', '', 'Syd']],
+        });
+    });
+
+    test('pads arrays of arrays to the widest row', () => {
+        const table = parseJSONTable('[["a"], ["b", "c", "d"]]', 'Column');
+        expect(table.columns).toEqual(['Column 1', 'Column 2', 'Column 3']);
+        expect(table.rows).toEqual([['a', '', ''], ['b', 'c', 'd']]);
+    });
+});
+
+describe('readSurveyTable', () => {
+    test('reads a Windows-1252 file with a header', () => {
+        // "Intressen;Län\r\nAI, kärnkraft;Skåne\r\n" as Swedish Excel saves it.
+        const bytes = Uint8Array.from([
+            ...'Intressen;L'.split('').map(c => c.charCodeAt(0)), 0xE4, ...'n\r\nAI, k'.split('').map(c => c.charCodeAt(0)),
+            0xE4, ...'rnkraft;Sk'.split('').map(c => c.charCodeAt(0)), 0xE5, ...'ne\r\n'.split('').map(c => c.charCodeAt(0)),
+        ]);
+        const table = readSurveyTable(bytes.buffer, 'enkät.csv', { labels });
+        expect(table).toMatchObject({ encoding: 'windows-1252', delimiter: ';', columns: ['Intressen', 'Län'], rows: [['AI, kärnkraft', 'Skåne']] });
+    });
+
+    test('reads the original text format as one interest column', () => {
+        const table = readSurveyTable(encode('AI, elbil\n\nrymd\n'), 'svar.txt', { labels: { column: 'Column', interests: 'Interests' } });
+        expect(table).toMatchObject({ format: 'txt', columns: ['Interests'], rows: [['AI, elbil'], ['rymd']] });
+    });
+
+    test('turns Excel workbooks away', () => {
+        expect(detectFormat('enkät.xlsx', 'PK')).toBe('csv');
+        expect(() => readSurveyTable(encode('PK'), 'enkät.xlsx', { labels })).toThrow(expect.objectContaining({ key: 'file.excelUnsupported' }));
+    });
+
+    test('imports a table with 200 000 rows', () => {
+        const lines = ['id;intressen;region'];
+        for (let i = 0; i < 200000; i++) lines.push(`${i};AI, elbil;${i % 2 ? 'Syd' : 'Norr'}`);
+        lines.push('200000;AI;Syd;extra');
+        const table = readSurveyTable(encode(lines.join('\n')), 'stor.csv', { labels });
+        expect(table.rows).toHaveLength(200001);
+        expect(table.columns).toEqual(['id', 'intressen', 'region', 'Kolumn 4']);
+        expect(table.rows[199999]).toEqual(['199999', 'AI, elbil', 'Syd', '']);
+    });
+});
+
+describe('guessColumnRoles', () => {
+    test('finds the interest, id, wave and metadata columns', () => {
+        const table = {
+            columns: ['Svars-id', 'Datum', 'Region', 'Vad vill du läsa om?', 'Fritext'],
+            rows: Array.from({ length: 60 }, (_, i) => [String(i), '2025-02-01', i % 2 ? 'Syd' : 'Norr', 'AI, elbil', `kommentar ${i}`]),
+        };
+        expect(guessColumnRoles(table)).toEqual(['id', 'wave', 'meta', 'interests', 'ignore']);
+    });
+
+    test('falls back to the column with the most list separators', () => {
+        const table = { columns: ['a', 'b'], rows: [['x', 'AI, elbil, 5G'], ['y', 'rymd; kärnkraft']] };
+        expect(guessColumnRoles(table)[1]).toBe('interests');
+    });
+});
+
+describe('toWaveLabel', () => {
+    test('groups dates by quarter and keeps other labels', () => {
+        expect(toWaveLabel('2025-05-14')).toBe('2025 Q2');
+        expect(toWaveLabel(' Våg 3 ')).toBe('Våg 3');
+        expect(toWaveLabel('', 'Unknown wave')).toBe('Unknown wave');
+    });
+});
+
+describe('buildDatasets', () => {
+    const table = {
+        columns: ['id', 'intressen', 'Region', 'Datum'],
+        rows: [
+            ['r1', 'AI, elbil, AI', 'Syd', '2025-04-02'],
+            ['r2', '', 'Norr', '2025-04-03'],
+            ['r3', 'Kärnkraft (SMR)', 'Norr', '2025-01-20'],
+        ],
+    };
+
+    test('makes one dataset per wave, oldest first, and skips empty answers', () => {
+        const datasets = buildDatasets(table, ['id', 'interests', 'meta', 'wave'], 'Enkät');
+        expect(datasets.map(dataset => dataset.name)).toEqual(['Enkät – 2025 Q1', 'Enkät – 2025 Q2']);
+        expect(datasets[0].respondents).toEqual([{ id: 'r3', interests: ['kärnkraft'], meta: { Region: 'Norr' } }]);
+        expect(datasets[1].respondents).toEqual([{ id: 'r1', interests: ['ai', 'elbil'], meta: { Region: 'Syd' } }]);
+        expect(datasets[1].metaColumns).toEqual(['Region']);
+    });
+
+    test('uses the given wave label without a wave column', () => {
+        const [dataset] = buildDatasets(table, ['ignore', 'interests', 'ignore', 'ignore'], 'Enkät', 'Våren 2025');
+        expect(dataset).toMatchObject({ name: 'Enkät', wave: 'Våren 2025' });
+        expect(dataset.respondents.map(respondent => respondent.id)).toEqual(['1', '3']);
+    });
+});
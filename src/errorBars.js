@@ -0,0 +1,44 @@
+// --- Error Bars ---
+// A Chart.js plugin that draws confidence intervals. A dataset opts in with
+// errorBars: [{ low, high }, ...], one interval per data point in the units of
+// its value axis. Works for vertical bar and line charts.
+
+// Pixel positions of every visible error bar, shared with the SVG export.
+export const getErrorBars = (chart) => chart.data.datasets.flatMap((dataset, datasetIndex) => {
+    if (!dataset.errorBars || !chart.isDatasetVisible(datasetIndex)) return [];
+    const meta = chart.getDatasetMeta(datasetIndex);
+    const scale = chart.scales[meta.yAxisID];
+    return meta.data.flatMap((element, i) => {
+        const interval = dataset.errorBars[i];
+        if (!interval) return [];
+        const { x, width } = element.getProps(['x', 'width'], true);
+        return [{
+            x,
+            top: scale.getPixelForValue(interval.high),
+            bottom: scale.getPixelForValue(interval.low),
+            cap: width ? Math.min(6, width / 4) : 4,
+            color: dataset.errorBarColor || 'rgba(55, 65, 81, 0.8)',
+        }];
+    });
+});
+
+export const errorBarsPlugin = {
+    id: 'errorBars',
+    afterDatasetsDraw(chart) {
+        const { ctx } = chart;
+        ctx.save();
+        ctx.lineWidth = 1;
+        getErrorBars(chart).forEach(({ x, top, bottom, cap, color }) => {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
+            ctx.moveTo(x - cap, top);
+            ctx.lineTo(x + cap, top);
+            ctx.moveTo(x - cap, bottom);
+            ctx.lineTo(x + cap, bottom);
+            ctx.stroke();
+        });
+        ctx.restore();
+    },
+};
@@ -0,0 +1,211 @@
+import { getErrorBars } from './errorBars';
+import { LocalizedError } from './i18n';
+import { WORD_CLOUD_FONT, WORD_CLOUD_FONT_WEIGHT } from './wordCloud';
+
+// --- Exports ---
+// Turns tables into CSV/JSON, and Chart.js charts and word clouds into PNG/SVG files.
+
+// --- Tables ---
+// A table is a list of columns { key, label } and a list of row objects.
+
+// Cells starting with these characters are read as formulas by Excel. Numbers
+// such as -3.5 start the same way but are safe, and must stay numbers.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[+-]?\d+([.,]\d+)?$/;
+
+// Numbers are written with a plain minus and only the decimal separator swapped,
+// since spreadsheets do not read locale-formatted negatives (U+2212) as numbers.
+const csvCell = (value, delimiter, decimalSeparator) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'number') text = text.replace('.', decimalSeparator);
+    if (typeof value === 'string' && FORMULA_START.test(text) && !NUMBER.test(text)) text = `'${text}`;
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Semicolon, decimal comma and a byte order mark by default, so Swedish Excel
+// opens the file with the right columns, numbers and characters.
+export const toCSV = (columns, rows, { delimiter = ';', decimalSeparator = ',', bom = true } = {}) => {
+    const lines = [
+        columns.map(column => csvCell(column.label, delimiter, decimalSeparator)).join(delimiter),
+        ...rows.map(row => columns.map(column => csvCell(row[column.key], delimiter, decimalSeparator)).join(delimiter)),
+    ];
+    return `${bom ? '\uFEFF' : ''}${lines.join('\r\n')}\r\n`;
+};
+
+export const toJSONRows = (columns, rows) => JSON.stringify(
+    rows.map(row => Object.fromEntries(columns.map(column => [column.key, row[column.key]]))),
+    null,
+    2,
+);
+
+// --- Charts ---
+
+// The canvas is transparent; a white background keeps the PNG readable in dark viewers and slides.
+export const chartToPNG = (chart) => new Promise((resolve, reject) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = chart.canvas.width;
+    canvas.height = chart.canvas.height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(chart.canvas, 0, 0);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new LocalizedError('export.chartImageFailed'))), 'image/png');
+});
+
+const escapeXML = (text) => String(text).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]));
+
+const color = (value, fallback = 'none') => (typeof value === 'string' ? value : fallback);
+
+const labelText = (label) => (Array.isArray(label) ? label.join(' ') : String(label ?? ''));
+
+const FONT = 'font-family="Helvetica, Arial, sans-serif" font-size="12" fill="#666"';
+
+const text = (x, y, content, attributes = '') => `<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" ${FONT} ${attributes}>${escapeXML(content)}</text>`;
+
+const arcPath = ({ x, y, startAngle, endAngle, innerRadius, outerRadius }) => {
+    const point = (radius, angle) => `${(x + radius * Math.cos(angle)).toFixed(2)} ${(y + radius * Math.sin(angle)).toFixed(2)}`;
+    // A full circle cannot be drawn as a single arc, so it is split in two.
+    if (endAngle - startAngle >= 2 * Math.PI - 1e-6) {
+        const middle = startAngle + Math.PI;
+        return `${arcPath({ x, y, startAngle, endAngle: middle, innerRadius, outerRadius })} ${arcPath({ x, y, startAngle: middle, endAngle, innerRadius, outerRadius })}`;
+    }
+    const large = endAngle - startAngle > Math.PI ? 1 : 0;
+    const outer = `M ${point(outerRadius, startAngle)} A ${outerRadius} ${outerRadius} 0 ${large} 1 ${point(outerRadius, endAngle)}`;
+    if (innerRadius > 0) {
+        return `${outer} L ${point(innerRadius, endAngle)} A ${innerRadius} ${innerRadius} 0 ${large} 0 ${point(innerRadius, startAngle)} Z`;
+    }
+    return `${outer} L ${x.toFixed(2)} ${y.toFixed(2)} Z`;
+};
+
+const scaleToSVG = (scale, chartArea) => {
+    if (!scale.options.display || scale.axis === 'r') return [];
+    const parts = [];
+    const horizontal = scale.isHorizontal();
+    scale.ticks.forEach((tick, i) => {
+        const pixel = scale.getPixelForTick(i);
+        const label = labelText(tick.label);
+        if (horizontal) {
+            if (scale.labelRotation) {
+                parts.push(text(pixel, scale.top + 12, label, `text-anchor="end" transform="rotate(${-scale.labelRotation} ${pixel.toFixed(1)} ${(scale.top + 12).toFixed(1)})"`));
+            } else {
+                parts.push(text(pixel, scale.top + 16, label, 'text-anchor="middle"'));
+            }
+        } else {
+            if (scale.options.grid.display) {
+                parts.push(`<line x1="${chartArea.left}" x2="${chartArea.right}" y1="${pixel.toFixed(1)}" y2="${pixel.toFixed(1)}" stroke="rgba(0,0,0,0.1)" />`);
+            }
+            parts.push(text(scale.right - 8, pixel + 4, label, 'text-anchor="end"'));
+        }
+    });
+    const title = scale.options.title;
+    if (title?.display && title.text) {
+        const content = labelText(title.text);
+        parts.push(horizontal
+            ? text((scale.left + scale.right) / 2, scale.bottom - 4, content, 'text-anchor="middle"')
+            : text(scale.left + 12, (scale.top + scale.bottom) / 2, content, `text-anchor="middle" transform="rotate(-90 ${(scale.left + 12).toFixed(1)} ${((scale.top + scale.bottom) / 2).toFixed(1)})"`));
+    }
+    return parts;
+};
+
+const datasetToSVG = (chart, meta) => {
+    const parts = [];
+    if (meta.type === 'bar') {
+        meta.data.forEach(element => {
+            const { x, y, base, width, height, horizontal } = element.getProps(['x', 'y', 'base', 'width', 'height', 'horizontal'], true);
+            const { backgroundColor, borderColor, borderWidth } = element.options;
+            const left = horizontal ? Math.min(base, x) : x - width / 2;
+            const top = horizontal ? y - height / 2 : Math.min(base, y);
+            const w = horizontal ? Math.abs(x - base) : width;
+            const h = horizontal ? height : Math.abs(base - y);
+            parts.push(`<rect x="${left.toFixed(1)}" y="${top.toFixed(1)}" width="${w.toFixed(1)}" height="${h.toFixed(1)}" fill="${color(backgroundColor)}" stroke="${color(borderColor)}" stroke-width="${Number(borderWidth) || 0}" />`);
+        });
+    } else if (meta.type === 'pie' || meta.type === 'doughnut' || meta.type === 'polarArea') {
+        meta.data.forEach(element => {
+            const props = element.getProps(['x', 'y', 'startAngle', 'endAngle', 'innerRadius', 'outerRadius'], true);
+            const { backgroundColor, borderColor, borderWidth } = element.options;
+            parts.push(`<path d="${arcPath(props)}" fill="${color(backgroundColor)}" stroke="${color(borderColor, '#fff')}" stroke-width="${Number(borderWidth) || 0}" />`);
+        });
+    } else if (meta.type === 'line') {
+        const points = meta.data.map(element => element.getProps(['x', 'y'], true)).filter(point => !Number.isNaN(point.y));
+        if (points.length === 0) return parts;
+        const options = meta.dataset.options;
+        const path = points.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+        if (chart.data.datasets[meta.index].fill) {
+            const yScale = chart.scales[meta.yAxisID];
+            const zero = Math.min(chart.chartArea.bottom, Math.max(chart.chartArea.top, yScale.getPixelForValue(0)));
+            const area = `${points[0].x.toFixed(1)},${zero.toFixed(1)} ${path} ${points[points.length - 1].x.toFixed(1)},${zero.toFixed(1)}`;
+            parts.push(`<polygon points="${area}" fill="${color(options.backgroundColor)}" stroke="none" />`);
+        }
+        parts.push(`<polyline points="${path}" fill="none" stroke="${color(options.borderColor, '#000')}" stroke-width="${Number(options.borderWidth) || 1}" />`);
+        points.forEach(({ x, y }) => parts.push(`<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3" fill="${color(options.borderColor, '#000')}" />`));
+    }
+    return parts;
+};
+
+const legendToSVG = (legend) => {
+    if (!legend?.options.display || !legend.legendHitBoxes) return [];
+    const boxWidth = legend.options.labels.boxWidth;
+    return legend.legendItems.flatMap((item, i) => {
+        const box = legend.legendHitBoxes[i];
+        if (!box) return [];
+        return [
+            `<rect x="${box.left.toFixed(1)}" y="${box.top.toFixed(1)}" width="${boxWidth}" height="${Math.min(box.height, 12)}" fill="${color(item.fillStyle)}" stroke="${color(item.strokeStyle)}" opacity="${item.hidden ? 0.3 : 1}" />`,
+            text(box.left + boxWidth + 6, box.top + 10, item.text, item.hidden ? 'text-decoration="line-through"' : ''),
+        ];
+    });
+};
+
+// Rebuilds the chart as vector graphics from the geometry Chart.js has already
+// laid out (bars, arcs, line points, axes and legend), so the SVG matches what
+// is on screen. Covers the bar, pie and line charts used in the dashboard,
+// including their error bars.
+export const chartToSVG = (chart) => {
+    const { width, height, chartArea } = chart;
+    const parts = [`<rect width="${width}" height="${height}" fill="#ffffff" />`];
+    Object.values(chart.scales).forEach(scale => parts.push(...scaleToSVG(scale, chartArea)));
+    chart.getSortedVisibleDatasetMetas().forEach(meta => parts.push(...datasetToSVG(chart, meta)));
+    getErrorBars(chart).forEach(({ x, top, bottom, cap, color: stroke }) => {
+        parts.push(`<path d="M ${x.toFixed(1)} ${top.toFixed(1)} V ${bottom.toFixed(1)} M ${(x - cap).toFixed(1)} ${top.toFixed(1)} H ${(x + cap).toFixed(1)} M ${(x - cap).toFixed(1)} ${bottom.toFixed(1)} H ${(x + cap).toFixed(1)}" stroke="${stroke}" stroke-width="1" fill="none" />`);
+    });
+    parts.push(...legendToSVG(chart.legend));
+    const title = chart.titleBlock;
+    if (title?.options.display && title.options.text) {
+        parts.push(text(title.left + title.width / 2, title.top + title.height / 2 + 5, labelText(title.options.text), 'text-anchor="middle" font-weight="bold"'));
+    }
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        ...parts.map(part => `  ${part}`),
+        '</svg>',
+        '',
+    ].join('\n');
+};
+
+// --- Word Clouds ---
+// Words are { text, x, y, fontSize, color } as laid out by layoutWordCloud, x/y being the centre.
+
+export const wordCloudToSVG = (words, { width, height }) => [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `  <rect width="${width}" height="${height}" fill="#ffffff" />`,
+    ...words.map(word => `  <text x="${word.x.toFixed(1)}" y="${word.y.toFixed(1)}" font-family="${WORD_CLOUD_FONT}" font-weight="${WORD_CLOUD_FONT_WEIGHT}" font-size="${word.fontSize}" fill="${word.color}" text-anchor="middle" dominant-baseline="central">${escapeXML(word.text)}</text>`),
+    '</svg>',
+    '',
+].join('\n');
+
+// Drawn at twice the size so the PNG stays sharp in slides.
+export const wordCloudToPNG = (words, { width, height, pixelRatio = 2 }) => new Promise((resolve, reject) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * pixelRatio;
+    canvas.height = height * pixelRatio;
+    const context = canvas.getContext('2d');
+    context.scale(pixelRatio, pixelRatio);
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    words.forEach(word => {
+        context.font = `${WORD_CLOUD_FONT_WEIGHT} ${word.fontSize}px ${WORD_CLOUD_FONT}`;
+        context.fillStyle = word.color;
+        context.fillText(word.text, word.x, word.y);
+    });
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new LocalizedError('export.wordCloudImageFailed'))), 'image/png');
+});
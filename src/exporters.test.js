@@ -0,0 +1,35 @@
+import { toCSV, toJSONRows } from './exporters';
+
+const columns = [
+    { key: 'interest', label: 'Intresse' },
+    { key: 'share', label: 'Andel (%)' },
+];
+
+describe('toCSV', () => {
+    test('writes a BOM, semicolons, decimal commas and CRLF by default', () => {
+        expect(toCSV(columns, [{ interest: 'elbil', share: 12.5 }, { interest: 'ai', share: -3 }])).toBe(
+            '\uFEFFIntresse;Andel (%)\r\nelbil;12,5\r\nai;-3\r\n'
+        );
+    });
+
+    test('keeps negative numbers as numbers with a plain minus', () => {
+        const csv = toCSV(columns, [{ interest: 'kärnkraft', share: -0.25 }], { delimiter: ',', decimalSeparator: '.', bom: false });
+        expect(csv).toBe('Intresse,Andel (%)\r\nkärnkraft,-0.25\r\n');
+    });
+
+    test('quotes delimiters, quotes and line breaks', () => {
+        const csv = toCSV(columns, [{ interest: 'AI; "ML"\nrobotar', share: '' }], { bom: false });
+        expect(csv).toBe('Intresse;Andel (%)\r\n"AI; ""ML""\nrobotar";\r\n');
+    });
+
+    test('defuses text that Excel would run as a formula', () => {
+        const csv = toCSV(columns, [{ interest: '=HYPERLINK("x")', share: '-3,5' }, { interest: '@SUM(A1)', share: '+1' }], { bom: false });
+        expect(csv).toBe('Intresse;Andel (%)\r\n"\'=HYPERLINK(""x"")";-3,5\r\n\'@SUM(A1);+1\r\n');
+    });
+});
+
+describe('toJSONRows', () => {
+    test('keeps only the table\'s columns and numbers as numbers', () => {
+        expect(JSON.parse(toJSONRows(columns, [{ interest: 'elbil', share: -12.5, rule: 'x' }]))).toEqual([{ interest: 'elbil', share: -12.5 }]);
+    });
+});
@@ -0,0 +1,89 @@
+import { MESSAGES } from './messages';
+
+// --- Internationalisation ---
+// UI strings come from the message catalogue in messages.js; {name} in a
+// message is replaced by the parameter of the same name. Numbers, shares and
+// dates are formatted for the language's locale (12,5 % in Swedish, 12.5% in
+// English). Values that belong to the data, such as category names, column
+// names and wave labels, are shown as they were entered.
+
+const STORAGE_KEY = 'nyteknik-dashboard:language';
+
+export const LANGUAGES = { sv: 'Svenska', en: 'English' };
+
+export const DEFAULT_LANGUAGE = 'sv';
+
+const LOCALES = { sv: 'sv-SE', en: 'en-GB' };
+
+// Messages missing in a language fall back to Swedish, then to the key itself.
+export const translate = (language, key, params = {}) => {
+    const template = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+};
+
+// Errors thrown by the data modules carry their message key, so the UI can show
+// them in the selected language; the message itself is Swedish, for the console.
+export class LocalizedError extends Error {
+    constructor(key, params = {}) {
+        super(translate(DEFAULT_LANGUAGE, key, params));
+        this.name = 'LocalizedError';
+        this.key = key;
+        this.params = params;
+    }
+}
+
+const numberFormats = new Map();
+
+const numberFormat = (locale, options) => {
+    const cacheKey = `${locale}|${JSON.stringify(options)}`;
+    if (!numberFormats.has(cacheKey)) numberFormats.set(cacheKey, new Intl.NumberFormat(locale, options));
+    return numberFormats.get(cacheKey);
+};
+
+// Everything the UI needs for one language. Created once per language, so it
+// can be used as a hook dependency.
+export const createI18n = (language) => {
+    const locale = LOCALES[language] || LOCALES[DEFAULT_LANGUAGE];
+    const t = (key, params) => translate(language, key, params);
+    const formatNumber = (value, { decimals = 0 } = {}) => numberFormat(locale, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+    }).format(value);
+    const decimalSeparator = formatNumber(1.5, { decimals: 1 }).includes(',') ? ',' : '.';
+    return {
+        language,
+        locale,
+        t,
+        formatNumber,
+        // share is 0..1.
+        formatPercent: (share, decimals = 1) => numberFormat(locale, {
+            style: 'percent',
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals,
+        }).format(share),
+        formatDateTime: (timestamp) => new Date(timestamp).toLocaleString(locale, { dateStyle: 'short', timeStyle: 'short' }),
+        formatError: (error) => (error?.key ? t(error.key, error.params) : error?.message || String(error)),
+        // Exported tables keep raw numbers and only swap the decimal separator.
+        // Excel expects semicolons where the decimal separator is a comma.
+        decimalSeparator,
+        csvDelimiter: decimalSeparator === ',' ? ';' : ',',
+    };
+};
+
+export const loadLanguage = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored && LANGUAGES[stored]) return stored;
+    } catch (error) {
+        console.error('Could not load language:', error);
+    }
+    return DEFAULT_LANGUAGE;
+};
+
+export const saveLanguage = (language) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, language);
+    } catch (error) {
+        console.error('Could not save language:', error);
+    }
+};
@@ -0,0 +1,39 @@
+import { translate, createI18n, LocalizedError } from './i18n';
+
+describe('translate', () => {
+    test('fills in parameters and falls back to Swedish, then to the key', () => {
+        expect(translate('en', 'connections.noReaders', { term: 'elbil' })).toBe('Found no readers with the interest "elbil".');
+        expect(translate('sv', 'connections.noReaders', { term: 'elbil' })).toBe('Hittade inga läsare med intresset "elbil".');
+        expect(translate('fi', 'connections.noReaders', { term: 'elbil' })).toBe('Hittade inga läsare med intresset "elbil".');
+        expect(translate('en', 'no.such.key')).toBe('no.such.key');
+    });
+
+    test('leaves unknown placeholders in place', () => {
+        expect(translate('en', 'connections.noReaders')).toBe('Found no readers with the interest "{term}".');
+    });
+});
+
+describe('createI18n', () => {
+    test('formats numbers and shares for Swedish', () => {
+        const i18n = createI18n('sv');
+        expect(i18n.formatNumber(12.345, { decimals: 1 })).toBe('12,3');
+        expect(i18n.formatPercent(0.125)).toMatch(/^12,5\s%$/);
+        expect(i18n.decimalSeparator).toBe(',');
+        expect(i18n.csvDelimiter).toBe(';');
+    });
+
+    test('formats numbers and shares for English', () => {
+        const i18n = createI18n('en');
+        expect(i18n.formatNumber(1234.5, { decimals: 1 })).toBe('1,234.5');
+        expect(i18n.formatPercent(0.125)).toBe('12.5%');
+        expect(i18n.decimalSeparator).toBe('.');
+        expect(i18n.csvDelimiter).toBe(',');
+    });
+
+    test('shows localized errors in the selected language', () => {
+        const error = new LocalizedError('connections.noReaders', { term: 'AI' });
+        expect(error.message).toBe('Hittade inga läsare med intresset "AI".');
+        expect(createI18n('en').formatError(error)).toBe('Found no readers with the interest "AI".');
+        expect(createI18n('en').formatError(new Error('boom'))).toBe('boom');
+    });
+});
@@ -0,0 +1,41 @@
+// --- Interest Normalization & Counting ---
+
+// Normalizes a string by making it lowercase, trimming whitespace,
+// removing content in parentheses and collapsing inner whitespace.
+// Plurals and synonyms are folded later by the alias layer (see aliases.js).
+export const normalizeInterest = (text) => {
+    if (!text) return '';
+    return text.trim().toLowerCase().replace(/\s*\(.*\)\s*/g, '').trim().replace(/\s+/g, ' ');
+};
+
+// Splits one free-text cell ("AI, elbil; kärnkraft") into normalized interests.
+// Single characters are dropped since they are almost always noise; two-letter
+// terms are kept because of abbreviations like 'ai' and 'ev'.
+export const splitInterests = (text) => {
+    if (!text) return [];
+    return String(text)
+        .split(/[,;|\n]/)
+        .map(normalizeInterest)
+        .filter(item => item.length > 1);
+};
+
+// Counts every interest across all lines and returns [interest, count]
+// pairs sorted from most to least mentioned.
+// Loops instead of lines.flat() so 100k+ respondents don't need an extra copy.
+export const countInterests = (lines) => {
+    const interestCounts = new Map();
+    lines.forEach(line => line.forEach(interest => interestCounts.set(interest, (interestCounts.get(interest) || 0) + 1)));
+    return [...interestCounts.entries()].sort(([, a], [, b]) => b - a);
+};
+
+// Maps every interest to the indexes of the lines that mention it, so looking
+// up one term touches only its own respondents instead of scanning them all.
+export const buildInterestIndex = (lines) => {
+    const index = new Map();
+    lines.forEach((line, lineIndex) => new Set(line).forEach(interest => {
+        const entries = index.get(interest);
+        if (entries) entries.push(lineIndex);
+        else index.set(interest, [lineIndex]);
+    }));
+    return index;
+};
@@ -0,0 +1,33 @@
+import { normalizeInterest, splitInterests, countInterests, buildInterestIndex } from './interests';
+
+describe('splitInterests', () => {
+    test('splits on commas, semicolons, pipes and line breaks and normalizes each term', () => {
+        expect(splitInterests('AI,  Elbil ; Kärnkraft (SMR)|rymd\n5G')).toEqual(['ai', 'elbil', 'kärnkraft', 'rymd', '5g']);
+    });
+
+    test('drops single characters and empty cells', () => {
+        expect(splitInterests('x, ev, ,')).toEqual(['ev']);
+        expect(splitInterests('')).toEqual([]);
+        expect(splitInterests(null)).toEqual([]);
+    });
+});
+
+describe('normalizeInterest', () => {
+    test('collapses inner whitespace', () => {
+        expect(normalizeInterest('  Artificiell   Intelligens ')).toBe('artificiell intelligens');
+    });
+});
+
+describe('countInterests', () => {
+    test('returns [interest, count] pairs, most mentioned first', () => {
+        expect(countInterests([['ai', 'elbil'], ['ai'], ['rymd', 'ai']])).toEqual([['ai', 3], ['elbil', 1], ['rymd', 1]]);
+    });
+});
+
+describe('buildInterestIndex', () => {
+    test('maps every interest to the lines mentioning it', () => {
+        const index = buildInterestIndex([['ai', 'elbil'], ['rymd'], ['ai', 'ai']]);
+        expect(index.get('ai')).toEqual([0, 2]);
+        expect(index.get('rymd')).toEqual([1]);
+    });
+});
@@ -0,0 +1,318 @@
+import { LocalizedError, translate } from './i18n';
+
+// --- LLM Providers ---
+// One entry point, generateText(), in front of several backends:
+//   gemini  – Google's generateContent API
+//   openai  – any OpenAI-compatible /chat/completions endpoint (OpenAI, llama.cpp, Ollama, a mock)
+//   offline – deterministic templates built from the data, no network at all
+// Responses are cached by provider, model, temperature and prompt, so asking
+// for the same persona twice does not cost a second call. Network providers
+// stream their answer, so the text can be shown while it is being written.
+// Errors and offline answers use the message catalogue (see i18n.js).
+
+const SETTINGS_KEY = 'nyteknik-dashboard:llm';
+const CACHE_KEY = 'nyteknik-dashboard:llm-cache';
+const MAX_CACHE_ENTRIES = 50;
+
+export const PROVIDERS = {
+    gemini: { endpoint: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-2.0-flash' },
+    openai: { endpoint: 'http://localhost:11434/v1', model: 'llama3.1' },
+    offline: { endpoint: '', model: '' },
+};
+
+export const DEFAULT_LLM_SETTINGS = {
+    provider: 'gemini',
+    endpoint: PROVIDERS.gemini.endpoint,
+    model: PROVIDERS.gemini.model,
+    apiKey: '',
+    // The API key is only written to localStorage when the user asks for it.
+    rememberApiKey: false,
+    temperature: 0.7,
+    maxRetries: 2,
+};
+
+// A key that is not remembered lives here until the page is closed, so it
+// survives switching views but never reaches storage.
+let apiKeyInMemory = '';
+
+export class LLMError extends LocalizedError {
+    constructor(key, params = {}, { status = null, retryable = false, aborted = false } = {}) {
+        super(key, params);
+        this.name = 'LLMError';
+        this.status = status;
+        this.retryable = retryable;
+        this.aborted = aborted;
+    }
+}
+
+export const loadLLMSettings = () => {
+    try {
+        const stored = localStorage.getItem(SETTINGS_KEY);
+        if (stored) {
+            const settings = { ...DEFAULT_LLM_SETTINGS, ...JSON.parse(stored) };
+            return settings.rememberApiKey ? settings : { ...settings, apiKey: apiKeyInMemory };
+        }
+    } catch (error) {
+        console.error('Could not load AI settings:', error);
+    }
+    return { ...DEFAULT_LLM_SETTINGS, apiKey: apiKeyInMemory };
+};
+
+export const saveLLMSettings = (settings) => {
+    apiKeyInMemory = settings.apiKey;
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings.rememberApiKey ? settings : { ...settings, apiKey: '' }));
+    } catch (error) {
+        console.error('Could not save AI settings:', error);
+    }
+};
+
+// --- Cache ---
+
+// FNV-1a; only used to keep cache keys short, not for security.
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+};
+
+const cacheKeyFor = (prompt, settings) => hashString(JSON.stringify([settings.provider, settings.endpoint, settings.model, settings.temperature, prompt]));
+
+const readCache = () => {
+    try {
+        return JSON.parse(localStorage.getItem(CACHE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+};
+
+const writeCache = (key, text) => {
+    const entries = readCache().filter(entry => entry.key !== key);
+    entries.push({ key, text });
+    try {
+        localStorage.setItem(CACHE_KEY, JSON.stringify(entries.slice(-MAX_CACHE_ENTRIES)));
+    } catch (error) {
+        console.error('Could not write AI response cache:', error);
+    }
+};
+
+export const clearLLMCache = () => localStorage.removeItem(CACHE_KEY);
+
+// --- HTTP helpers ---
+
+// The message key for an HTTP status; the service's own detail is passed along untranslated.
+const httpErrorKey = (status) => {
+    if (status === 400) return 'llm.error.rejected';
+    if (status === 401 || status === 403) return 'llm.error.apiKey';
+    if (status === 404) return 'llm.error.notFound';
+    if (status === 429) return 'llm.error.rateLimited';
+    if (status >= 500) return 'llm.error.serverError';
+    return 'llm.error.unexpectedStatus';
+};
+
+const abortedError = () => new LLMError('llm.error.aborted', {}, { aborted: true });
+
+const post = async (url, body, { headers = {}, signal } = {}) => {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal,
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') throw abortedError();
+        throw new LLMError('llm.error.unreachable', { origin: new URL(url).origin }, { retryable: true });
+    }
+    if (!response.ok) {
+        let detail = '';
+        try {
+            const data = await response.json();
+            detail = data?.error?.message || '';
+        } catch (error) {
+            detail = response.statusText;
+        }
+        throw new LLMError(httpErrorKey(response.status), { status: response.status, detail: detail ? ` (${detail})` : '' }, {
+            status: response.status,
+            retryable: response.status === 429 || response.status >= 500,
+        });
+    }
+    return response;
+};
+
+// Reads a server-sent event stream and calls onEvent with each parsed `data:` payload.
+const readEventStream = async (response, onEvent) => {
+    const handleLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+        try {
+            onEvent(JSON.parse(payload));
+        } catch (error) {
+            if (error instanceof LLMError) throw error;
+            console.error('Could not parse streamed AI response:', payload);
+        }
+    };
+
+    try {
+        if (!response.body?.getReader) {
+            (await response.text()).split('\n').forEach(handleLine);
+            return;
+        }
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffered = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffered += decoder.decode(value, { stream: true });
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffered);
+    } catch (error) {
+        if (error instanceof LLMError) throw error;
+        if (error.name === 'AbortError') throw abortedError();
+        throw new LLMError('llm.error.interrupted', {}, { retryable: true });
+    }
+};
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// --- Providers ---
+
+// Each provider streams its answer and calls onText with the text received so far.
+
+const callGemini = async (prompt, settings, signal, onText) => {
+    const endpoint = trimSlash(settings.endpoint || PROVIDERS.gemini.endpoint);
+    // The key goes in a header, not the URL, so it stays out of server logs and browser history.
+    const url = `${endpoint}/models/${encodeURIComponent(settings.model)}:streamGenerateContent?alt=sse`;
+    const response = await post(url, {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: { temperature: Number(settings.temperature) },
+    }, {
+        headers: { 'x-goog-api-key': settings.apiKey },
+        signal,
+    });
+    let text = '';
+    await readEventStream(response, (data) => {
+        if (data.promptFeedback?.blockReason) {
+            throw new LLMError('llm.error.blocked', { reason: data.promptFeedback.blockReason });
+        }
+        const chunk = data.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+        if (!chunk) return;
+        text += chunk;
+        onText(text);
+    });
+    if (!text) throw new LLMError('llm.error.empty');
+    return text;
+};
+
+const callOpenAICompatible = async (prompt, settings, signal, onText) => {
+    const endpoint = trimSlash(settings.endpoint || PROVIDERS.openai.endpoint);
+    const response = await post(`${endpoint}/chat/completions`, {
+        model: settings.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: Number(settings.temperature),
+        stream: true,
+    }, {
+        headers: settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {},
+        signal,
+    });
+    let text = '';
+    await readEventStream(response, (data) => {
+        const chunk = data.choices?.[0]?.delta?.content || '';
+        if (!chunk) return;
+        text += chunk;
+        onText(text);
+    });
+    if (!text) throw new LLMError('llm.error.empty');
+    return text;
+};
+
+// Offline answers are built from the structured data passed with the request,
+// not from the prompt, so they are stable and work without any network.
+// t translates into the request's language.
+const OFFLINE_TEMPLATES = {
+    persona: ({ topInterests = [] }, t) => {
+        const names = topInterests.slice(0, 8).map(([term]) => term);
+        return [
+            t('offline.persona.title'),
+            '',
+            t('offline.persona.top', { terms: names.join(', ') || t('offline.unknown') }),
+            names.length > 0 ? t('offline.persona.guess', { terms: names.slice(0, 3).join(', ') }) : '',
+            '',
+            t('offline.persona.hint'),
+        ].join('\n');
+    },
+    'segment-persona': ({ segment }, t) => [
+        `### ${t('offline.segment.title', { id: segment.id })}`,
+        '',
+        t('offline.segment.size', { size: segment.size, terms: segment.definingTerms.slice(0, 4).map(({ term }) => term).join(', ') || t('offline.segment.mixed') }),
+        t('offline.segment.category', { category: segment.categoryMix[0]?.category || t('offline.unknown') }),
+    ].join('\n'),
+    'article-ideas': ({ segment }, t) => segment.definingTerms.slice(0, 5)
+        .map(({ term }, i) => `${i + 1}. ${t('offline.articleIdea', { term: term.charAt(0).toUpperCase() + term.slice(1) })}`)
+        .join('\n'),
+    explain: ({ term = '' }, t) => [
+        t('offline.explain.title', { term }),
+        '',
+        t('offline.explain.body', { term }),
+    ].join('\n'),
+};
+
+const callOffline = async (request) => {
+    const t = (key, params) => translate(request.language, key, params);
+    const template = OFFLINE_TEMPLATES[request.task];
+    if (!template) return t('offline.noTemplate');
+    return template(request.data || {}, t);
+};
+
+// --- Public API ---
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortedError());
+    }, { once: true });
+});
+
+// request: { prompt, task, data, language }. Resolves with { text, cached }; onText is
+// called with the partial text while it streams in. Retryable failures
+// (network, 429, 5xx) are retried with exponential backoff, and a retry
+// starts the partial text over from the beginning.
+export const generateText = async (request, settings, { signal, onText = () => {} } = {}) => {
+    if (settings.provider === 'offline') {
+        const text = await callOffline(request);
+        onText(text);
+        return { text, cached: false };
+    }
+
+    const key = cacheKeyFor(request.prompt, settings);
+    const hit = readCache().find(entry => entry.key === key);
+    if (hit) {
+        onText(hit.text);
+        return { text: hit.text, cached: true };
+    }
+
+    const call = settings.provider === 'openai' ? callOpenAICompatible : callGemini;
+    const maxRetries = Number(settings.maxRetries) || 0;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            onText('');
+            const text = await call(request.prompt, settings, signal, onText);
+            writeCache(key, text);
+            return { text, cached: false };
+        } catch (error) {
+            const llmError = error instanceof LLMError ? error : new LLMError('llm.error.unexpected', { message: error.message });
+            if (!llmError.retryable || attempt >= maxRetries || signal?.aborted) throw llmError;
+            await sleep(1000 * 2 ** attempt, signal);
+        }
+    }
+};
@@ -0,0 +1,16 @@
+import { loadLLMSettings, saveLLMSettings } from './llm';
+
+describe('LLM settings', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('keep the API key in memory only unless asked to remember it', () => {
+        saveLLMSettings({ ...loadLLMSettings(), apiKey: 'hemlig' });
+        expect(localStorage.getItem('nyteknik-dashboard:llm')).not.toContain('hemlig');
+        expect(loadLLMSettings().apiKey).toBe('hemlig');
+    });
+
+    test('store the API key when the user opts in', () => {
+        saveLLMSettings({ ...loadLLMSettings(), apiKey: 'hemlig', rememberApiKey: true });
+        expect(JSON.parse(localStorage.getItem('nyteknik-dashboard:llm'))).toMatchObject({ apiKey: 'hemlig', rememberApiKey: true });
+    });
+});
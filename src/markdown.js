@@ -0,0 +1,119 @@
+// --- Markdown ---
+// A small Markdown parser for AI responses. It produces a plain tree of blocks
+// and inline nodes that the UI renders as React elements, so model output is
+// never injected as HTML. Supported: headings, paragraphs, bullet and numbered
+// lists, block quotes, fenced code, horizontal rules, **bold**, *italic*,
+// `code` and [links](https://...).
+
+// Only these link targets are rendered as links; anything else (javascript:, data:) stays text.
+export const isSafeUrl = (url) => /^(https?:\/\/|mailto:)/i.test(url.trim());
+
+const INLINE_PATTERN = /`([^`\n]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*?[^*\s])?)\*|_([^_\s](?:[^_]*?[^_\s])?)_(?![\w])|\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+
+export const parseInline = (text) => {
+    const nodes = [];
+    let last = 0;
+    const pushText = (value) => {
+        if (value) nodes.push({ type: 'text', text: value });
+    };
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+        pushText(text.slice(last, match.index));
+        const [whole, code, strong, strongAlt, em, emAlt, linkText, href] = match;
+        if (code !== undefined) nodes.push({ type: 'code', text: code });
+        else if (strong !== undefined || strongAlt !== undefined) nodes.push({ type: 'strong', children: parseInline(strong ?? strongAlt) });
+        // _x_ inside a word (snake_case) is not emphasis.
+        else if (emAlt !== undefined && /\w/.test(text[match.index - 1] || '')) pushText(whole);
+        else if (em !== undefined || emAlt !== undefined) nodes.push({ type: 'em', children: parseInline(em ?? emAlt) });
+        else if (isSafeUrl(href)) nodes.push({ type: 'link', href: href.trim(), children: parseInline(linkText) });
+        else pushText(whole);
+        last = match.index + whole.length;
+    }
+    pushText(text.slice(last));
+    return nodes;
+};
+
+// Lines inside a paragraph or list item keep their line breaks, like the old <br> output did.
+const parseLines = (lines) => lines.flatMap((line, i) => (i > 0 ? [{ type: 'break' }, ...parseInline(line)] : parseInline(line)));
+
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?/;
+const LIST_ITEM = /^\s{0,3}(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+
+export const parseMarkdown = (source = '') => {
+    const lines = source.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    const isBlockStart = (line) => FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        if (FENCE.test(line)) {
+            const fence = line.match(FENCE)[1];
+            const code = [];
+            i++;
+            // An unclosed fence (e.g. while a response is still streaming) runs to the end.
+            while (i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+            i++;
+            blocks.push({ type: 'code', text: code.join('\n') });
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].replace(QUOTE, ''));
+            blocks.push({ type: 'quote', blocks: parseMarkdown(quoted.join('\n')) });
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            const ordered = item[2] !== undefined;
+            const list = { type: 'list', ordered, start: ordered ? Number(item[2]) : 1, items: [] };
+            let current = null;
+            while (i < lines.length) {
+                const next = lines[i].match(LIST_ITEM);
+                if (next && (next[2] !== undefined) === ordered) {
+                    current = [next[3]];
+                    list.items.push(current);
+                } else if (lines[i].trim() && !next && !isBlockStart(lines[i])) {
+                    // Continuation of the previous item (wrapped or indented text).
+                    current.push(lines[i].trim());
+                } else if (!lines[i].trim() && LIST_ITEM.test(lines[i + 1] || '') && (lines[i + 1].match(LIST_ITEM)[2] !== undefined) === ordered) {
+                    // A blank line between items of the same list does not end the list.
+                } else {
+                    break;
+                }
+                i++;
+            }
+            list.items = list.items.map(parseLines);
+            blocks.push(list);
+            continue;
+        }
+
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i]))) paragraph.push(lines[i++].trim());
+        blocks.push({ type: 'paragraph', children: parseLines(paragraph) });
+    }
+    return blocks;
+};
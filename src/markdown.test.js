@@ -0,0 +1,59 @@
+import { isSafeUrl, parseInline, parseMarkdown } from './markdown';
+
+describe('isSafeUrl', () => {
+    test('allows web and mail links only', () => {
+        expect(isSafeUrl('https://www.nyteknik.se')).toBe(true);
+        expect(isSafeUrl(' mailto:redaktionen@nyteknik.se')).toBe(true);
+        expect(isSafeUrl('javascript:alert(1)')).toBe(false);
+        expect(isSafeUrl('data:text/html;base64,PHNjcmlwdD4=')).toBe(false);
+        expect(isSafeUrl('//evil.example')).toBe(false);
+    });
+});
+
+describe('parseInline', () => {
+    test('parses bold, italic, code and links', () => {
+        expect(parseInline('**Elbil** och *AI* i `kod` [läs](https://nyteknik.se)')).toEqual([
+            { type: 'strong', children: [{ type: 'text', text: 'Elbil' }] },
+            { type: 'text', text: ' och ' },
+            { type: 'em', children: [{ type: 'text', text: 'AI' }] },
+            { type: 'text', text: ' i ' },
+            { type: 'code', text: 'kod' },
+            { type: 'text', text: ' ' },
+            { type: 'link', href: 'https://nyteknik.se', children: [{ type: 'text', text: 'läs' }] },
+        ]);
+    });
+
+    test('keeps unsafe links and HTML as plain text', () => {
+        expect(parseInline('[klicka](javascript:void)')).toEqual([{ type: 'text', text: '[klicka](javascript:void)' }]);
+        expect(parseInline('<img src=x onerror=alert(1)>')).toEqual([{ type: 'text', text: '<img src=x onerror=alert(1)>' }]);
+    });
+
+    test('does not treat underscores inside words as emphasis', () => {
+        expect(parseInline('snake_case_name')).toEqual([{ type: 'text', text: 'snake_case_name' }]);
+    });
+});
+
+describe('parseMarkdown', () => {
+    test('parses headings, lists, quotes, rules and paragraphs', () => {
+        const blocks = parseMarkdown('## Idéer\n\n1. Första\n2. Andra\n\n> Citat\n\n---\nSlut\nrad två');
+        expect(blocks.map(block => block.type)).toEqual(['heading', 'list', 'quote', 'rule', 'paragraph']);
+        expect(blocks[0]).toEqual({ type: 'heading', level: 2, children: [{ type: 'text', text: 'Idéer' }] });
+        expect(blocks[1]).toMatchObject({ ordered: true, start: 1, items: [[{ type: 'text', text: 'Första' }], [{ type: 'text', text: 'Andra' }]] });
+        expect(blocks[2].blocks).toEqual([{ type: 'paragraph', children: [{ type: 'text', text: 'Citat' }] }]);
+        expect(blocks[4].children).toEqual([{ type: 'text', text: 'Slut' }, { type: 'break' }, { type: 'text', text: 'rad två' }]);
+    });
+
+    test('keeps fenced code as text and runs an unclosed fence to the end', () => {
+        expect(parseMarkdown('```\n<script>alert(1)</script>\n**inte fet**')).toEqual([
+            { type: 'code', text: '<script>alert(1)</script>\n**inte fet**' },
+        ]);
+    });
+
+    test('continues a list across blank lines and wrapped text', () => {
+        const [list] = parseMarkdown('- ett\n  fortsättning\n\n- två');
+        expect(list.items).toEqual([
+            [{ type: 'text', text: 'ett' }, { type: 'break' }, { type: 'text', text: 'fortsättning' }],
+            [{ type: 'text', text: 'två' }],
+        ]);
+    });
+});
@@ -0,0 +1,860 @@
+// --- Message Catalogue ---
+// Every UI string, AI prompt and error message, by language. Keys are grouped
+// by view; {name} is replaced by the parameter of the same name (see i18n.js).
+
+export const MESSAGES = {
+    sv: {
+        // Common & app shell
+        'common.cancel': 'Avbryt',
+        'common.close': 'Stäng',
+        'common.remove': 'Ta bort',
+        'common.none': 'Inga.',
+        'common.interval': '{low}–{high} %',
+        'app.title': 'Interaktiv Intressedashboard med AI',
+        'app.subtitle': 'Utforska läsarintressen från Ny Teknik.',
+        'app.language': 'Språk',
+        'nav.overview': 'Översikt',
+        'nav.categories': 'Kategorier',
+        'nav.taxonomy': 'Taxonomi',
+        'nav.aliases': 'Synonymer',
+        'nav.connections': 'Kopplingar',
+        'nav.trends': 'Trender',
+        'nav.ai-analysis': 'AI-analys',
+        'nav.sessions': 'Sessioner',
+        'session.saveFailed': 'Sessionen kunde inte sparas: {error}',
+        'session.missing': 'Sessionen finns inte längre.',
+        'session.openFailed': 'Sessionen kunde inte öppnas: {error}',
+        'session.label': 'Session:',
+        'session.autosave': 'sparas automatiskt i webbläsaren.',
+        'analysis.failed': 'Intressena kunde inte räknas: {error}',
+        'session.notSaved': 'Sessionen är borttagen, så ändringar sparas inte längre.',
+        'session.saveAsNew': 'Spara som ny session',
+        'upload.titleFirst': '1. Ladda upp din datafil',
+        'upload.titleWave': 'Lägg till en våg',
+        'upload.description': 'Välj en CSV-, JSON- eller .txt-fil med läsarnas intressen. CSV-filer från Excel (semikolonavgränsade) och exporter från enkätverktyget fungerar också; i nästa steg väljer du vilka kolumner som innehåller intressen och metadata.',
+        'upload.continueSession': 'Eller fortsätt med en sparad session',
+        'toolbar.respondents': '{count} respondenter',
+        'toolbar.metadata': 'metadata: {columns}',
+        'toolbar.addWave': 'Lägg till våg',
+        'toolbar.removeWave': 'Ta bort våg',
+        'toolbar.printReport': 'Skriv ut rapport',
+        'toolbar.newAnalysis': 'Ny analys',
+        'columns.interest': 'Intresse',
+        'columns.count': 'Antal',
+        'columns.variants': 'Varianter',
+        'wordCloud.title': 'Ordmoln',
+        'wordCloud.empty': 'Inga ämnen att visa i ordmolnet.',
+        'wordCloud.mentions': '{count} omnämnanden',
+        'wordCloud.share': '{share} av de svarande',
+        'wordCloud.scale': 'Skala',
+        'wordCloud.scale.sqrt': 'Kvadratrot',
+        'wordCloud.scale.log': 'Logaritmisk',
+        'wordCloud.scale.linear': 'Linjär',
+        'wordCloud.maxWords': 'Antal ord',
+        'wordCloud.category': 'Kategori',
+        'wordCloud.allCategories': 'Alla kategorier',
+        'wordCloud.stopwords': 'Stoppord ({count})',
+        'wordCloud.stopwordsPlaceholder': 'Ord som inte ska visas, separerade med kommatecken',
+        'wordCloud.categoryTitle': 'Ordmoln – {category}',
+        'import.reading': 'Läser filen',
+        'import.building': 'Bygger datamängden',
+        'import.readFailed': 'Kunde inte läsa filen: {error}',
+        'import.buildFailed': 'Kunde inte importera filen: {error}',
+        'import.noInterests': 'Inga intressen hittades i den valda kolumnen. Kontrollera kolumnmappningen.',
+        'segment.everyone': 'Alla respondenter',
+
+        // Errors from the data modules
+        'file.invalidJSON': 'Filen är inte giltig JSON.',
+        'file.excelUnsupported': 'Excel-filer kan inte läsas direkt. Spara arket som CSV i Excel och ladda upp den filen.',
+        'taxonomy.noCategories': 'Filen innehåller ingen kategorilista ("categories").',
+        'taxonomy.unnamedCategory': 'Kategori {number} saknar namn.',
+        'taxonomy.duplicateCategory': 'Kategorin "{name}" finns flera gånger.',
+        'taxonomy.invalidRule': 'Ogiltig regel i kategorin "{name}".',
+        'taxonomy.emptyPattern': 'Tomt mönster',
+        'taxonomy.invalidPattern': 'Ogiltigt mönster: {message}',
+        'session.noIndexedDB': 'Webbläsaren stöder inte IndexedDB.',
+        'session.aborted': 'Transaktionen avbröts.',
+        'session.notSessionFile': 'Filen är ingen exporterad session från dashboarden.',
+        'session.noData': 'Sessionen saknar data.',
+        'export.chartImageFailed': 'Diagrammet kunde inte sparas som bild.',
+        'export.wordCloudImageFailed': 'Ordmolnet kunde inte sparas som bild.',
+
+        // Sessions, segments & import
+        'sessions.title': 'Sparade sessioner',
+        'sessions.listFailed': 'Sparade sessioner kunde inte läsas: {error}',
+        'sessions.renamePrompt': 'Nytt namn på sessionen',
+        'sessions.confirmDelete': 'Ta bort sessionen "{name}"? Det går inte att ångra.',
+        'sessions.loading': 'Läser sparade sessioner...',
+        'sessions.empty': 'Inga sparade sessioner ännu.',
+        'sessions.open': 'Öppen',
+        'sessions.summary': '{waves} vågor · {respondents} respondenter · ändrad {updated}',
+        'sessions.openAction': 'Öppna',
+        'sessions.rename': 'Byt namn',
+        'sessions.duplicate': 'Duplicera',
+        'sessions.copyName': '{name} (kopia)',
+        'sessions.export': 'Exportera',
+        'sessions.import': 'Importera session från fil...',
+        'segment.all': 'Alla',
+        'segment.a': 'Segment A',
+        'segment.b': 'Segment B',
+        'segment.single': 'Segment',
+        'segment.size': '{count} av {total} respondenter',
+        'segment.clear': 'Rensa',
+        'segment.compare': 'Jämför segment',
+        'import.title': '2. Koppla kolumner',
+        'import.summary': '{rows} rader',
+        'import.encoding': 'Teckenkodning',
+        'import.delimiter': 'Avgränsare',
+        'import.tab': 'Tabb',
+        'import.hasHeader': 'Första raden är rubriker',
+        'import.role.interests': 'Intressen',
+        'import.role.id': 'Respondent-id',
+        'import.role.meta': 'Metadata',
+        'import.role.wave': 'Våg/datum',
+        'import.role.ignore': 'Ignorera',
+        'import.column': 'Kolumn',
+        'import.unknownWave': 'Okänd våg',
+        'import.wave': 'Våg eller datum',
+        'import.waveFromColumn': 'hämtas från kolumnen "{column}" (datum grupperas per kvartal)',
+        'import.wavePlaceholder': 't.ex. 2025 Q1 (annars "{fileName}")',
+        'import.needInterestColumn': 'Välj minst en kolumn som innehåller intressen.',
+        'import.confirm': 'Importera',
+
+        // Statistics & overview
+        'stats.test.fisher': 'Fishers exakta test',
+        'stats.test.chi-square': 'Chi²-test',
+        'stats.significantOnly': 'Visa bara signifikanta resultat (p < {level})',
+        'stats.smallSample': 'Litet underlag: {groups}.',
+        'stats.smallSampleGroup': '{label} ({count} svarande)',
+        'stats.smallSampleHint': 'Under {min} svarande är andelarna mycket osäkra; se konfidensintervallen innan du drar slutsatser.',
+        'stats.ci': '95 % KI {interval}',
+        'stats.adjustedPValue': 'Justerat p-värde',
+        'stats.test': 'Test',
+        'overview.top10': 'Topp 10 Intressen',
+        'overview.variants': '{count} varianter',
+        'overview.chart': 'Intressediagram',
+        'overview.filterPlaceholder': 'Sök för att filtrera diagrammet...',
+        'overview.sample': 'Urvalet',
+        'overview.mentions': 'Antal omnämnanden',
+        'overview.shareAxis': 'Andel respondenter (%)',
+        'overview.tooltipShare': '{label}: {share} (95 % KI {interval})',
+        'overview.tooltipFooter': 'Index A/B: {index} · justerat p = {pValue}',
+        'overview.tooltipInterval': '{interval} av de svarande (95 % KI)',
+        'overview.pageSizeBefore': 'Visa',
+        'overview.pageSizeAfter': 'åt gången',
+        'overview.previous': 'Föregående',
+        'overview.next': 'Nästa',
+        'overview.pageRange': '{first}–{last} av {total}',
+        'overview.comparison': 'Skillnader mellan segment',
+        'overview.shareA': 'Andel A',
+        'overview.shareB': 'Andel B',
+        'overview.shareALabel': 'Andel A ({label})',
+        'overview.shareBLabel': 'Andel B ({label})',
+        'overview.ciALow': 'KI A (95 %), nedre',
+        'overview.ciAHigh': 'KI A (95 %), övre',
+        'overview.ciBLow': 'KI B (95 %), nedre',
+        'overview.ciBHigh': 'KI B (95 %), övre',
+        'overview.difference': 'Skillnad (procentenheter)',
+        'overview.index': 'Index A/B',
+        'overview.comparisonSizes': 'A: {labelA} ({sizeA} respondenter) · B: {labelB} ({sizeB} respondenter).',
+        'overview.comparisonHint': 'Index över 100 betyder att intresset är vanligare i A än i B. Skillnader med p < {level} är statistiskt säkerställda (chi²-test, eller Fishers exakta test när underlaget är litet, med p-värden justerade för antalet testade intressen enligt Benjamini–Hochberg); strecken i diagrammet visar 95 % konfidensintervall.',
+
+        // Categories
+        'taxonomy.matchType.contains': 'Innehåller',
+        'taxonomy.matchType.exact': 'Exakt',
+        'taxonomy.matchType.prefix': 'Ordet börjar med',
+        'taxonomy.matchType.word': 'Helt ord',
+        'taxonomy.matchType.regex': 'Reguljärt uttryck',
+        'categories.noRule': 'Ingen regel matchar',
+        'categories.chartTitle': 'Fördelning av Intressen (klicka på en del för detaljer)',
+        'categories.perCategory': 'Intressen per Kategori',
+        'categories.topTerms': 'Toppämnen inom Kategorier',
+        'categories.category': 'Kategori',
+        'categories.closeDetails': 'Stäng detaljvyn',
+        'categories.showDetails': 'Visa alla ämnen i kategorin',
+        'categories.allTerms': '{category} – alla ämnen',
+        'categories.shareInCategoryPercent': 'Andel i kategorin (%)',
+        'categories.shareInCategory': 'Andel i kategorin',
+        'categories.matchedBy': 'Matchas av',
+        'categories.drillDownSummary': '{terms} ämnen med totalt {mentions} omnämnanden.',
+        'categories.uncategorized': 'Okategoriserade ämnen ({count})',
+        'categories.allMatched': 'Alla ämnen matchar någon kategori.',
+        'categories.queueHint': '{terms} ämnen med {mentions} omnämnanden matchar ingen regel och hamnar i "{fallback}". Välj en kategori för att lägga till ämnet som exakt regel.',
+        'categories.chooseCategory': 'Välj kategori...',
+        'categories.assignSelected': 'Tilldela {count} valda',
+        'categories.selectAllVisible': 'Markera alla som visas',
+        'categories.assignTo': 'Lägg i kategori',
+        'categories.choose': 'Välj...',
+        'categories.showMore': 'Visa fler ({count} kvar)',
+
+        // Taxonomy editor & synonyms
+        'taxonomy.newCategory': 'Ny kategori {number}',
+        'taxonomy.confirmRemove': 'Ta bort kategorin "{name}"?',
+        'taxonomy.imported': 'Importerade "{fileName}". Granska förhandsvisningen och spara.',
+        'taxonomy.saved': 'Kategorierna har sparats.',
+        'taxonomy.edit': 'Redigera kategorier',
+        'taxonomy.save': 'Spara',
+        'taxonomy.undo': 'Ångra ändringar',
+        'taxonomy.reset': 'Återställ standard',
+        'taxonomy.exportJSON': 'Exportera JSON',
+        'taxonomy.importJSON': 'Importera JSON',
+        'taxonomy.uniqueNames': 'Varje kategori behöver ett unikt namn.',
+        'taxonomy.multiCategory': 'Tillåt flera kategorier per ämne',
+        'taxonomy.fallback': 'Kategori för omatchade ämnen',
+        'taxonomy.priorityHint': 'Vid flera träffar vinner kategorin med högst prioritet',
+        'taxonomy.priority': 'Prioritet',
+        'taxonomy.removeRule': 'Ta bort regel',
+        'taxonomy.addKeyword': '+ Lägg till nyckelord',
+        'taxonomy.addCategory': '+ Lägg till kategori',
+        'taxonomy.preview': 'Förhandsvisning',
+        'taxonomy.previewHint': 'Ändra kategorierna för att se vilka ämnen som byter kategori.',
+        'taxonomy.noChanges': 'Inga ämnen byter kategori med dessa ändringar.',
+        'taxonomy.changes': '{count} ämnen byter kategori.',
+        'aliases.suggestions': 'Föreslagna sammanslagningar',
+        'aliases.stemming': 'Slå ihop böjningsformer automatiskt (elbilar → elbil, batteries → battery)',
+        'aliases.noSuggestions': 'Inga fler förslag just nu.',
+        'aliases.sameStem': 'samma ordstam',
+        'aliases.editDistance': 'redigeringsavstånd {distance}',
+        'aliases.merge': 'Slå ihop',
+        'aliases.useAsCanonical': 'Använd "{term}" som huvudform',
+        'aliases.reverse': 'Omvänt',
+        'aliases.reject': 'Avvisa',
+        'aliases.dictionary': 'Synonymordlista',
+        'aliases.canonicalPlaceholder': 'Huvudform, t.ex. ai',
+        'aliases.variantsPlaceholder': 'Varianter, kommaseparerade',
+        'aliases.add': 'Lägg till',
+        'aliases.removeVariant': 'Ta bort {variant}',
+        'aliases.showRejected': 'Visa avvisade förslag igen ({count})',
+        'aliases.merged': 'Sammanslagna ämnen',
+        'aliases.noMerged': 'Inga varianter har slagits ihop ännu.',
+        'aliases.mergedSummary': '({mentions} omnämnanden, {variants} varianter)',
+
+        // Connections
+        'connections.noReaders': 'Hittade inga läsare med intresset "{term}".',
+        'connections.noSignificant': 'Inga signifikanta kopplingar hittades för "{term}".',
+        'connections.noOthers': 'Inga andra intressen hittades tillsammans med "{term}".',
+        'connections.mode.search': 'Sök på ämne',
+        'connections.mode.network': 'Nätverk',
+        'connections.mode.rules': 'Associationsregler',
+        'connections.title': 'Hitta kopplingar mellan ämnen',
+        'connections.intro': 'Skriv in ett ämne för att se vilka andra ämnen som oftast nämns tillsammans med det. Klicka på ett ämne i listan för att söka vidare på det.',
+        'connections.placeholder': 'Ex: AI, elbil, kärnkraft...',
+        'connections.start': 'Börja med att skriva ett ämne i sökfältet ovan.',
+        'connections.resultBefore': 'Personer intresserade av',
+        'connections.resultAfter': 'är också intresserade av:',
+        'connections.shareColumn': 'Andel av dem som nämner {term} (%)',
+        'connections.ciLow': 'KI (95 %), nedre',
+        'connections.ciHigh': 'KI (95 %), övre',
+        'connections.readersWithTerm': 'Läsare som nämner {term}',
+        'connections.itemShare': '{share} av fallen, 95 % KI {interval}',
+        'connections.notSignificant': ', ej signifikant',
+        'connections.adjustedNote': 'Alla ämnen som nämns tillsammans med sökordet testas på en gång, så p-värdena är justerade för antalet tester (Benjamini–Hochberg).',
+
+        // Network & association rules
+        'network.title': 'Intressenätverk',
+        'network.minSupport': 'Minsta stöd: {count} läsare',
+        'network.maxNodes': 'Max antal ämnen: {count}',
+        'network.edgeWeight': 'Kantvikt',
+        'network.empty': 'Inga ämnen når upp till minsta stöd. Sänk gränsen.',
+        'network.nodeTitle': '{term}: {count} läsare',
+        'network.summary': '{nodes} ämnen, {edges} kopplingar, {communities} kluster. Nodstorlek visar antal läsare; kanter visar {measure} (hur mycket oftare ämnena nämns tillsammans än slumpen ger). Klicka på ett ämne för att fokusera.',
+        'network.neighbours': 'Grannar till {term}',
+        'network.clusters': 'Kluster',
+        'network.noNeighbours': 'Inga kopplingar över gränsen.',
+        'network.edge': '{count} läsare · lift {lift}',
+        'rules.failed': 'Analysen misslyckades: {error}',
+        'rules.workerCrashed': 'beräkningen avbröts oväntat, kanske för att minnet tog slut',
+        'rules.title': 'Associationsregler',
+        'rules.intro': 'Hitta ämnespaket som läsarna nämner tillsammans, t.ex. {example}. Lift över 1 betyder att kombinationen är vanligare än slumpen ger, oavsett hur populärt ämnet är i sig.',
+        'rules.minSupport': 'Minsta stöd (%)',
+        'rules.maxLength': 'Max antal ämnen per regel',
+        'rules.run': 'Kör analys',
+        'rules.running': 'Analyserar... {progress}',
+        'rules.minConfidence': 'Minsta konfidens (%)',
+        'rules.minLift': 'Minsta lift',
+        'rules.filterPlaceholder': 'Filtrera på ämne...',
+        'rules.count': '{visible} av {total} regler',
+        'rules.truncated': ' (visar de {count} första)',
+        'rules.antecedent': 'Om',
+        'rules.consequent': 'Så',
+        'rules.readers': 'Läsare',
+        'rules.support': 'Stöd',
+        'rules.confidence': 'Konfidens',
+        'rules.lift': 'Lift',
+        'rules.rule': 'Regel',
+
+        // Trends
+        'trends.moverTitle': '{test}: justerat p = {pValue}',
+        'trends.shareAxis': 'Andel respondenter (%)',
+        'trends.mentionShareAxis': 'Andel av omnämnanden (%)',
+        'trends.title': 'Trender över tid',
+        'trends.needTwoWaves': 'Lägg till minst två vågor (t.ex. kvartalsenkäter) med "Lägg till våg", eller importera en fil med en våg- eller datumkolumn, för att se hur intressena förändras över tid.',
+        'trends.interests': 'Intressen över tid',
+        'trends.errorBars': 'Strecken visar 95 % konfidensintervall för varje andel.',
+        'trends.movers': 'Största förändringar',
+        'trends.from': 'Från',
+        'trends.to': 'till',
+        'trends.points': '(procentenheter)',
+        'trends.risers': 'Ökar mest',
+        'trends.fallers': 'Minskar mest',
+        'trends.notSignificant': '* Förändringen är inte statistiskt säkerställd (justerat p ≥ {level}, Benjamini–Hochberg) och kan bero på slumpen.',
+        'trends.emerging': 'Nya ämnen',
+        'trends.noEmerging': 'Inga ämnen har dykt upp för första gången i en senare våg.',
+        'trends.new': 'Ny',
+        'trends.emergingItem': '{wave} · {count} omnämnanden',
+        'trends.categories': 'Kategorier över tid',
+
+        // AI prompts & exported report
+        'prompt.topInterest': '{term} ({count} omnämnanden, {share} av läsarna)',
+        'prompt.segmentSize': 'Segmentets storlek: {size} läsare ({share} av de svarande).',
+        'prompt.segmentTerms': 'Utmärkande intressen jämfört med övriga läsare: {terms}.',
+        'prompt.segmentTerm': '{term} ({share} i segmentet, {lift} gånger vanligare än snittet)',
+        'prompt.categoryMix': 'Kategorimix: {mix}.',
+        'prompt.respondents': 'Antal svarande: {count}.',
+        'prompt.topInterests': 'Vanligaste intressen: {interests}.',
+        'prompt.persona.task': 'Du analyserar läsarna av en svensk tekniktidning. Skapa en detaljerad och insiktsfull persona-beskrivning av den typiska läsaren utifrån siffrorna nedan.',
+        'prompt.persona.instructions': 'Beskriv deras sannolika yrkesroll, intressen utanför tekniken och vilka typer av artiklar de skulle uppskatta mest. Svara på svenska och använd Markdown med rubriker.',
+        'prompt.segmentPersona.task': 'Läsarna av en svensk tekniktidning har delats in i {count} segment efter vilka intressen de anger. Skriv en persona för segment {id}.',
+        'prompt.segmentPersona.instructions': 'Ge personan ett namn och beskriv yrkesroll, drivkrafter och vad som skiljer segmentet från övriga läsare. Håll dig till det som stöds av siffrorna. Svara på svenska och använd Markdown.',
+        'prompt.articleIdeas.task': 'Du är redaktör på en svensk tekniktidning. Föreslå 5 artikelidéer för läsarsegmentet nedan.',
+        'prompt.articleIdeas.instructions': 'Ge varje idé en arbetsrubrik, en vinkel i en mening och vilket av segmentets intressen den bygger på. Svara på svenska som en numrerad Markdown-lista.',
+        'prompt.explain': 'Förklara begreppet "{term}" på ett enkelt och koncist sätt på svenska. Målgruppen är en teknikintresserad läsare som inte nödvändigtvis är expert inom just detta område. Använd gärna en analogi om det passar.',
+        'reportFile.created': 'Skapad {date} · {count} svarande',
+        'reportFile.topInterests': 'Vanligaste intressen',
+        'reportFile.categoryMix': 'Kategorimix',
+        'reportFile.persona': 'Typisk läsare',
+        'reportFile.segment': 'Segment {id} – {size} läsare ({share})',
+        'reportFile.definingTerms': 'Utmärkande intressen:',
+        'reportFile.categoryMixLabel': 'Kategorimix:',
+        'reportFile.segmentPersona': 'Persona',
+        'reportFile.articleIdeas': 'Artikelidéer',
+
+        // AI analysis
+        'llm.provider.gemini': 'Google Gemini',
+        'llm.provider.openai': 'OpenAI-kompatibel (OpenAI, Ollama, llama.cpp)',
+        'llm.provider.offline': 'Offline (mallar, ingen AI)',
+        'llm.error.rejected': 'AI-tjänsten avvisade förfrågan{detail}.',
+        'llm.error.apiKey': 'API-nyckeln saknas eller är ogiltig{detail}.',
+        'llm.error.notFound': 'Modellen eller adressen hittades inte – kontrollera inställningarna{detail}.',
+        'llm.error.rateLimited': 'För många anrop eller slut på kvot. Försök igen om en stund.',
+        'llm.error.serverError': 'AI-tjänsten har problem just nu (HTTP {status}).',
+        'llm.error.unexpectedStatus': 'Oväntat svar från AI-tjänsten (HTTP {status}){detail}.',
+        'llm.error.aborted': 'Förfrågan avbröts.',
+        'llm.error.unreachable': 'Kunde inte nå AI-tjänsten på {origin}. Kontrollera adressen och nätverket.',
+        'llm.error.interrupted': 'Anslutningen till AI-tjänsten bröts mitt i svaret.',
+        'llm.error.blocked': 'AI-tjänsten blockerade förfrågan ({reason}).',
+        'llm.error.empty': 'AI-tjänsten returnerade ett tomt svar.',
+        'llm.error.unexpected': 'Oväntat fel: {message}',
+        'offline.unknown': 'okända',
+        'offline.persona.title': 'Typisk läsare (offline-sammanfattning)',
+        'offline.persona.top': 'De vanligaste intressena är {terms}.',
+        'offline.persona.guess': 'Läsaren följer troligen {terms} i sitt arbete eller på fritiden och uppskattar artiklar som förklarar teknik, affärer och samhällseffekter kring dem.',
+        'offline.persona.hint': 'Detta är en mall utan AI. Välj en AI-leverantör i inställningarna för en fylligare analys.',
+        'offline.segment.title': 'Segment {id} (offline-sammanfattning)',
+        'offline.segment.size': '{size} läsare som särskilt ofta nämner {terms}.',
+        'offline.segment.mixed': 'blandade ämnen',
+        'offline.segment.category': 'Störst kategori: {category}.',
+        'offline.articleIdea': '**{term} – läget just nu** (mall utan AI)',
+        'offline.explain.title': 'Förklaring av "{term}" (offline)',
+        'offline.explain.body': 'Ingen AI-tjänst är vald, så någon förklaring av "{term}" kan inte genereras. Välj Gemini eller en OpenAI-kompatibel tjänst i inställningarna.',
+        'offline.noTemplate': 'Offline-läget har ingen mall för den här typen av förfrågan.',
+        'ai.settings': 'AI-inställningar · {provider}',
+        'ai.provider': 'Leverantör',
+        'ai.endpoint': 'Adress (endpoint)',
+        'ai.model': 'Modell',
+        'ai.apiKey': 'API-nyckel',
+        'ai.rememberApiKey': 'Kom ihåg nyckeln i den här webbläsaren (sparas okrypterad)',
+        'ai.temperature': 'Temperatur: {value}',
+        'ai.retries': 'Antal nya försök vid fel',
+        'ai.cacheCleared': 'Cachen är tömd',
+        'ai.clearCache': 'Töm cachen med sparade AI-svar',
+        'ai.copied': 'Kopierat!',
+        'ai.copyFailed': 'Kunde inte kopiera',
+        'ai.copy': 'Kopiera',
+        'ai.downloadMarkdown': 'Ladda ner (.md)',
+        'ai.needTerm': 'Vänligen ange ett begrepp att förklara.',
+        'ai.noAnswers': 'Det finns inga svar att dela in i segment.',
+        'ai.reportTitle': 'Läsaranalys',
+        'ai.reportTitleSession': 'Läsaranalys – {session}',
+        'ai.persona.title': 'Skapa Läsare-Persona ✨',
+        'ai.persona.intro': 'Generera en profil av den typiska läsaren baserat på de mest populära intressena, deras andelar och kategorimixen i din data.',
+        'ai.persona.generating': 'Genererar...',
+        'ai.persona.generate': 'Generera Läsaranalys',
+        'ai.persona.placeholder': 'Resultatet från AI-analysen kommer att visas här...',
+        'ai.fromCache': 'Hämtat från cache – inget nytt AI-anrop gjordes.',
+        'ai.explain.title': 'Förklara ett Begrepp ✨',
+        'ai.explain.intro': 'Få en enkel förklaring av ett tekniskt ämne.',
+        'ai.explain.placeholder': 'T.ex. \'kvantdator\' eller \'SMR\'',
+        'ai.explain.explaining': 'Förklarar...',
+        'ai.explain.explain': 'Förklara',
+        'ai.explain.placeholderResult': 'Förklaringen kommer att visas här...',
+        'ai.segments.title': 'Läsarsegment ✨',
+        'ai.segments.intro': 'Delar in de svarande i grupper med liknande intressen (k-modes, körs lokalt i webbläsaren). Varje segment kan sedan få en egen persona och egna artikelidéer.',
+        'ai.segments.count': 'Antal segment',
+        'ai.segments.rerun': 'Dela in på nytt',
+        'ai.segments.find': 'Hitta segment',
+        'ai.segments.generatingPersonas': 'Genererar personas...',
+        'ai.segments.personaForAll': 'Persona för varje segment',
+        'ai.segments.suggestingIdeas': 'Föreslår idéer...',
+        'ai.segments.ideasForAll': 'Artikelidéer för varje segment',
+        'ai.segments.summary': '{clustered} svarande i {count} segment',
+        'ai.segments.excluded': ', {count} utan vanliga intressen är inte med',
+        'ai.segments.cost': '· genomsnittligt avstånd till segmentets kärna {cost} (0 = identiska, 1 = inget gemensamt)',
+        'ai.segments.segment': 'Segment {id}',
+        'ai.segments.size': '{size} läsare ({share})',
+        'ai.segments.lift': '{lift} gånger vanligare än bland alla svarande',
+        'ai.segments.persona': 'Persona',
+        'ai.segments.articleIdeas': 'Artikelidéer',
+        'ai.segments.regenerate': 'Generera igen',
+        'ai.segments.generate': 'Generera',
+        'ai.segments.notGenerated': 'Inte genererad ännu.',
+        'ai.report.title': 'Rapport',
+        'ai.report.intro': 'Samlar siffrorna, personan och segmenten med deras personas och artikelidéer i en rapport.',
+        'ai.report.downloadMarkdown': 'Ladda ner rapport (.md)',
+        'ai.report.downloadJSON': 'Ladda ner som JSON',
+        'print.print': 'Skriv ut / spara som PDF',
+        'print.back': 'Tillbaka till dashboarden',
+        'print.title': 'Läsarrapport',
+        'print.created': '{count} respondenter · skapad {date}',
+        'print.mentions': 'Antal omnämnanden',
+        'print.shareAxis': 'Andel respondenter (%)',
+        'print.topInterests': 'Vanligaste intressen',
+        'print.interestItem': '{interest} – {count} ({share} av respondenterna)',
+        'print.categories': 'Kategorier',
+        'print.categoryItem': '{category}: {share} av omnämnandena',
+        'print.trends': 'Utveckling över tid',
+        'print.wordCloud': 'Ordmoln',
+        'print.persona': 'Typisk läsare (AI)',
+        'print.segment': 'Segment {id} – {size} läsare ({share})',
+        'print.definingTerms': 'Utmärkande intressen: {terms}',
+        'print.articleIdeas': 'Artikelidéer',
+        'print.explanation': 'Begreppsförklaring (AI)',
+    },
+    en: {
+        // Common & app shell
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        'common.remove': 'Remove',
+        'common.none': 'None.',
+        'common.interval': '{low}–{high}%',
+        'app.title': 'Interactive Interest Dashboard with AI',
+        'app.subtitle': 'Explore reader interests from Ny Teknik.',
+        'app.language': 'Language',
+        'nav.overview': 'Overview',
+        'nav.categories': 'Categories',
+        'nav.taxonomy': 'Taxonomy',
+        'nav.aliases': 'Synonyms',
+        'nav.connections': 'Connections',
+        'nav.trends': 'Trends',
+        'nav.ai-analysis': 'AI analysis',
+        'nav.sessions': 'Sessions',
+        'session.saveFailed': 'The session could not be saved: {error}',
+        'session.missing': 'The session no longer exists.',
+        'session.openFailed': 'The session could not be opened: {error}',
+        'session.label': 'Session:',
+        'session.autosave': 'saved automatically in this browser.',
+        'analysis.failed': 'The interests could not be counted: {error}',
+        'session.notSaved': 'The session has been deleted, so changes are no longer saved.',
+        'session.saveAsNew': 'Save as a new session',
+        'upload.titleFirst': '1. Upload your data file',
+        'upload.titleWave': 'Add a wave',
+        'upload.description': 'Choose a CSV, JSON or .txt file with the readers\' interests. CSV files from Excel (semicolon-separated) and exports from the survey tool work too; in the next step you choose which columns hold interests and metadata.',
+        'upload.continueSession': 'Or continue with a saved session',
+        'toolbar.respondents': '{count} respondents',
+        'toolbar.metadata': 'metadata: {columns}',
+        'toolbar.addWave': 'Add wave',
+        'toolbar.removeWave': 'Remove wave',
+        'toolbar.printReport': 'Print report',
+        'toolbar.newAnalysis': 'New analysis',
+        'columns.interest': 'Interest',
+        'columns.count': 'Count',
+        'columns.variants': 'Variants',
+        'wordCloud.title': 'Word cloud',
+        'wordCloud.empty': 'No topics to show in the word cloud.',
+        'wordCloud.mentions': '{count} mentions',
+        'wordCloud.share': '{share} of respondents',
+        'wordCloud.scale': 'Scale',
+        'wordCloud.scale.sqrt': 'Square root',
+        'wordCloud.scale.log': 'Logarithmic',
+        'wordCloud.scale.linear': 'Linear',
+        'wordCloud.maxWords': 'Number of words',
+        'wordCloud.category': 'Category',
+        'wordCloud.allCategories': 'All categories',
+        'wordCloud.stopwords': 'Stopwords ({count})',
+        'wordCloud.stopwordsPlaceholder': 'Words to leave out, separated by commas',
+        'wordCloud.categoryTitle': 'Word cloud – {category}',
+        'import.reading': 'Reading the file',
+        'import.building': 'Building the dataset',
+        'import.readFailed': 'Could not read the file: {error}',
+        'import.buildFailed': 'Could not import the file: {error}',
+        'import.noInterests': 'No interests were found in the selected column. Check the column mapping.',
+        'segment.everyone': 'All respondents',
+
+        // Errors from the data modules
+        'file.invalidJSON': 'The file is not valid JSON.',
+        'file.excelUnsupported': 'Excel files cannot be read directly. Save the sheet as CSV in Excel and upload that file.',
+        'taxonomy.noCategories': 'The file has no list of categories ("categories").',
+        'taxonomy.unnamedCategory': 'Category {number} has no name.',
+        'taxonomy.duplicateCategory': 'The category "{name}" appears more than once.',
+        'taxonomy.invalidRule': 'Invalid rule in the category "{name}".',
+        'taxonomy.emptyPattern': 'Empty pattern',
+        'taxonomy.invalidPattern': 'Invalid pattern: {message}',
+        'session.noIndexedDB': 'This browser does not support IndexedDB.',
+        'session.aborted': 'The transaction was aborted.',
+        'session.notSessionFile': 'The file is not a session exported from the dashboard.',
+        'session.noData': 'The session has no data.',
+        'export.chartImageFailed': 'The chart could not be saved as an image.',
+        'export.wordCloudImageFailed': 'The word cloud could not be saved as an image.',
+
+        // Sessions, segments & import
+        'sessions.title': 'Saved sessions',
+        'sessions.listFailed': 'Saved sessions could not be read: {error}',
+        'sessions.renamePrompt': 'New name for the session',
+        'sessions.confirmDelete': 'Delete the session "{name}"? This cannot be undone.',
+        'sessions.loading': 'Reading saved sessions...',
+        'sessions.empty': 'No saved sessions yet.',
+        'sessions.open': 'Open',
+        'sessions.summary': '{waves} waves · {respondents} respondents · changed {updated}',
+        'sessions.openAction': 'Open',
+        'sessions.rename': 'Rename',
+        'sessions.duplicate': 'Duplicate',
+        'sessions.copyName': '{name} (copy)',
+        'sessions.export': 'Export',
+        'sessions.import': 'Import session from file...',
+        'segment.all': 'All',
+        'segment.a': 'Segment A',
+        'segment.b': 'Segment B',
+        'segment.single': 'Segment',
+        'segment.size': '{count} of {total} respondents',
+        'segment.clear': 'Clear',
+        'segment.compare': 'Compare segments',
+        'import.title': '2. Map columns',
+        'import.summary': '{rows} rows',
+        'import.encoding': 'Character encoding',
+        'import.delimiter': 'Delimiter',
+        'import.tab': 'Tab',
+        'import.hasHeader': 'The first row holds headers',
+        'import.role.interests': 'Interests',
+        'import.role.id': 'Respondent ID',
+        'import.role.meta': 'Metadata',
+        'import.role.wave': 'Wave/date',
+        'import.role.ignore': 'Ignore',
+        'import.column': 'Column',
+        'import.unknownWave': 'Unknown wave',
+        'import.wave': 'Wave or date',
+        'import.waveFromColumn': 'taken from the column "{column}" (dates are grouped by quarter)',
+        'import.wavePlaceholder': 'e.g. 2025 Q1 (otherwise "{fileName}")',
+        'import.needInterestColumn': 'Choose at least one column that holds interests.',
+        'import.confirm': 'Import',
+
+        // Statistics & overview
+        'stats.test.fisher': 'Fisher\'s exact test',
+        'stats.test.chi-square': 'Chi-squared test',
+        'stats.significantOnly': 'Show significant results only (p < {level})',
+        'stats.smallSample': 'Small sample: {groups}.',
+        'stats.smallSampleGroup': '{label} ({count} respondents)',
+        'stats.smallSampleHint': 'Below {min} respondents the shares are very uncertain; check the confidence intervals before drawing conclusions.',
+        'stats.ci': '95% CI {interval}',
+        'stats.adjustedPValue': 'Adjusted p-value',
+        'stats.test': 'Test',
+        'overview.top10': 'Top 10 Interests',
+        'overview.variants': '{count} variants',
+        'overview.chart': 'Interest chart',
+        'overview.filterPlaceholder': 'Search to filter the chart...',
+        'overview.sample': 'The sample',
+        'overview.mentions': 'Number of mentions',
+        'overview.shareAxis': 'Share of respondents (%)',
+        'overview.tooltipShare': '{label}: {share} (95% CI {interval})',
+        'overview.tooltipFooter': 'Index A/B: {index} · adjusted p = {pValue}',
+        'overview.tooltipInterval': '{interval} of respondents (95% CI)',
+        'overview.pageSizeBefore': 'Show',
+        'overview.pageSizeAfter': 'at a time',
+        'overview.previous': 'Previous',
+        'overview.next': 'Next',
+        'overview.pageRange': '{first}–{last} of {total}',
+        'overview.comparison': 'Differences between segments',
+        'overview.shareA': 'Share A',
+        'overview.shareB': 'Share B',
+        'overview.shareALabel': 'Share A ({label})',
+        'overview.shareBLabel': 'Share B ({label})',
+        'overview.ciALow': 'CI A (95%), lower',
+        'overview.ciAHigh': 'CI A (95%), upper',
+        'overview.ciBLow': 'CI B (95%), lower',
+        'overview.ciBHigh': 'CI B (95%), upper',
+        'overview.difference': 'Difference (percentage points)',
+        'overview.index': 'Index A/B',
+        'overview.comparisonSizes': 'A: {labelA} ({sizeA} respondents) · B: {labelB} ({sizeB} respondents).',
+        'overview.comparisonHint': 'An index above 100 means the interest is more common in A than in B. Differences with p < {level} are statistically significant (chi-squared test, or Fisher\'s exact test for small samples, with p-values adjusted for the number of interests tested by Benjamini–Hochberg); the whiskers in the chart show 95% confidence intervals.',
+
+        // Categories
+        'taxonomy.matchType.contains': 'Contains',
+        'taxonomy.matchType.exact': 'Exact',
+        'taxonomy.matchType.prefix': 'Word starts with',
+        'taxonomy.matchType.word': 'Whole word',
+        'taxonomy.matchType.regex': 'Regular expression',
+        'categories.noRule': 'No rule matches',
+        'categories.chartTitle': 'Distribution of Interests (click a slice for details)',
+        'categories.perCategory': 'Interests per Category',
+        'categories.topTerms': 'Top Topics within Categories',
+        'categories.category': 'Category',
+        'categories.closeDetails': 'Close the details',
+        'categories.showDetails': 'Show every topic in the category',
+        'categories.allTerms': '{category} – all topics',
+        'categories.shareInCategoryPercent': 'Share of the category (%)',
+        'categories.shareInCategory': 'Share of the category',
+        'categories.matchedBy': 'Matched by',
+        'categories.drillDownSummary': '{terms} topics with {mentions} mentions in total.',
+        'categories.uncategorized': 'Uncategorised topics ({count})',
+        'categories.allMatched': 'Every topic matches a category.',
+        'categories.queueHint': '{terms} topics with {mentions} mentions match no rule and end up in "{fallback}". Choose a category to add the topic as an exact rule.',
+        'categories.chooseCategory': 'Choose category...',
+        'categories.assignSelected': 'Assign {count} selected',
+        'categories.selectAllVisible': 'Select all shown',
+        'categories.assignTo': 'Add to category',
+        'categories.choose': 'Choose...',
+        'categories.showMore': 'Show more ({count} left)',
+
+        // Taxonomy editor & synonyms
+        'taxonomy.newCategory': 'New category {number}',
+        'taxonomy.confirmRemove': 'Delete the category "{name}"?',
+        'taxonomy.imported': 'Imported "{fileName}". Review the preview and save.',
+        'taxonomy.saved': 'The categories have been saved.',
+        'taxonomy.edit': 'Edit categories',
+        'taxonomy.save': 'Save',
+        'taxonomy.undo': 'Undo changes',
+        'taxonomy.reset': 'Restore defaults',
+        'taxonomy.exportJSON': 'Export JSON',
+        'taxonomy.importJSON': 'Import JSON',
+        'taxonomy.uniqueNames': 'Every category needs a unique name.',
+        'taxonomy.multiCategory': 'Allow several categories per topic',
+        'taxonomy.fallback': 'Category for unmatched topics',
+        'taxonomy.priorityHint': 'When several categories match, the one with the highest priority wins',
+        'taxonomy.priority': 'Priority',
+        'taxonomy.removeRule': 'Remove rule',
+        'taxonomy.addKeyword': '+ Add keyword',
+        'taxonomy.addCategory': '+ Add category',
+        'taxonomy.preview': 'Preview',
+        'taxonomy.previewHint': 'Change the categories to see which topics move to another category.',
+        'taxonomy.noChanges': 'No topics change category with these changes.',
+        'taxonomy.changes': '{count} topics change category.',
+        'aliases.suggestions': 'Suggested merges',
+        'aliases.stemming': 'Merge inflected forms automatically (elbilar → elbil, batteries → battery)',
+        'aliases.noSuggestions': 'No more suggestions right now.',
+        'aliases.sameStem': 'same stem',
+        'aliases.editDistance': 'edit distance {distance}',
+        'aliases.merge': 'Merge',
+        'aliases.useAsCanonical': 'Use "{term}" as the main form',
+        'aliases.reverse': 'Reverse',
+        'aliases.reject': 'Reject',
+        'aliases.dictionary': 'Synonym dictionary',
+        'aliases.canonicalPlaceholder': 'Main form, e.g. ai',
+        'aliases.variantsPlaceholder': 'Variants, comma-separated',
+        'aliases.add': 'Add',
+        'aliases.removeVariant': 'Remove {variant}',
+        'aliases.showRejected': 'Show rejected suggestions again ({count})',
+        'aliases.merged': 'Merged topics',
+        'aliases.noMerged': 'No variants have been merged yet.',
+        'aliases.mergedSummary': '({mentions} mentions, {variants} variants)',
+
+        // Connections
+        'connections.noReaders': 'Found no readers with the interest "{term}".',
+        'connections.noSignificant': 'No significant connections were found for "{term}".',
+        'connections.noOthers': 'No other interests were found together with "{term}".',
+        'connections.mode.search': 'Search by topic',
+        'connections.mode.network': 'Network',
+        'connections.mode.rules': 'Association rules',
+        'connections.title': 'Find connections between topics',
+        'connections.intro': 'Type a topic to see which other topics are most often mentioned together with it. Click a topic in the list to search on it.',
+        'connections.placeholder': 'E.g. AI, elbil, kärnkraft...',
+        'connections.start': 'Start by typing a topic in the search field above.',
+        'connections.resultBefore': 'People interested in',
+        'connections.resultAfter': 'are also interested in:',
+        'connections.shareColumn': 'Share of those who mention {term} (%)',
+        'connections.ciLow': 'CI (95%), lower',
+        'connections.ciHigh': 'CI (95%), upper',
+        'connections.readersWithTerm': 'Readers who mention {term}',
+        'connections.itemShare': '{share} of cases, 95% CI {interval}',
+        'connections.notSignificant': ', not significant',
+        'connections.adjustedNote': 'Every topic mentioned together with the search term is tested at once, so the p-values are adjusted for the number of tests (Benjamini–Hochberg).',
+
+        // Network & association rules
+        'network.title': 'Interest network',
+        'network.minSupport': 'Minimum support: {count} readers',
+        'network.maxNodes': 'Maximum number of topics: {count}',
+        'network.edgeWeight': 'Edge weight',
+        'network.empty': 'No topics reach the minimum support. Lower the limit.',
+        'network.nodeTitle': '{term}: {count} readers',
+        'network.summary': '{nodes} topics, {edges} connections, {communities} clusters. Node size shows the number of readers; edges show {measure} (how much more often the topics are mentioned together than chance would give). Click a topic to focus on it.',
+        'network.neighbours': 'Neighbours of {term}',
+        'network.clusters': 'Clusters',
+        'network.noNeighbours': 'No connections above the limit.',
+        'network.edge': '{count} readers · lift {lift}',
+        'rules.failed': 'The analysis failed: {error}',
+        'rules.workerCrashed': 'the calculation stopped unexpectedly, perhaps because it ran out of memory',
+        'rules.title': 'Association rules',
+        'rules.intro': 'Find bundles of topics that readers mention together, e.g. {example}. A lift above 1 means the combination is more common than chance would give, however popular the topic is on its own.',
+        'rules.minSupport': 'Minimum support (%)',
+        'rules.maxLength': 'Maximum topics per rule',
+        'rules.run': 'Run analysis',
+        'rules.running': 'Analysing... {progress}',
+        'rules.minConfidence': 'Minimum confidence (%)',
+        'rules.minLift': 'Minimum lift',
+        'rules.filterPlaceholder': 'Filter by topic...',
+        'rules.count': '{visible} of {total} rules',
+        'rules.truncated': ' (showing the first {count})',
+        'rules.antecedent': 'If',
+        'rules.consequent': 'Then',
+        'rules.readers': 'Readers',
+        'rules.support': 'Support',
+        'rules.confidence': 'Confidence',
+        'rules.lift': 'Lift',
+        'rules.rule': 'Rule',
+
+        // Trends
+        'trends.moverTitle': '{test}: adjusted p = {pValue}',
+        'trends.shareAxis': 'Share of respondents (%)',
+        'trends.mentionShareAxis': 'Share of mentions (%)',
+        'trends.title': 'Trends over time',
+        'trends.needTwoWaves': 'Add at least two waves (e.g. quarterly surveys) with "Add wave", or import a file with a wave or date column, to see how interests change over time.',
+        'trends.interests': 'Interests over time',
+        'trends.errorBars': 'The whiskers show the 95% confidence interval of each share.',
+        'trends.movers': 'Biggest changes',
+        'trends.from': 'From',
+        'trends.to': 'to',
+        'trends.points': '(percentage points)',
+        'trends.risers': 'Rising most',
+        'trends.fallers': 'Falling most',
+        'trends.notSignificant': '* The change is not statistically significant (adjusted p ≥ {level}, Benjamini–Hochberg) and may be down to chance.',
+        'trends.emerging': 'New topics',
+        'trends.noEmerging': 'No topics have appeared for the first time in a later wave.',
+        'trends.new': 'New',
+        'trends.emergingItem': '{wave} · {count} mentions',
+        'trends.categories': 'Categories over time',
+
+        // AI prompts & exported report
+        'prompt.topInterest': '{term} ({count} mentions, {share} of readers)',
+        'prompt.segmentSize': 'Segment size: {size} readers ({share} of respondents).',
+        'prompt.segmentTerms': 'Distinctive interests compared with other readers: {terms}.',
+        'prompt.segmentTerm': '{term} ({share} in the segment, {lift} times more common than average)',
+        'prompt.categoryMix': 'Category mix: {mix}.',
+        'prompt.respondents': 'Number of respondents: {count}.',
+        'prompt.topInterests': 'Most common interests: {interests}.',
+        'prompt.persona.task': 'You are analysing the readers of a Swedish technology magazine. Create a detailed and insightful persona description of the typical reader based on the figures below.',
+        'prompt.persona.instructions': 'Describe their likely profession, interests outside technology and which kinds of articles they would appreciate most. Answer in English and use Markdown with headings.',
+        'prompt.segmentPersona.task': 'The readers of a Swedish technology magazine have been divided into {count} segments by the interests they give. Write a persona for segment {id}.',
+        'prompt.segmentPersona.instructions': 'Give the persona a name and describe their profession, motivations and what sets the segment apart from other readers. Stick to what the figures support. Answer in English and use Markdown.',
+        'prompt.articleIdeas.task': 'You are an editor at a Swedish technology magazine. Suggest 5 article ideas for the reader segment below.',
+        'prompt.articleIdeas.instructions': 'Give each idea a working headline, a one-sentence angle and the segment interest it builds on. Answer in English as a numbered Markdown list.',
+        'prompt.explain': 'Explain the concept "{term}" simply and concisely in English. The audience is a reader interested in technology who is not necessarily an expert in this particular field. Feel free to use an analogy if it fits.',
+        'reportFile.created': 'Created {date} · {count} respondents',
+        'reportFile.topInterests': 'Most common interests',
+        'reportFile.categoryMix': 'Category mix',
+        'reportFile.persona': 'Typical reader',
+        'reportFile.segment': 'Segment {id} – {size} readers ({share})',
+        'reportFile.definingTerms': 'Distinctive interests:',
+        'reportFile.categoryMixLabel': 'Category mix:',
+        'reportFile.segmentPersona': 'Persona',
+        'reportFile.articleIdeas': 'Article ideas',
+
+        // AI analysis
+        'llm.provider.gemini': 'Google Gemini',
+        'llm.provider.openai': 'OpenAI-compatible (OpenAI, Ollama, llama.cpp)',
+        'llm.provider.offline': 'Offline (templates, no AI)',
+        'llm.error.rejected': 'The AI service rejected the request{detail}.',
+        'llm.error.apiKey': 'The API key is missing or invalid{detail}.',
+        'llm.error.notFound': 'The model or address was not found – check the settings{detail}.',
+        'llm.error.rateLimited': 'Too many requests or the quota has run out. Try again in a while.',
+        'llm.error.serverError': 'The AI service is having problems right now (HTTP {status}).',
+        'llm.error.unexpectedStatus': 'Unexpected response from the AI service (HTTP {status}){detail}.',
+        'llm.error.aborted': 'The request was cancelled.',
+        'llm.error.unreachable': 'Could not reach the AI service at {origin}. Check the address and the network.',
+        'llm.error.interrupted': 'The connection to the AI service was lost in the middle of the answer.',
+        'llm.error.blocked': 'The AI service blocked the request ({reason}).',
+        'llm.error.empty': 'The AI service returned an empty answer.',
+        'llm.error.unexpected': 'Unexpected error: {message}',
+        'offline.unknown': 'unknown',
+        'offline.persona.title': 'Typical reader (offline summary)',
+        'offline.persona.top': 'The most common interests are {terms}.',
+        'offline.persona.guess': 'The reader probably follows {terms} at work or in their free time and appreciates articles that explain the technology, business and social effects around them.',
+        'offline.persona.hint': 'This is a template without AI. Choose an AI provider in the settings for a fuller analysis.',
+        'offline.segment.title': 'Segment {id} (offline summary)',
+        'offline.segment.size': '{size} readers who particularly often mention {terms}.',
+        'offline.segment.mixed': 'mixed topics',
+        'offline.segment.category': 'Largest category: {category}.',
+        'offline.articleIdea': '**{term} – where things stand** (template without AI)',
+        'offline.explain.title': 'Explanation of "{term}" (offline)',
+        'offline.explain.body': 'No AI service is selected, so no explanation of "{term}" can be generated. Choose Gemini or an OpenAI-compatible service in the settings.',
+        'offline.noTemplate': 'Offline mode has no template for this kind of request.',
+        'ai.settings': 'AI settings · {provider}',
+        'ai.provider': 'Provider',
+        'ai.endpoint': 'Address (endpoint)',
+        'ai.model': 'Model',
+        'ai.apiKey': 'API key',
+        'ai.rememberApiKey': 'Remember the key in this browser (stored unencrypted)',
+        'ai.temperature': 'Temperature: {value}',
+        'ai.retries': 'Number of retries on errors',
+        'ai.cacheCleared': 'The cache has been cleared',
+        'ai.clearCache': 'Clear the cache of saved AI answers',
+        'ai.copied': 'Copied!',
+        'ai.copyFailed': 'Could not copy',
+        'ai.copy': 'Copy',
+        'ai.downloadMarkdown': 'Download (.md)',
+        'ai.needTerm': 'Please enter a concept to explain.',
+        'ai.noAnswers': 'There are no answers to divide into segments.',
+        'ai.reportTitle': 'Reader analysis',
+        'ai.reportTitleSession': 'Reader analysis – {session}',
+        'ai.persona.title': 'Create Reader Persona ✨',
+        'ai.persona.intro': 'Generate a profile of the typical reader based on the most popular interests, their shares and the category mix in your data.',
+        'ai.persona.generating': 'Generating...',
+        'ai.persona.generate': 'Generate Reader Analysis',
+        'ai.persona.placeholder': 'The result of the AI analysis will appear here...',
+        'ai.fromCache': 'Taken from the cache – no new AI call was made.',
+        'ai.explain.title': 'Explain a Concept ✨',
+        'ai.explain.intro': 'Get a simple explanation of a technical topic.',
+        'ai.explain.placeholder': 'E.g. \'quantum computer\' or \'SMR\'',
+        'ai.explain.explaining': 'Explaining...',
+        'ai.explain.explain': 'Explain',
+        'ai.explain.placeholderResult': 'The explanation will appear here...',
+        'ai.segments.title': 'Reader Segments ✨',
+        'ai.segments.intro': 'Divides the respondents into groups with similar interests (k-modes, run locally in the browser). Each segment can then get its own persona and article ideas.',
+        'ai.segments.count': 'Number of segments',
+        'ai.segments.rerun': 'Divide again',
+        'ai.segments.find': 'Find segments',
+        'ai.segments.generatingPersonas': 'Generating personas...',
+        'ai.segments.personaForAll': 'Persona for every segment',
+        'ai.segments.suggestingIdeas': 'Suggesting ideas...',
+        'ai.segments.ideasForAll': 'Article ideas for every segment',
+        'ai.segments.summary': '{clustered} respondents in {count} segments',
+        'ai.segments.excluded': ', {count} without common interests are left out',
+        'ai.segments.cost': '· average distance to the segment centre {cost} (0 = identical, 1 = nothing in common)',
+        'ai.segments.segment': 'Segment {id}',
+        'ai.segments.size': '{size} readers ({share})',
+        'ai.segments.lift': '{lift} times more common than among all respondents',
+        'ai.segments.persona': 'Persona',
+        'ai.segments.articleIdeas': 'Article ideas',
+        'ai.segments.regenerate': 'Generate again',
+        'ai.segments.generate': 'Generate',
+        'ai.segments.notGenerated': 'Not generated yet.',
+        'ai.report.title': 'Report',
+        'ai.report.intro': 'Collects the figures, the persona and the segments with their personas and article ideas in one report.',
+        'ai.report.downloadMarkdown': 'Download report (.md)',
+        'ai.report.downloadJSON': 'Download as JSON',
+        'print.print': 'Print / save as PDF',
+        'print.back': 'Back to the dashboard',
+        'print.title': 'Reader report',
+        'print.created': '{count} respondents · created {date}',
+        'print.mentions': 'Number of mentions',
+        'print.shareAxis': 'Share of respondents (%)',
+        'print.topInterests': 'Most common interests',
+        'print.interestItem': '{interest} – {count} ({share} of respondents)',
+        'print.categories': 'Categories',
+        'print.categoryItem': '{category}: {share} of mentions',
+        'print.trends': 'Change over time',
+        'print.wordCloud': 'Word cloud',
+        'print.persona': 'Typical reader (AI)',
+        'print.segment': 'Segment {id} – {size} readers ({share})',
+        'print.definingTerms': 'Distinctive interests: {terms}',
+        'print.articleIdeas': 'Article ideas',
+        'print.explanation': 'Concept explanation (AI)',
+    },
+};
@@ -0,0 +1,151 @@
+// --- Co-occurrence Network ---
+// Builds a graph where nodes are interests and edges connect interests that are
+// mentioned by the same respondents more often than chance would predict.
+
+export const EDGE_MEASURES = {
+    lift: 'Lift',
+    pmi: 'PMI',
+};
+
+// Lift = P(a,b) / (P(a) P(b)); 1 means independent. PMI is its log2, which
+// spreads out the weak links and compresses the strong ones.
+const measureValue = (measure, lift) => (measure === 'pmi' ? Math.log2(lift) : lift);
+
+export const buildCooccurrenceGraph = (lines, { minSupport = 5, maxNodes = 60, maxEdges = 250, measure = 'lift' } = {}) => {
+    const total = lines.length;
+    const termCounts = new Map();
+    lines.forEach(line => new Set(line).forEach(term => termCounts.set(term, (termCounts.get(term) || 0) + 1)));
+
+    const nodes = [...termCounts.entries()]
+        .filter(([, count]) => count >= minSupport)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, maxNodes)
+        .map(([id, count]) => ({ id, count }));
+    const nodeIds = new Set(nodes.map(node => node.id));
+
+    const pairCounts = new Map();
+    lines.forEach(line => {
+        const terms = [...new Set(line)].filter(term => nodeIds.has(term)).sort();
+        for (let i = 0; i < terms.length; i++) {
+            for (let j = i + 1; j < terms.length; j++) {
+                const key = `${terms[i]}\u0000${terms[j]}`;
+                pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+            }
+        }
+    });
+
+    const edges = [];
+    pairCounts.forEach((count, key) => {
+        if (count < minSupport) return;
+        const [source, target] = key.split('\u0000');
+        const lift = (count * total) / (termCounts.get(source) * termCounts.get(target));
+        // Only positive associations are drawn; anything at or below chance is noise here.
+        if (lift <= 1) return;
+        edges.push({ source, target, count, lift, weight: measureValue(measure, lift) });
+    });
+    edges.sort((a, b) => b.weight - a.weight);
+
+    return { nodes, edges: edges.slice(0, maxEdges), total };
+};
+
+// Weighted label propagation. Nodes are visited in order of frequency and ties
+// go to the lowest label, so the same data always gives the same clusters.
+// Communities are renumbered from largest to smallest.
+export const detectCommunities = (nodes, edges, maxIterations = 20) => {
+    const neighbours = new Map(nodes.map(node => [node.id, []]));
+    edges.forEach(edge => {
+        neighbours.get(edge.source).push({ id: edge.target, weight: edge.weight });
+        neighbours.get(edge.target).push({ id: edge.source, weight: edge.weight });
+    });
+
+    const labels = new Map(nodes.map((node, i) => [node.id, i]));
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let changed = false;
+        nodes.forEach(node => {
+            const scores = new Map();
+            neighbours.get(node.id).forEach(({ id, weight }) => {
+                const label = labels.get(id);
+                scores.set(label, (scores.get(label) || 0) + weight);
+            });
+            if (scores.size === 0) return;
+            let bestLabel = labels.get(node.id);
+            let bestScore = scores.get(bestLabel) || 0;
+            scores.forEach((score, label) => {
+                if (score > bestScore || (score === bestScore && label < bestLabel)) {
+                    bestLabel = label;
+                    bestScore = score;
+                }
+            });
+            if (bestLabel !== labels.get(node.id)) {
+                labels.set(node.id, bestLabel);
+                changed = true;
+            }
+        });
+        if (!changed) break;
+    }
+
+    const sizes = new Map();
+    labels.forEach(label => sizes.set(label, (sizes.get(label) || 0) + 1));
+    const order = [...sizes.entries()].sort(([la, a], [lb, b]) => b - a || la - lb).map(([label]) => label);
+    const community = new Map();
+    labels.forEach((label, id) => community.set(id, order.indexOf(label)));
+    return community;
+};
+
+// Fruchterman-Reingold force layout. Starts from a circle ordered by community
+// so the result is deterministic and clusters don't have to travel far.
+export const layoutGraph = (nodes, edges, communities, { width = 800, height = 560, iterations = 300 } = {}) => {
+    const area = width * height;
+    const k = Math.sqrt(area / Math.max(nodes.length, 1)) * 0.8;
+    const ordered = [...nodes].sort((a, b) => communities.get(a.id) - communities.get(b.id));
+    const positions = new Map(ordered.map((node, i) => {
+        const angle = (2 * Math.PI * i) / ordered.length;
+        return [node.id, { x: width / 2 + (width / 3) * Math.cos(angle), y: height / 2 + (height / 3) * Math.sin(angle) }];
+    }));
+    const maxWeight = Math.max(...edges.map(edge => edge.weight), 1);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        // Cooling schedule: nodes may move less and less as the layout settles.
+        const temperature = (width / 10) * Math.pow(0.98, iteration);
+        const displacement = new Map(nodes.map(node => [node.id, { x: 0, y: 0 }]));
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const a = positions.get(nodes[i].id);
+                const b = positions.get(nodes[j].id);
+                const dx = a.x - b.x || 0.01;
+                const dy = a.y - b.y || 0.01;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                const force = (k * k) / distance;
+                displacement.get(nodes[i].id).x += (dx / distance) * force;
+                displacement.get(nodes[i].id).y += (dy / distance) * force;
+                displacement.get(nodes[j].id).x -= (dx / distance) * force;
+                displacement.get(nodes[j].id).y -= (dy / distance) * force;
+            }
+        }
+        edges.forEach(edge => {
+            const a = positions.get(edge.source);
+            const b = positions.get(edge.target);
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 0.01;
+            const force = ((distance * distance) / k) * (0.5 + edge.weight / maxWeight);
+            displacement.get(edge.source).x -= (dx / distance) * force;
+            displacement.get(edge.source).y -= (dy / distance) * force;
+            displacement.get(edge.target).x += (dx / distance) * force;
+            displacement.get(edge.target).y += (dy / distance) * force;
+        });
+        nodes.forEach(node => {
+            const position = positions.get(node.id);
+            const { x, y } = displacement.get(node.id);
+            // Weak pull towards the centre keeps unconnected nodes on screen.
+            const gx = (width / 2 - position.x) * 0.01;
+            const gy = (height / 2 - position.y) * 0.01;
+            const length = Math.sqrt(x * x + y * y) || 1;
+            position.x += (x / length) * Math.min(length, temperature) + gx;
+            position.y += (y / length) * Math.min(length, temperature) + gy;
+            position.x = Math.min(width - 20, Math.max(20, position.x));
+            position.y = Math.min(height - 20, Math.max(20, position.y));
+        });
+    }
+    return positions;
+};
@@ -0,0 +1,108 @@
+import { createI18n } from './i18n';
+
+// --- AI Reports ---
+// Prompts grounded in the actual numbers (counts, shares, category mix and
+// reader segments) and the structured report the AI view can export. Prompts
+// are written in the selected language, so the AI answers in it too.
+
+const describeTopInterests = ({ t, formatPercent }, sortedInterests, respondentCount, limit) => sortedInterests
+    .slice(0, limit)
+    .map(([term, count]) => t('prompt.topInterest', { term, count, share: formatPercent(count / Math.max(respondentCount, 1), 0) }))
+    .join(', ');
+
+const describeCategoryMix = ({ formatPercent }, categoryMix, limit = 5) => categoryMix
+    .slice(0, limit)
+    .map(({ category, share }) => `${category} ${formatPercent(share, 0)}`)
+    .join(', ');
+
+const describeSegment = (i18n, segment) => {
+    const { t, formatPercent, formatNumber } = i18n;
+    return [
+        t('prompt.segmentSize', { size: segment.size, share: formatPercent(segment.share, 0) }),
+        t('prompt.segmentTerms', {
+            terms: segment.definingTerms.map(({ term, share, lift }) => t('prompt.segmentTerm', { term, share: formatPercent(share, 0), lift: formatNumber(lift, { decimals: 1 }) })).join(', '),
+        }),
+        t('prompt.categoryMix', { mix: describeCategoryMix(i18n, segment.categoryMix) }),
+    ].join('\n');
+};
+
+export const buildPersonaPrompt = ({ sortedInterests, respondentCount, categoryMix }, language) => {
+    const i18n = createI18n(language);
+    const { t } = i18n;
+    return [
+        t('prompt.persona.task'),
+        t('prompt.persona.instructions'),
+        '',
+        t('prompt.respondents', { count: respondentCount }),
+        t('prompt.topInterests', { interests: describeTopInterests(i18n, sortedInterests, respondentCount, 30) }),
+        t('prompt.categoryMix', { mix: describeCategoryMix(i18n, categoryMix) }),
+    ].join('\n');
+};
+
+export const buildSegmentPersonaPrompt = (segment, segmentCount, language) => {
+    const i18n = createI18n(language);
+    return [
+        i18n.t('prompt.segmentPersona.task', { count: segmentCount, id: segment.id }),
+        i18n.t('prompt.segmentPersona.instructions'),
+        '',
+        describeSegment(i18n, segment),
+    ].join('\n');
+};
+
+export const buildArticleIdeasPrompt = (segment, language) => {
+    const i18n = createI18n(language);
+    return [
+        i18n.t('prompt.articleIdeas.task'),
+        i18n.t('prompt.articleIdeas.instructions'),
+        '',
+        describeSegment(i18n, segment),
+    ].join('\n');
+};
+
+export const buildExplainPrompt = (term, language) => createI18n(language).t('prompt.explain', { term });
+
+// The report keeps the numbers next to the generated texts, so it can be read
+// without the dashboard and re-used as JSON.
+export const buildReport = ({ title, respondentCount, sortedInterests, categoryMix, persona, segments }) => ({
+    title,
+    generatedAt: new Date().toISOString(),
+    respondentCount,
+    topInterests: sortedInterests.slice(0, 30).map(([term, count]) => ({ term, count })),
+    categoryMix,
+    persona,
+    segments: segments ? segments.clusters.map(({ id, size, share, definingTerms, categoryMix: mix, persona: segmentPersona, articleIdeas }) => ({
+        id, size, share, definingTerms, categoryMix: mix, persona: segmentPersona, articleIdeas,
+    })) : [],
+});
+
+export const reportToMarkdown = (report, language) => {
+    const i18n = createI18n(language);
+    const { t, formatPercent } = i18n;
+    const lines = [
+        `# ${report.title}`,
+        '',
+        t('reportFile.created', { date: report.generatedAt.slice(0, 10), count: report.respondentCount }),
+        '',
+        `## ${t('reportFile.topInterests')}`,
+        '',
+        ...report.topInterests.slice(0, 15).map(({ term, count }, i) => `${i + 1}. ${term} (${count})`),
+        '',
+        `## ${t('reportFile.categoryMix')}`,
+        '',
+        ...report.categoryMix.map(({ category, share }) => `- ${category}: ${formatPercent(share, 0)}`),
+    ];
+    if (report.persona) lines.push('', `## ${t('reportFile.persona')}`, '', report.persona);
+    report.segments.forEach(segment => {
+        lines.push(
+            '',
+            `## ${t('reportFile.segment', { id: segment.id, size: segment.size, share: formatPercent(segment.share, 0) })}`,
+            '',
+            `**${t('reportFile.definingTerms')}** ${segment.definingTerms.map(({ term, share }) => `${term} (${formatPercent(share, 0)})`).join(', ')}`,
+            '',
+            `**${t('reportFile.categoryMixLabel')}** ${describeCategoryMix(i18n, segment.categoryMix)}`,
+        );
+        if (segment.persona) lines.push('', `### ${t('reportFile.segmentPersona')}`, '', segment.persona);
+        if (segment.articleIdeas) lines.push('', `### ${t('reportFile.articleIdeas')}`, '', segment.articleIdeas);
+    });
+    return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,48 @@
+// --- URL State ---
+// The hash holds everything needed to share a view of the analysis, e.g.
+//   #/connections?term=elbil&s.Region=Syd&compare=1&b.Region=Norr
+// Segment columns are prefixed with "s." (segment A) and "b." (segment B);
+// "compare" marks that comparison is on even before B has any filter.
+// Hash routing works on GitHub Pages without any server configuration.
+
+export const VIEWS = ['overview', 'categories', 'taxonomy', 'aliases', 'connections', 'trends', 'ai-analysis', 'sessions'];
+
+const DEFAULT_VIEW = 'overview';
+
+export const parseRoute = (hash = '') => {
+    const path = hash.replace(/^#\/?/, '');
+    const queryStart = path.indexOf('?');
+    const name = queryStart === -1 ? path : path.slice(0, queryStart);
+    const query = queryStart === -1 ? '' : path.slice(queryStart + 1);
+
+    const params = {};
+    const segment = {};
+    let compareSegment = null;
+    new URLSearchParams(query).forEach((value, key) => {
+        if (key.startsWith('s.')) {
+            segment[key.slice(2)] = value;
+        } else if (key.startsWith('b.')) {
+            compareSegment = { ...compareSegment, [key.slice(2)]: value };
+        } else if (key === 'compare') {
+            compareSegment = compareSegment || {};
+        } else {
+            params[key] = value;
+        }
+    });
+    return { view: VIEWS.includes(name) ? name : DEFAULT_VIEW, params, segment, compareSegment };
+};
+
+// Empty parameters are left out, so the same state always gives the same hash.
+export const buildHash = ({ view = DEFAULT_VIEW, params = {}, segment = {}, compareSegment = null }) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    });
+    Object.entries(segment || {}).forEach(([column, value]) => query.set(`s.${column}`, value));
+    if (compareSegment) {
+        query.set('compare', '1');
+        Object.entries(compareSegment).forEach(([column, value]) => query.set(`b.${column}`, value));
+    }
+    const search = query.toString();
+    return `#/${view}${search ? `?${search}` : ''}`;
+};
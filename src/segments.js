@@ -0,0 +1,98 @@
+import { wilsonInterval, compareProportions, adjustPValues } from './statistics';
+
+// --- Respondent Segments ---
+// A segment is a plain object of metadata column -> required value, e.g.
+// { 'Åldersgrupp': '30-39', 'Region': 'Syd' }. An empty object means everyone.
+
+// Metadata columns with too many distinct values (free text, dates, ids)
+// make useless filters, so they are left out of the segment bar.
+const MAX_SEGMENT_VALUES = 50;
+
+export const getSegmentOptions = (respondents, metaColumns) => metaColumns
+    .map(column => {
+        const counts = {};
+        respondents.forEach(respondent => {
+            const value = respondent.meta[column];
+            if (value) counts[value] = (counts[value] || 0) + 1;
+        });
+        const values = Object.entries(counts)
+            .sort(([a], [b]) => a.localeCompare(b, 'sv', { numeric: true }))
+            .map(([value, count]) => ({ value, count }));
+        return { column, values };
+    })
+    .filter(option => option.values.length > 1 && option.values.length <= MAX_SEGMENT_VALUES);
+
+export const isEmptySegment = (segment) => !segment || Object.keys(segment).length === 0;
+
+export const matchesSegment = (respondent, segment) => Object.entries(segment || {})
+    .every(([column, value]) => respondent.meta[column] === value);
+
+export const filterRespondents = (respondents, segment) => (
+    isEmptySegment(segment) ? respondents : respondents.filter(respondent => matchesSegment(respondent, segment))
+);
+
+// everyone is the label for the empty segment, in the UI's language.
+export const describeSegment = (segment, everyone) => (
+    isEmptySegment(segment)
+        ? everyone
+        : Object.entries(segment).map(([column, value]) => `${column}: ${value}`).join(' · ')
+);
+
+// Returns a copy of the segment with one column set, or removed when value is empty.
+export const updateSegment = (segment, column, value) => {
+    const next = { ...segment };
+    if (value) {
+        next[column] = value;
+    } else {
+        delete next[column];
+    }
+    return next;
+};
+
+// Compares two groups of interest lines. Shares are the fraction of respondents
+// in each group mentioning the interest; the index is A's share relative to B's
+// (100 = same, 150 = A over-indexes by 50 %). Each share has a 95 % Wilson
+// interval and each row a test of whether the shares differ (see statistics.js).
+// Rows are ordered by combined share.
+export const compareSegments = (linesA, linesB, topN = 20) => {
+    const countRespondents = (lines) => {
+        const counts = {};
+        lines.forEach(line => new Set(line).forEach(interest => {
+            counts[interest] = (counts[interest] || 0) + 1;
+        }));
+        return counts;
+    };
+    const countsA = countRespondents(linesA);
+    const countsB = countRespondents(linesB);
+    const totalA = linesA.length;
+    const totalB = linesB.length;
+
+    const rows = [...new Set([...Object.keys(countsA), ...Object.keys(countsB)])]
+        .map(interest => {
+            const countA = countsA[interest] || 0;
+            const countB = countsB[interest] || 0;
+            const shareA = totalA ? countA / totalA : 0;
+            const shareB = totalB ? countB / totalB : 0;
+            const { test, pValue } = compareProportions(countA, totalA, countB, totalB);
+            return {
+                interest,
+                countA,
+                countB,
+                shareA,
+                shareB,
+                difference: shareA - shareB,
+                index: shareB > 0 ? (shareA / shareB) * 100 : null,
+                intervalA: wilsonInterval(countA, totalA),
+                intervalB: wilsonInterval(countB, totalB),
+                test,
+                pValue,
+            };
+        });
+    // Every interest is tested, not only the topN shown, so the p-values are
+    // adjusted for all of them.
+    const adjusted = adjustPValues(rows.map(row => row.pValue));
+    return rows
+        .map((row, i) => ({ ...row, pValue: adjusted[i] }))
+        .sort((a, b) => (b.shareA + b.shareB) - (a.shareA + a.shareB))
+        .slice(0, topN);
+};
@@ -0,0 +1,53 @@
+import { compareSegments, filterRespondents, getSegmentOptions, updateSegment } from './segments';
+import { compareProportions } from './statistics';
+
+const respondent = (id, region, interests) => ({ id, interests, meta: { Region: region } });
+
+describe('filterRespondents', () => {
+    const respondents = [respondent('1', 'Syd', ['AI']), respondent('2', 'Norr', ['elbil']), respondent('3', 'Syd', ['elbil'])];
+
+    test('keeps everyone for an empty segment', () => {
+        expect(filterRespondents(respondents, {})).toBe(respondents);
+    });
+
+    test('keeps the respondents matching every column', () => {
+        expect(filterRespondents(respondents, { Region: 'Syd' }).map(item => item.id)).toEqual(['1', '3']);
+    });
+
+    test('offers columns with more than one value', () => {
+        expect(getSegmentOptions(respondents, ['Region'])).toEqual([
+            { column: 'Region', values: [{ value: 'Norr', count: 1 }, { value: 'Syd', count: 2 }] },
+        ]);
+    });
+
+    test('removes a column when its value is cleared', () => {
+        expect(updateSegment({ Region: 'Syd', Kön: 'Kvinna' }, 'Kön', '')).toEqual({ Region: 'Syd' });
+    });
+});
+
+describe('compareSegments', () => {
+    // 100 respondents per group. "AI" differs a little, "elbil" a lot, and
+    // twenty other interests are as common in both.
+    const group = (aiCount, elbilCount) => Array.from({ length: 100 }, (_, i) => [
+        ...(i < aiCount ? ['AI'] : []),
+        ...(i < elbilCount ? ['elbil'] : []),
+        ...Array.from({ length: 20 }, (__, k) => `ämne ${k}`).filter((__, k) => (i + k) % 3 === 0),
+    ]);
+    const linesA = group(22, 40);
+    const linesB = group(10, 5);
+
+    test('computes shares and the index for each interest', () => {
+        const row = compareSegments(linesA, linesB, 50).find(item => item.interest === 'elbil');
+        expect(row).toMatchObject({ countA: 40, countB: 5, shareA: 0.4, shareB: 0.05, index: 800 });
+        expect(row.difference).toBeCloseTo(0.35);
+    });
+
+    test('adjusts the p-values for every interest tested, not only those shown', () => {
+        const all = compareSegments(linesA, linesB, 50);
+        const ai = all.find(item => item.interest === 'AI');
+        expect(compareProportions(22, 100, 10, 100).pValue).toBeLessThan(0.05);
+        expect(ai.pValue).toBeGreaterThan(0.05);
+        const shown = compareSegments(linesA, linesB, 1);
+        expect(shown[0].pValue).toBe(all.find(item => item.interest === shown[0].interest).pValue);
+    });
+});
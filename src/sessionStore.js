@@ -0,0 +1,136 @@
+import { LocalizedError } from './i18n';
+
+// --- Saved Sessions (IndexedDB) ---
+// A session is everything needed to reopen an analysis: the loaded waves,
+// taxonomy, alias settings, active filters and generated AI texts.
+// Datasets can be large, so sessions live in IndexedDB rather than localStorage.
+// The datasets are kept in a store of their own, keyed by session id, so the
+// small part of a session can be saved after every change without rewriting
+// every respondent.
+
+const DB_NAME = 'nyteknik-dashboard';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const DATASETS = 'datasets';
+const EXPORT_FORMAT = 'nyteknik-dashboard-session';
+const EXPORT_VERSION = 1;
+
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new LocalizedError('session.noIndexedDB'));
+                return;
+            }
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(SESSIONS, { keyPath: 'id' });
+                db.createObjectStore(DATASETS, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+};
+
+// Runs requests against the named stores in one transaction. `run` gets the
+// stores in the same order and returns a request, or an array of requests;
+// the promise resolves with their results.
+const withStores = async (names, mode, run) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(names, mode);
+        const requests = run(...names.map(name => transaction.objectStore(name)));
+        transaction.oncomplete = () => resolve(Array.isArray(requests) ? requests.map(request => request.result) : requests.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new LocalizedError('session.aborted'));
+    });
+};
+
+export const createSessionId = () => `session-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// The counts shown in the session list, stored with the session so listing
+// never has to load any datasets.
+export const summarizeDatasets = (datasets) => ({
+    waveCount: datasets.length,
+    respondentCount: datasets.reduce((sum, dataset) => sum + dataset.respondents.length, 0),
+});
+
+export const summarizeSession = (session) => ({
+    id: session.id,
+    name: session.name,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    waveCount: session.waveCount,
+    respondentCount: session.respondentCount,
+});
+
+// Newest first.
+export const listSessions = async () => {
+    const sessions = await withStores([SESSIONS], 'readonly', store => store.getAll());
+    return sessions.map(summarizeSession).sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// The whole session, datasets included.
+export const getSession = async (id) => {
+    const [session, stored] = await withStores([SESSIONS, DATASETS], 'readonly', (sessions, datasets) => [sessions.get(id), datasets.get(id)]);
+    return session && { ...session, datasets: stored?.datasets || [] };
+};
+
+// Saves a whole session, datasets included (imported and copied sessions).
+export const saveSession = ({ datasets, ...session }) => withStores([SESSIONS, DATASETS], 'readwrite', (sessions, stored) => [
+    sessions.put({ ...session, ...summarizeDatasets(datasets), updatedAt: Date.now() }),
+    stored.put({ id: session.id, datasets }),
+]);
+
+// Saves everything but the datasets. The caller passes the counts from
+// summarizeDatasets along, since they are not recomputed here.
+export const saveSessionState = (session) => withStores([SESSIONS], 'readwrite', store => store.put({ ...session, updatedAt: Date.now() }));
+
+export const saveSessionDatasets = (id, datasets) => withStores([DATASETS], 'readwrite', store => store.put({ id, datasets }));
+
+export const deleteSession = (id) => withStores([SESSIONS, DATASETS], 'readwrite', (sessions, datasets) => [sessions.delete(id), datasets.delete(id)]);
+
+export const renameSession = async (id, name) => {
+    const session = await withStores([SESSIONS], 'readonly', store => store.get(id));
+    if (session) await saveSessionState({ ...session, name });
+};
+
+// name is the copy's name, in the UI's language.
+export const duplicateSession = async (id, name) => {
+    const session = await getSession(id);
+    if (!session) return null;
+    const now = Date.now();
+    const copy = { ...session, id: createSessionId(), name, createdAt: now };
+    await saveSession(copy);
+    return copy;
+};
+
+export const serializeSession = (session) => JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, session }, null, 2);
+
+// Reads an exported session file. The imported session gets a fresh id so it
+// never overwrites the colleague's original if both end up in the same browser.
+export const parseSessionFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new LocalizedError('file.invalidJSON');
+    }
+    if (!data || data.format !== EXPORT_FORMAT || !data.session) {
+        throw new LocalizedError('session.notSessionFile');
+    }
+    const { session } = data;
+    if (!Array.isArray(session.datasets) || session.datasets.some(dataset => !Array.isArray(dataset.respondents))) {
+        throw new LocalizedError('session.noData');
+    }
+    const now = Date.now();
+    return { ...session, id: createSessionId(), createdAt: session.createdAt || now, updatedAt: now };
+};
@@ -0,0 +1,99 @@
+// --- Statistics ---
+// Confidence intervals and significance tests for shares of respondents, e.g.
+// the readers in a segment who mention an interest. Everything works on plain
+// counts: successes out of n respondents.
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Below this many respondents a share moves too much between surveys to be read on its own.
+export const MIN_SAMPLE_SIZE = 30;
+
+const Z_95 = 1.959964;
+
+// Wilson score interval. Unlike share ± 1.96 standard errors it stays within
+// 0..1 and still makes sense for a handful of respondents or shares near 0 or 100 %.
+export const wilsonInterval = (successes, n, z = Z_95) => {
+    if (n <= 0) return { low: 0, high: 0 };
+    const share = Math.min(successes, n) / n;
+    const z2 = z * z;
+    const denominator = 1 + z2 / n;
+    const centre = (share + z2 / (2 * n)) / denominator;
+    const margin = (z / denominator) * Math.sqrt((share * (1 - share)) / n + z2 / (4 * n * n));
+    return { low: Math.max(0, centre - margin), high: Math.min(1, centre + margin) };
+};
+
+// Complementary error function (Numerical Recipes' erfcc, accurate to about 1e-7).
+const erfc = (x) => {
+    const z = Math.abs(x);
+    const t = 1 / (1 + z / 2);
+    const result = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 + t * (-0.18628806
+        + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? result : 2 - result;
+};
+
+// Pearson's chi-square test for the 2x2 table [[a, b], [c, d]] (one degree of freedom).
+const chiSquareTest = (a, b, c, d) => {
+    const n = a + b + c + d;
+    const denominator = (a + b) * (c + d) * (a + c) * (b + d);
+    if (denominator === 0) return { statistic: 0, pValue: 1 };
+    const statistic = (n * (a * d - b * c) ** 2) / denominator;
+    return { statistic, pValue: erfc(Math.sqrt(statistic / 2)) };
+};
+
+const logFactorials = [0];
+const logFactorial = (n) => {
+    for (let i = logFactorials.length; i <= n; i++) logFactorials[i] = logFactorials[i - 1] + Math.log(i);
+    return logFactorials[n];
+};
+
+// Two-sided Fisher's exact test for [[a, b], [c, d]]: the probability of every
+// table with the same margins that is at most as likely as the observed one.
+const fisherExactTest = (a, b, c, d) => {
+    const row1 = a + b;
+    const row2 = c + d;
+    const col1 = a + c;
+    const n = row1 + row2;
+    const constant = logFactorial(row1) + logFactorial(row2) + logFactorial(col1) + logFactorial(n - col1) - logFactorial(n);
+    const logProbability = (x) => constant - logFactorial(x) - logFactorial(row1 - x) - logFactorial(col1 - x) - logFactorial(row2 - col1 + x);
+    const observed = logProbability(a);
+    let pValue = 0;
+    for (let x = Math.max(0, col1 - row2); x <= Math.min(row1, col1); x++) {
+        const logP = logProbability(x);
+        // The tolerance keeps tables exactly as likely as the observed one despite rounding.
+        if (logP <= observed + 1e-7) pValue += Math.exp(logP);
+    }
+    return { statistic: null, pValue: Math.min(1, pValue) };
+};
+
+// Tests whether a share differs between two groups (segment A and B, two
+// waves, readers with and without a term). The chi-square approximation is
+// unreliable when an expected cell count is below 5, so Fisher's exact test is
+// used then. Returns { test, statistic, pValue }.
+export const compareProportions = (successesA, nA, successesB, nB) => {
+    if (nA <= 0 || nB <= 0) return { test: null, statistic: null, pValue: 1 };
+    const a = Math.min(successesA, nA);
+    const c = Math.min(successesB, nB);
+    const b = nA - a;
+    const d = nB - c;
+    const smallestExpected = (Math.min(nA, nB) * Math.min(a + c, b + d)) / (nA + nB);
+    if (smallestExpected < 5) return { test: 'fisher', ...fisherExactTest(a, b, c, d) };
+    return { test: 'chi-square', ...chiSquareTest(a, b, c, d) };
+};
+
+export const isSignificant = (pValue, level = SIGNIFICANCE_LEVEL) => pValue < level;
+
+// Benjamini–Hochberg adjusted p-values, in the same order as given. When
+// hundreds of terms are tested at once, some pass p < 0.05 by chance alone;
+// the adjusted values keep the expected share of such false finds among the
+// significant ones at the significance level.
+export const adjustPValues = (pValues) => {
+    const order = pValues.map((_, i) => i).sort((a, b) => pValues[a] - pValues[b]);
+    const adjusted = new Array(pValues.length);
+    let smallest = 1;
+    for (let rank = order.length; rank >= 1; rank--) {
+        const i = order[rank - 1];
+        smallest = Math.min(smallest, (pValues[i] * order.length) / rank);
+        adjusted[i] = smallest;
+    }
+    return adjusted;
+};
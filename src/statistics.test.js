@@ -0,0 +1,61 @@
+import { wilsonInterval, compareProportions, isSignificant, adjustPValues } from './statistics';
+
+describe('wilsonInterval', () => {
+    test('is symmetric around one half', () => {
+        const { low, high } = wilsonInterval(5, 10);
+        expect(low).toBeCloseTo(0.2366, 4);
+        expect(high).toBeCloseTo(0.7634, 4);
+    });
+
+    test('stays within 0..1 for shares of 0 and 100 %', () => {
+        expect(wilsonInterval(0, 10).low).toBe(0);
+        expect(wilsonInterval(0, 10).high).toBeCloseTo(0.2775, 4);
+        expect(wilsonInterval(10, 10).high).toBeCloseTo(1, 10);
+        expect(wilsonInterval(10, 10).low).toBeCloseTo(0.7225, 4);
+    });
+
+    test('is empty without respondents', () => {
+        expect(wilsonInterval(0, 0)).toEqual({ low: 0, high: 0 });
+    });
+});
+
+describe('compareProportions', () => {
+    test('uses the chi-square test for large enough groups', () => {
+        const result = compareProportions(20, 50, 10, 50);
+        expect(result.test).toBe('chi-square');
+        expect(result.statistic).toBeCloseTo(4.7619, 4);
+        expect(result.pValue).toBeCloseTo(0.0291, 4);
+        expect(isSignificant(result.pValue)).toBe(true);
+    });
+
+    test('uses Fisher\'s exact test when an expected count is below 5', () => {
+        const result = compareProportions(3, 3, 0, 3);
+        expect(result.test).toBe('fisher');
+        expect(result.pValue).toBeCloseTo(0.1, 10);
+        expect(isSignificant(result.pValue)).toBe(false);
+    });
+
+    test('finds no difference between equal shares', () => {
+        expect(compareProportions(15, 50, 15, 50).pValue).toBeCloseTo(1);
+        expect(compareProportions(1, 4, 1, 4).pValue).toBeCloseTo(1);
+    });
+
+    test('has nothing to test with an empty group', () => {
+        expect(compareProportions(0, 0, 3, 10)).toEqual({ test: null, statistic: null, pValue: 1 });
+    });
+});
+
+describe('adjustPValues', () => {
+    test('applies Benjamini-Hochberg and keeps the input order', () => {
+        const adjusted = adjustPValues([0.01, 0.04, 0.03, 0.005]);
+        [0.02, 0.04, 0.04, 0.02].forEach((value, i) => expect(adjusted[i]).toBeCloseTo(value, 10));
+    });
+
+    test('never goes above 1', () => {
+        expect(adjustPValues([0.9, 0.8, 1])).toEqual([1, 1, 1]);
+    });
+
+    test('handles an empty list', () => {
+        expect(adjustPValues([])).toEqual([]);
+    });
+});
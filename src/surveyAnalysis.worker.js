@@ -0,0 +1,74 @@
+/* eslint-disable no-restricted-globals */
+import { countInterests } from './interests';
+import { createCanonicalizer, canonicalizeLine, getVariantCounts } from './aliases';
+import { filterRespondents, compareSegments } from './segments';
+
+// Folds and counts the loaded waves off the main thread, so switching segment
+// or editing an alias never blocks the UI, however many respondents there are.
+// The worker keeps the datasets, so they are only posted when they change:
+//   'datasets' { datasets }      – the loaded waves
+//   'aliases'  { aliasSettings } – the alias and stemming settings
+//   'analyse'  { id, activeDatasetId, segment, compareSegment }
+// 'analyse' answers with 'done' (or 'error') and the same id; when the data or
+// the alias settings have changed since the last one, a 'vocabulary' message
+// with the new alias layer comes first.
+
+let datasets = [];
+let aliasSettings = null;
+let canonicalDatasets = [];
+let stale = true;
+
+// The alias layer is built from the vocabulary of every loaded wave, so a term
+// folds the same way whichever wave or segment is active.
+const canonicalise = () => {
+    const vocabulary = countInterests(datasets.flatMap(dataset => dataset.respondents.map(respondent => respondent.interests)));
+    const canonicalizer = createCanonicalizer(vocabulary, aliasSettings);
+    canonicalDatasets = datasets.map(dataset => ({
+        ...dataset,
+        respondents: dataset.respondents.map(respondent => ({ ...respondent, interests: canonicalizeLine(respondent.interests, canonicalizer) })),
+    }));
+    stale = false;
+    self.postMessage({
+        type: 'vocabulary',
+        result: { vocabulary, variants: canonicalizer.variants, variantCounts: getVariantCounts(canonicalizer) },
+    });
+};
+
+const linesOf = (respondents, segment) => filterRespondents(respondents, segment).map(respondent => respondent.interests);
+
+const analyse = ({ activeDatasetId, segment, compareSegment }) => {
+    if (stale) canonicalise();
+    const active = canonicalDatasets.find(dataset => dataset.id === activeDatasetId);
+    const allLines = active ? linesOf(active.respondents, segment) : [];
+    const linesB = active && compareSegment ? linesOf(active.respondents, compareSegment) : null;
+    return {
+        segment,
+        compareSegment,
+        allLines,
+        sortedInterests: countInterests(allLines),
+        comparison: linesB && { sizeB: linesB.length, rows: compareSegments(allLines, linesB) },
+        // One entry per loaded wave, oldest first, narrowed to the active segment.
+        // Canonical lines hold every interest once, so the counts are respondents.
+        waves: canonicalDatasets.map(dataset => {
+            const lines = linesOf(dataset.respondents, segment);
+            return { id: dataset.id, label: dataset.wave, total: lines.length, sortedInterests: countInterests(lines) };
+        }),
+    };
+};
+
+self.onmessage = (event) => {
+    const { type, id } = event.data;
+    try {
+        if (type === 'datasets') {
+            datasets = event.data.datasets;
+            stale = true;
+        } else if (type === 'aliases') {
+            aliasSettings = event.data.aliasSettings;
+            stale = true;
+        } else if (type === 'analyse') {
+            self.postMessage({ type: 'done', id, result: analyse(event.data) });
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message, key: error.key, params: error.params });
+    }
+};
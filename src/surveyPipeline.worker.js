@@ -0,0 +1,20 @@
+/* eslint-disable no-restricted-globals */
+import { readSurveyTable, buildDatasets } from './dataImport';
+
+// Reads and builds imported files off the main thread, so files with 100k+
+// respondents don't freeze the UI. 'read' gets the File itself, so the main
+// thread never has to hold the raw bytes; 'build' gets the mapped table.
+self.onmessage = async (event) => {
+    const { type, file, options, table, roles, fileName, waveLabel, unknownWave } = event.data;
+    const onProgress = (progress) => self.postMessage({ type: 'progress', progress });
+    try {
+        if (type === 'read') {
+            const buffer = await file.arrayBuffer();
+            self.postMessage({ type: 'done', result: readSurveyTable(buffer, file.name, { ...options, onProgress }) });
+        } else if (type === 'build') {
+            self.postMessage({ type: 'done', result: buildDatasets(table, roles, fileName, waveLabel, unknownWave, onProgress) });
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message, key: error.key, params: error.params });
+    }
+};
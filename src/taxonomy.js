@@ -0,0 +1,256 @@
+import { LocalizedError } from './i18n';
+
+// --- Category Taxonomy ---
+// A taxonomy is a list of categories, each with match rules. It is plain JSON so
+// editors can export it, hand it to a colleague and import it again.
+//
+// {
+//   version: 1,
+//   fallback: 'Övrigt',
+//   multiCategory: false,
+//   categories: [{ id, name, color, priority, rules: [{ type, pattern }] }]
+// }
+
+const STORAGE_KEY = 'nyteknik-dashboard:taxonomy';
+const TAXONOMY_VERSION = 1;
+
+export const MATCH_TYPES = ['contains', 'exact', 'prefix', 'word', 'regex'];
+
+export const CATEGORY_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#6B7280', '#EC4899', '#14B8A6', '#F97316', '#84CC16'];
+
+// The keyword lists the dashboard shipped with before the taxonomy was editable.
+const DEFAULT_KEYWORDS = {
+    'Elfordon & Batteri': ['elbil', 'ev', 'tesla', 'volvo xc', 'bmw x3', 'polestar', 'lynk & co', 'audi', 'skoda', 'renault', 'hyundai', 'huawei', 'xiaomi', 'byd', 'xpeng', 'geely', 'ford', 'mercedes', 'batteri', 'northvolt', 'laddning', 'v2g', 'solid-state'],
+    'AI & Datorvetenskap': ['ai', 'artificial intelligence', 'deepmind', 'chatgpt', 'grok', 'copilot', 'robot', 'automation', 'data', 'cybersecurity', 'it security', 'wifi', 'dator', 'program', 'mjukvara', 'software', 'cloud', 'moln', 'semiconductor', 'quantum computing'],
+    'Energi & Miljö': ['energi', 'kärnkraft', 'vindkraft', 'solkraft', 'fusion', 'smr', 'reaktor', 'elnät', 'grid', 'elpris', 'koldioxid', 'co2', 'miljö', 'klimat', 'återvinning', 'avfall', 'hållbarhet'],
+    'Försvar & Rymd': ['försvar', 'militär', 'saab', 'gripen', 'ubåt', 'flygplan', 'drönare', 'vapen', 'rymd', 'space exploration', 'mars', 'nasa', 'esa'],
+    'Ekonomi & Industri': ['ekonomi', 'industri', 'startup', 'innovation', 'tillverkning', 'produktion', 'skf', 'volvo', 'ericsson', 'handel', 'tullar', 'marknad'],
+    'Övrigt': ['spel', 'puzzle', 'hälsa', 'medicin', 'forskning', 'utbildning', 'transport']
+};
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9åäö]+/g, '-').replace(/^-|-$/g, '') || 'kategori';
+
+export const createCategoryId = (name, existing = []) => {
+    const base = slugify(name);
+    const taken = new Set(existing.map(category => category.id));
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    return id;
+};
+
+// Short keywords such as 'ai' and 'ev' only match whole words, so they no longer
+// hit 'detail' or 'evolution'. Longer ones keep substring matching, which suits
+// Swedish compounds ('snabbladdning' still matches 'laddning').
+export const createDefaultTaxonomy = () => ({
+    version: TAXONOMY_VERSION,
+    fallback: 'Övrigt',
+    multiCategory: false,
+    categories: Object.entries(DEFAULT_KEYWORDS).map(([name, keywords], i) => ({
+        id: slugify(name),
+        name,
+        color: CATEGORY_COLORS[i % CATEGORY_COLORS.length],
+        priority: 0,
+        rules: keywords.map(pattern => ({ type: pattern.length <= 3 ? 'word' : 'contains', pattern })),
+    })),
+});
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Letters include Swedish characters, so 'ai' is not a whole word inside 'aiå'.
+const BOUNDARY_BEFORE = '(?:^|[^a-z0-9åäöéü])';
+const BOUNDARY_AFTER = '(?=$|[^a-z0-9åäöéü])';
+
+const compileRule = (rule) => {
+    const pattern = (rule.pattern || '').trim().toLowerCase();
+    if (!pattern) return { ...rule, test: () => false, error: new LocalizedError('taxonomy.emptyPattern') };
+    try {
+        switch (rule.type) {
+            case 'exact':
+                return { ...rule, test: (term) => term === pattern };
+            case 'prefix': {
+                const regex = new RegExp(`${BOUNDARY_BEFORE}${escapeRegExp(pattern)}`);
+                return { ...rule, test: (term) => regex.test(term) };
+            }
+            case 'word': {
+                const regex = new RegExp(`${BOUNDARY_BEFORE}${escapeRegExp(pattern)}${BOUNDARY_AFTER}`);
+                return { ...rule, test: (term) => regex.test(term) };
+            }
+            case 'regex': {
+                const regex = new RegExp(rule.pattern, 'i');
+                return { ...rule, test: (term) => regex.test(term) };
+            }
+            case 'contains':
+            default:
+                return { ...rule, test: (term) => term.includes(pattern) };
+        }
+    } catch (error) {
+        return { ...rule, test: () => false, error: new LocalizedError('taxonomy.invalidPattern', { message: error.message }) };
+    }
+};
+
+// How specific a matching rule is; used to break ties between categories of the
+// same priority so that 'volvo xc' beats 'volvo' regardless of category order.
+const ruleSpecificity = (rule) => (rule.type === 'exact' ? 1000 : 0) + (rule.pattern || '').length;
+
+export const compileTaxonomy = (taxonomy) => ({
+    ...taxonomy,
+    categories: taxonomy.categories.map((category, order) => ({
+        ...category,
+        order,
+        rules: category.rules.map(compileRule),
+    })),
+});
+
+// Returns the categories a term belongs to, best match first, together with the
+// rule that matched. Unmatched terms go to the fallback category with no rule.
+export const classifyTerm = (term, compiled) => {
+    const matches = [];
+    compiled.categories.forEach(category => {
+        const matching = category.rules.filter(rule => rule.test(term));
+        if (matching.length === 0) return;
+        const rule = matching.reduce((best, candidate) => (ruleSpecificity(candidate) > ruleSpecificity(best) ? candidate : best));
+        matches.push({ category: category.name, categoryId: category.id, rule: { type: rule.type, pattern: rule.pattern }, priority: Number(category.priority) || 0, order: category.order });
+    });
+    if (matches.length === 0) {
+        return [{ category: compiled.fallback, categoryId: null, rule: null }];
+    }
+    matches.sort((a, b) => (b.priority - a.priority)
+        || (ruleSpecificity(b.rule) - ruleSpecificity(a.rule))
+        || (a.order - b.order));
+    return compiled.multiCategory ? matches : matches.slice(0, 1);
+};
+
+// Groups [interest, count] pairs by category. Returns the total count per
+// category, the terms per category and every term's assignment.
+export const categorizeInterests = (sortedInterests, taxonomy) => {
+    const compiled = compileTaxonomy(taxonomy);
+    const categoryCounts = {};
+    const categoryTerms = {};
+    const assignments = {};
+    [...taxonomy.categories.map(category => category.name), taxonomy.fallback].forEach(name => {
+        categoryCounts[name] = 0;
+        categoryTerms[name] = {};
+    });
+
+    sortedInterests.forEach(([interest, count]) => {
+        const matches = classifyTerm(interest, compiled);
+        assignments[interest] = matches;
+        matches.forEach(({ category }) => {
+            categoryCounts[category] += count;
+            categoryTerms[category][interest] = (categoryTerms[category][interest] || 0) + count;
+        });
+    });
+    return { categoryCounts, categoryTerms, assignments };
+};
+
+// Each category's share of all mentions, largest first; empty categories are left out.
+export const computeCategoryMix = (sortedInterests, taxonomy) => {
+    const { categoryCounts } = categorizeInterests(sortedInterests, taxonomy);
+    const mentions = Object.values(categoryCounts).reduce((sum, count) => sum + count, 0) || 1;
+    return Object.entries(categoryCounts)
+        .filter(([, count]) => count > 0)
+        .map(([category, count]) => ({ category, share: count / mentions }))
+        .sort((a, b) => b.share - a.share);
+};
+
+// Adds an exact rule for each term to the category, so terms sorted by hand
+// keep their category whatever the broader rules say. Terms the category
+// already has an exact rule for are skipped.
+export const addExactRules = (taxonomy, categoryId, terms) => ({
+    ...taxonomy,
+    categories: taxonomy.categories.map(category => {
+        if (category.id !== categoryId) return category;
+        const existing = new Set(category.rules.filter(rule => rule.type === 'exact').map(rule => rule.pattern.trim().toLowerCase()));
+        const added = [...new Set(terms)].filter(term => !existing.has(term)).map(pattern => ({ type: 'exact', pattern }));
+        return { ...category, rules: [...category.rules, ...added] };
+    }),
+});
+
+export const getCategoryColor = (taxonomy, name) => {
+    const category = taxonomy.categories.find(candidate => candidate.name === name);
+    return category ? category.color : '#9CA3AF';
+};
+
+// Checks an imported taxonomy and fills in defaults. Throws a LocalizedError
+// that can be shown to the editor as-is.
+export const validateTaxonomy = (data) => {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.categories)) {
+        throw new LocalizedError('taxonomy.noCategories');
+    }
+    const categories = [];
+    data.categories.forEach((category, i) => {
+        if (!category || typeof category.name !== 'string' || !category.name.trim()) {
+            throw new LocalizedError('taxonomy.unnamedCategory', { number: i + 1 });
+        }
+        if (categories.some(existing => existing.name === category.name.trim())) {
+            throw new LocalizedError('taxonomy.duplicateCategory', { name: category.name });
+        }
+        const rules = (category.rules || category.keywords || []).map(rule => (
+            typeof rule === 'string' ? { type: 'contains', pattern: rule } : rule
+        ));
+        rules.forEach(rule => {
+            if (!MATCH_TYPES.includes(rule.type) || typeof rule.pattern !== 'string') {
+                throw new LocalizedError('taxonomy.invalidRule', { name: category.name });
+            }
+        });
+        categories.push({
+            id: category.id || createCategoryId(category.name, categories),
+            name: category.name.trim(),
+            color: category.color || CATEGORY_COLORS[i % CATEGORY_COLORS.length],
+            priority: Number(category.priority) || 0,
+            rules: rules.map(({ type, pattern }) => ({ type, pattern })),
+        });
+    });
+    return {
+        version: TAXONOMY_VERSION,
+        fallback: typeof data.fallback === 'string' && data.fallback.trim() ? data.fallback.trim() : 'Övrigt',
+        multiCategory: !!data.multiCategory,
+        categories,
+    };
+};
+
+export const parseTaxonomyJSON = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new LocalizedError('file.invalidJSON');
+    }
+    return validateTaxonomy(data);
+};
+
+export const serializeTaxonomy = (taxonomy) => JSON.stringify(taxonomy, null, 2);
+
+export const loadTaxonomy = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored) return parseTaxonomyJSON(stored);
+    } catch (error) {
+        console.error('Could not load saved taxonomy:', error);
+    }
+    return createDefaultTaxonomy();
+};
+
+export const saveTaxonomy = (taxonomy) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, serializeTaxonomy(taxonomy));
+    } catch (error) {
+        console.error('Could not save taxonomy:', error);
+    }
+};
+
+// Lists the terms whose categories differ between two taxonomies, most
+// mentioned first. Used for the editor's live preview.
+export const diffClassifications = (sortedInterests, fromTaxonomy, toTaxonomy) => {
+    const from = compileTaxonomy(fromTaxonomy);
+    const to = compileTaxonomy(toTaxonomy);
+    const changes = [];
+    sortedInterests.forEach(([interest, count]) => {
+        const before = classifyTerm(interest, from).map(match => match.category);
+        const after = classifyTerm(interest, to).map(match => match.category);
+        if (before.join('|') !== after.join('|')) {
+            changes.push({ interest, count, before, after });
+        }
+    });
+    return changes;
+};
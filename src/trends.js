@@ -0,0 +1,74 @@
+import { categorizeInterests } from './taxonomy';
+import { compareProportions, isSignificant, adjustPValues } from './statistics';
+
+// --- Trends Across Survey Waves ---
+// A wave is { label, total, sortedInterests }: its number of respondents and
+// how many of them mention each interest, as [interest, count] pairs. Shares
+// are the fraction of a wave's respondents mentioning an interest, so waves of
+// different size can be compared.
+
+export const computeWaveShares = (waves) => {
+    const counts = waves.map(wave => new Map(wave.sortedInterests));
+    const totals = waves.map(wave => wave.total);
+    const terms = new Set(counts.flatMap(waveCounts => [...waveCounts.keys()]));
+
+    const shares = new Map();
+    terms.forEach(term => {
+        shares.set(term, counts.map((waveCounts, i) => (totals[i] ? (waveCounts.get(term) || 0) / totals[i] : 0)));
+    });
+    return { labels: waves.map(wave => wave.label), counts, totals, shares };
+};
+
+// Terms ordered by their average share over all waves.
+export const topTermsOverTime = (stats, limit = 10) => [...stats.shares.entries()]
+    .map(([term, values]) => [term, values.reduce((sum, value) => sum + value, 0) / values.length])
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit)
+    .map(([term]) => term);
+
+// Biggest changes in share (percentage points) between two waves. Terms need
+// minCount mentions in at least one of the two waves to avoid noise. Every
+// change is tested, with p-values adjusted for the number of terms tested;
+// significantOnly leaves out those that could be chance.
+export const findMovers = (stats, fromIndex, toIndex, { minCount = 3, limit = 10, significantOnly = false } = {}) => {
+    let changes = [];
+    stats.shares.forEach((values, term) => {
+        const fromCount = stats.counts[fromIndex].get(term) || 0;
+        const toCount = stats.counts[toIndex].get(term) || 0;
+        if (Math.max(fromCount, toCount) < minCount) return;
+        const { test, pValue } = compareProportions(toCount, stats.totals[toIndex], fromCount, stats.totals[fromIndex]);
+        changes.push({ term, from: values[fromIndex], to: values[toIndex], change: values[toIndex] - values[fromIndex], fromCount, toCount, test, pValue });
+    });
+    const adjusted = adjustPValues(changes.map(item => item.pValue));
+    changes = changes.map((item, i) => ({ ...item, pValue: adjusted[i] }))
+        .filter(item => !significantOnly || isSignificant(item.pValue));
+    return {
+        risers: changes.filter(item => item.change > 0).sort((a, b) => b.change - a.change).slice(0, limit),
+        fallers: changes.filter(item => item.change < 0).sort((a, b) => a.change - b.change).slice(0, limit),
+    };
+};
+
+// Terms that appear for the first time in a later wave, with at least minCount
+// mentions there. The first wave has nothing to compare with and is skipped.
+export const findEmergingTerms = (stats, { minCount = 2 } = {}) => {
+    const emerging = [];
+    stats.shares.forEach((values, term) => {
+        const first = stats.counts.findIndex(waveCounts => waveCounts.has(term));
+        if (first <= 0) return;
+        const count = stats.counts[first].get(term);
+        if (count < minCount) return;
+        emerging.push({ term, wave: stats.labels[first], waveIndex: first, count, share: values[first] });
+    });
+    return emerging.sort((a, b) => b.waveIndex - a.waveIndex || b.count - a.count);
+};
+
+// Each category's share of all mentions per wave, for the stacked area chart.
+export const computeCategoryShares = (waves, taxonomy) => {
+    const perWave = waves.map(wave => {
+        const { categoryCounts } = categorizeInterests(wave.sortedInterests, taxonomy);
+        const total = Object.values(categoryCounts).reduce((sum, count) => sum + count, 0) || 1;
+        return Object.fromEntries(Object.entries(categoryCounts).map(([category, count]) => [category, count / total]));
+    });
+    const categories = Object.keys(perWave[0] || {});
+    return categories.map(category => ({ category, values: perWave.map(shares => shares[category] || 0) }));
+};
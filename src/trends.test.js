@@ -0,0 +1,51 @@
+import { computeWaveShares, findMovers, findEmergingTerms, topTermsOverTime } from './trends';
+import { compareProportions, isSignificant } from './statistics';
+
+// Two waves of 100 respondents: "elbil" jumps, "batteri" rises a little and
+// twenty other terms stay where they were.
+const steady = Array.from({ length: 20 }, (_, i) => [`ämne ${i}`, 30]);
+const waves = [
+    { label: '2025 Q1', total: 100, sortedInterests: [['elbil', 5], ['batteri', 10], ...steady] },
+    { label: '2025 Q2', total: 100, sortedInterests: [['elbil', 40], ['batteri', 22], ['drönare', 4], ...steady] },
+];
+
+describe('computeWaveShares', () => {
+    test('divides counts by each wave\'s respondents', () => {
+        const stats = computeWaveShares(waves);
+        expect(stats.labels).toEqual(['2025 Q1', '2025 Q2']);
+        expect(stats.shares.get('elbil')).toEqual([0.05, 0.4]);
+        expect(stats.shares.get('drönare')).toEqual([0, 0.04]);
+    });
+});
+
+describe('findMovers', () => {
+    test('orders risers by change in share', () => {
+        const { risers, fallers } = findMovers(computeWaveShares(waves), 0, 1);
+        expect(risers.map(item => item.term)).toEqual(['elbil', 'batteri', 'drönare']);
+        expect(risers[0].change).toBeCloseTo(0.35);
+        expect(fallers).toEqual([]);
+    });
+
+    test('adjusts the p-values for every term tested before filtering', () => {
+        // On its own the rise of "batteri" passes p < 0.05 ...
+        expect(isSignificant(compareProportions(22, 100, 10, 100).pValue)).toBe(true);
+        // ... but not once all 23 tested terms are taken into account.
+        const { risers } = findMovers(computeWaveShares(waves), 0, 1, { significantOnly: true });
+        expect(risers.map(item => item.term)).toEqual(['elbil']);
+        expect(risers[0].pValue).toBeGreaterThan(compareProportions(40, 100, 5, 100).pValue);
+    });
+});
+
+describe('findEmergingTerms', () => {
+    test('finds terms first mentioned in a later wave', () => {
+        expect(findEmergingTerms(computeWaveShares(waves))).toEqual([
+            { term: 'drönare', wave: '2025 Q2', waveIndex: 1, count: 4, share: 0.04 },
+        ]);
+    });
+});
+
+describe('topTermsOverTime', () => {
+    test('ranks terms by their average share', () => {
+        expect(topTermsOverTime(computeWaveShares(waves), 2)).toEqual(['ämne 0', 'ämne 1']);
+    });
+});
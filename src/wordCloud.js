@@ -0,0 +1,137 @@
+import { normalizeInterest } from './interests';
+
+// --- Word Cloud ---
+// Lays words out along an Archimedean spiral from the centre: the most
+// mentioned word is placed first and every following word at the first spot
+// where its box does not overlap an earlier one. The layout only depends on
+// the words and their counts, so the same data always gives the same cloud.
+
+const STORAGE_KEY = 'nyteknik-dashboard:word-cloud';
+
+export const WORD_CLOUD_FONT = 'Helvetica, Arial, sans-serif';
+export const WORD_CLOUD_FONT_WEIGHT = 600;
+
+export const WORD_SCALES = ['sqrt', 'log', 'linear'];
+
+// Frequent answers that say nothing about the reader's interests.
+export const DEFAULT_WORD_CLOUD_SETTINGS = {
+    scale: 'sqrt',
+    maxWords: 100,
+    stopwords: ['inget', 'ingenting', 'inga', 'vet ej', 'vet inte', 'allt', 'annat', 'övrigt', 'mycket', 'nej'],
+};
+
+const SCALE_FUNCTIONS = {
+    linear: value => value,
+    sqrt: Math.sqrt,
+    log: Math.log1p,
+};
+
+// Maps a count to 0..1 between the smallest and largest count. Square root
+// and log keep a single dominant term from shrinking everything else.
+export const scaleWeight = (count, min, max, scale = 'sqrt') => {
+    const transform = SCALE_FUNCTIONS[scale] || SCALE_FUNCTIONS.sqrt;
+    if (max <= min) return 1;
+    return (transform(count) - transform(min)) / (transform(max) - transform(min));
+};
+
+// Stopwords are typed as a comma- or line-separated list and compared in normalized form.
+export const parseStopwords = (text) => [...new Set(text.split(/[,;\n]/).map(normalizeInterest).filter(Boolean))];
+
+let measureContext = null;
+
+// Measures with the same font as the cloud is drawn in.
+export const measureWord = (text, fontSize) => {
+    if (!measureContext) measureContext = document.createElement('canvas').getContext('2d');
+    measureContext.font = `${WORD_CLOUD_FONT_WEIGHT} ${fontSize}px ${WORD_CLOUD_FONT}`;
+    return { width: measureContext.measureText(text).width, height: fontSize };
+};
+
+// Placed boxes are bucketed in a coarse grid, so a candidate spot is only
+// checked against the boxes near it.
+const GRID_CELL = 40;
+
+const createBoxIndex = () => {
+    const cells = new Map();
+    const cellKeys = (box) => {
+        const keys = [];
+        for (let column = Math.floor(box.left / GRID_CELL); column <= Math.floor(box.right / GRID_CELL); column++) {
+            for (let row = Math.floor(box.top / GRID_CELL); row <= Math.floor(box.bottom / GRID_CELL); row++) keys.push(`${column}:${row}`);
+        }
+        return keys;
+    };
+    return {
+        add: (box) => cellKeys(box).forEach(key => {
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(box);
+        }),
+        collides: (box) => cellKeys(box).some(key => (cells.get(key) || []).some(other => (
+            box.left < other.right && box.right > other.left && box.top < other.bottom && box.bottom > other.top
+        ))),
+    };
+};
+
+const placeWords = (words, { width, height, minFontSize, maxFontSize, scale, padding, measure }) => {
+    const counts = words.map(word => word.count);
+    const min = Math.min(...counts);
+    const max = Math.max(...counts);
+    const centreX = width / 2;
+    const centreY = height / 2;
+    // The spiral is stretched to the cloud's aspect ratio so wide clouds fill their width.
+    const stretch = width / height;
+    const maxRadius = Math.hypot(centreX, centreY);
+    const boxes = createBoxIndex();
+    const placed = [];
+
+    words.forEach(word => {
+        const fontSize = Math.round(minFontSize + scaleWeight(word.count, min, max, scale) * (maxFontSize - minFontSize));
+        const size = measure(word.text, fontSize);
+        const halfWidth = size.width / 2 + padding;
+        const halfHeight = size.height / 2 + padding;
+        for (let t = 0; t * 2 < maxRadius; t += 0.1) {
+            const x = centreX + t * 2 * Math.cos(t) * stretch;
+            const y = centreY + t * 2 * Math.sin(t);
+            const box = { left: x - halfWidth, right: x + halfWidth, top: y - halfHeight, bottom: y + halfHeight };
+            if (box.left < 0 || box.top < 0 || box.right > width || box.bottom > height || boxes.collides(box)) continue;
+            boxes.add(box);
+            placed.push({ text: word.text, count: word.count, x, y, fontSize, width: size.width, height: size.height });
+            return;
+        }
+    });
+    return placed;
+};
+
+// words: [{ text, count }] sorted from most to least mentioned. Returns the
+// words that fit as [{ text, count, x, y, fontSize, width, height }], where
+// x/y is the centre of the word. When a tenth of the words or more do not fit
+// (typical for the log scale), the largest font size is lowered and the words
+// are placed again.
+export const layoutWordCloud = (words, {
+    width = 800, height = 400, minFontSize = 12, maxFontSize = 64, scale = 'sqrt', padding = 2, measure = measureWord,
+} = {}) => {
+    if (words.length === 0) return [];
+    let placed = [];
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const largest = Math.max(minFontSize, maxFontSize * 0.8 ** attempt);
+        placed = placeWords(words, { width, height, minFontSize, maxFontSize: largest, scale, padding, measure });
+        if (placed.length >= words.length * 0.9 || largest === minFontSize) break;
+    }
+    return placed;
+};
+
+export const loadWordCloudSettings = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored) return { ...DEFAULT_WORD_CLOUD_SETTINGS, ...JSON.parse(stored) };
+    } catch (error) {
+        console.error('Could not load word cloud settings:', error);
+    }
+    return DEFAULT_WORD_CLOUD_SETTINGS;
+};
+
+export const saveWordCloudSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Could not save word cloud settings:', error);
+    }
+};